@@ -0,0 +1,131 @@
+import { useState } from 'react'
+
+const EMPTY_ADDRESS = { line1: '', line2: '', city: '', state: '', postal_code: '', country: 'US' }
+
+// Billing countries (BILLING_COUNTRIES in server.js) and what their address fields are called
+const COUNTRIES = {
+  US: { name: 'United States', region: 'State', postal: 'ZIP' },
+  CA: { name: 'Canada', region: 'Province', postal: 'Postal code' },
+  GB: { name: 'United Kingdom', region: 'County (optional)', postal: 'Postcode' },
+}
+
+function formatAddress(a) {
+  const country = a.country || 'US'
+  return [a.line1, a.line2, `${a.city}, ${[a.state, a.postal_code].filter(Boolean).join(' ')}`, country !== 'US' && COUNTRIES[country]?.name]
+    .filter(Boolean).join(', ')
+}
+
+// What the next payment comes to once sales tax and any card surcharge or ACH discount
+// are added (as worked out by the server in `options`, the proposal's checkout_options),
+// with the billing address tax depends on. `onSaveAddress` and `onPay(method)`
+// throw (or report) their own errors; `label` starts the pay button, e.g. "Pay Now";
+// `money` formats amounts in the proposal's currency.
+export default function CheckoutSummary({ label, options, billingAddress, onSaveAddress, onPay, money }) {
+  const [editing, setEditing] = useState(false)
+  const [address, setAddress] = useState(billingAddress ? { country: 'US', ...billingAddress } : EMPTY_ADDRESS)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const hasFees = !!options && (options.card_surcharge_percent > 0 || options.ach_discount_percent > 0)
+  // Bank transfers (ACH) are only offered for US dollar proposals
+  const canPayByBank = !options?.methods || options.methods.includes('ach')
+  const [choice, setChoice] = useState('card')
+  const method = canPayByBank ? choice : 'card'
+  const needsAddress = !!options?.address_required && !billingAddress
+  const due = options.next_payment
+  const adjustments = hasFees ? due.by_method[method] : due
+  const country = COUNTRIES[address.country] || COUNTRIES.US
+
+  async function handleSave(e) {
+    e.preventDefault()
+    setError(null)
+    setSaving(true)
+    try {
+      await onSaveAddress(address)
+      setEditing(false)
+    } catch (err) {
+      setError(err.message || 'Failed to save billing address')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const set = (field) => (e) => setAddress((a) => ({ ...a, [field]: e.target.value }))
+
+  if (needsAddress || editing) {
+    return (
+      <form className="checkout-address" onSubmit={handleSave}>
+        <span className="label">Billing Address</span>
+        <p>Sales tax is based on where you{'’'}re billed.</p>
+        <select className="sig-input" value={address.country} onChange={set('country')} autoComplete="country">
+          {Object.entries(COUNTRIES).map(([code, c]) => <option key={code} value={code}>{c.name}</option>)}
+        </select>
+        <input className="sig-input" placeholder="Street address" value={address.line1} onChange={set('line1')} autoComplete="address-line1" required />
+        <input className="sig-input" placeholder="Suite, unit (optional)" value={address.line2} onChange={set('line2')} autoComplete="address-line2" />
+        <div className="checkout-address-row">
+          <input className="sig-input" placeholder="City" value={address.city} onChange={set('city')} autoComplete="address-level2" required />
+          <input className="sig-input" placeholder={country.region} value={address.state} onChange={set('state')} autoComplete="address-level1" maxLength={address.country === 'US' ? 2 : 60} required={address.country === 'US'} />
+          <input className="sig-input" placeholder={country.postal} value={address.postal_code} onChange={set('postal_code')} autoComplete="postal-code" required />
+        </div>
+        {error && <p className="checkout-error">{error}</p>}
+        <div className="delegate-actions">
+          {billingAddress && <button type="button" className="delegate-cancel" onClick={() => setEditing(false)}>Cancel</button>}
+          <button type="submit" className="cta-btn" disabled={saving} style={{ fontSize: '0.85rem', padding: '12px 24px' }}>
+            {saving ? 'Saving...' : 'Continue to Payment'}
+          </button>
+        </div>
+      </form>
+    )
+  }
+
+  const showBreakdown = adjustments.tax > 0 || hasFees
+
+  return (
+    <div className="checkout-summary">
+      {showBreakdown && (
+        <ul className="checkout-lines">
+          <li><span>Package</span><span>{money(due.amount)}</span></li>
+          {adjustments.tax > 0 && (
+            <li>
+              <span>Sales tax ({options.tax.label || options.tax.state}, {options.tax.rate}%)</span>
+              <span>{money(adjustments.tax)}</span>
+            </li>
+          )}
+          {adjustments.fee > 0 && (
+            <li><span>Card processing fee ({options.card_surcharge_percent}%)</span><span>{money(adjustments.fee)}</span></li>
+          )}
+          {adjustments.fee < 0 && (
+            <li><span>Bank transfer discount ({options.ach_discount_percent}%)</span><span>{'\u2212'}{money(-adjustments.fee)}</span></li>
+          )}
+          <li className="checkout-total"><span>Total</span><span>{money(adjustments.total)}</span></li>
+        </ul>
+      )}
+      {hasFees && canPayByBank && (
+        <div className="checkout-methods" role="radiogroup" aria-label="Payment method">
+          <label className={method === 'card' ? 'selected' : ''}>
+            <input type="radio" name="checkout-method" checked={method === 'card'} onChange={() => setChoice('card')} />
+            Card{options.card_surcharge_percent > 0 ? ` (+${options.card_surcharge_percent}%)` : ''}
+          </label>
+          <label className={method === 'ach' ? 'selected' : ''}>
+            <input type="radio" name="checkout-method" checked={method === 'ach'} onChange={() => setChoice('ach')} />
+            Bank transfer (ACH){options.ach_discount_percent > 0 ? ` (save ${options.ach_discount_percent}%)` : ''}
+          </label>
+        </div>
+      )}
+      {billingAddress && (options?.address_required || adjustments.tax > 0) && (
+        <p className="checkout-address-line">
+          Billing address: {formatAddress(billingAddress)}{' '}
+          <button type="button" onClick={() => { setAddress({ country: 'US', ...billingAddress }); setEditing(true) }}>Change</button>
+        </p>
+      )}
+      <button className="cta-btn" onClick={() => onPay(hasFees ? method : undefined)} type="button" style={{ fontSize: '1rem' }}>
+        {label} {'\u2014'} {money(adjustments.total)}
+      </button>
+      <p style={{ color: '#9ba3b5', fontSize: 12, marginTop: 10 }}>
+        {hasFees || !canPayByBank
+          ? `Secure ${method === 'ach' ? 'bank transfer' : 'card payment'}, powered by Stripe`
+          : 'Secure payment via card or bank transfer, powered by Stripe'}
+      </p>
+    </div>
+  )
+}
@@ -1,4 +1,5 @@
 import { useState } from 'react'
+import { moneyFormat, shortPrice } from '../pricing'
 
 function ChkSvg() {
   return (
@@ -8,60 +9,68 @@ function ChkSvg() {
   )
 }
 
-const CATEGORIES = [
-  {
-    name: 'Training Format',
-    features: [
-      { name: 'Classroom Session (Industry + Roof MRI Methodology)', values: ['check', 'check', 'check'] },
-      { name: 'Live Field Scan Certification', values: ['check', 'check', 'check'] },
-      { name: 'Basic Sales Applications Overview', values: ['check', 'check', 'check'] },
-      { name: 'Roof MRI Certification Credential', values: ['check', 'check', 'check'] },
-      {
-        name: 'Professional Training Footage',
-        sub: 'Your training day professionally filmed and edited into marketing-ready video content',
-        values: [{ type: 'badge-gray', text: 'Upon Request \u2021' }, { type: 'badge-green', text: 'Included' }, { type: 'badge-green', text: 'Included' }],
-      },
-    ],
-  },
-  {
-    name: 'Dedicated Training Tracks (Half-Day Sessions)',
-    sub: 'Strategy, workflow integration, measurement, and Q1 accountability \u2020',
-    features: [
-      { name: 'Sales Track', sub: 'Sales theory, pipeline integration, buyer education', values: [{ type: 'dollar', text: '$5,000' }, { type: 'text', text: 'Choice of 2' }, { type: 'badge-green', text: 'Included' }] },
-      { name: 'Service Track', sub: 'Maintenance workflows, field execution, service reporting', values: [{ type: 'dollar', text: '$5,000' }, { type: 'text', text: 'Choice of 2' }, { type: 'badge-green', text: 'Included' }] },
-      { name: 'Production Track', sub: 'QC applications, project documentation, crew deployment', values: [{ type: 'dollar', text: '$5,000' }, { type: 'text', text: 'Choice of 2' }, { type: 'badge-green', text: 'Included' }] },
-      { name: 'Marketing Track', sub: 'Go-to-market strategy, LinkedIn playbook, brand integration', values: [{ type: 'dollar', text: '$5,000' }, { type: 'text', text: 'Choice of 2' }, { type: 'badge-green', text: 'Included' }] },
-      { name: 'Session Format', values: [{ type: 'text', text: 'Online' }, { type: 'text', text: 'In Person' }, { type: 'text', text: 'In Person' }] },
-    ],
-  },
-  {
-    name: 'People & Equipment',
-    features: [
-      { name: 'Trainees Included', values: [{ type: 'text', text: 'Up to 3' }, { type: 'text', text: 'Up to 10' }, { type: 'text', text: 'Up to 25' }] },
-      { name: 'Recon Kits Included', values: [{ type: 'text', text: '1' }, { type: 'text', text: '2' }, { type: 'text', text: '4' }] },
-      { name: 'Additional Trainees', values: [{ type: 'badge-gray', text: 'Full Cost' }, { type: 'badge-green', text: '20% Off' }, { type: 'badge-navy', text: 'Custom' }] },
-      { name: 'Additional Recon Kits', values: [{ type: 'dollar', text: '$4,000/ea' }, { type: 'dollar', text: '$4,000/ea' }, { type: 'dollar', text: '$4,000/ea' }] },
-    ],
-  },
-  {
-    name: 'Post-Training Support',
-    features: [
-      { name: 'Team Follow-Up Call', sub: '1-hour Zoom at the 2-week mark', values: ['check', 'check', 'check'] },
-      { name: '15-Min FaceTime Calls with MRI Expert', values: ['check', 'check', 'check'] },
-      { name: 'Online MRI Protocol Checklist *', values: ['check', 'check', 'check'] },
-      { name: 'MRI Integrator Calls', sub: '30-min calls with your MRI Integrator for 90 days', values: [{ type: 'text', text: 'Monthly (3)' }, { type: 'text', text: 'Biweekly (6)' }, { type: 'text', text: 'Weekly (12)' }] },
-      { name: 'Additional On-Roof Training Day **', sub: 'Full day on-roof with your team', values: [{ type: 'dollar', text: '$5,000' }, { type: 'dollar', text: '$5,000' }, { type: 'badge-green', text: 'Included' }] },
-      { name: 'Access to Roof MRI Education Library', values: ['check', 'check', 'check'] },
-    ],
-  },
-  {
-    name: 'New Hire Training (Nashville HQ)',
-    features: [
-      { name: 'Free New Hire Seats (First Year)', values: [{ type: 'text', text: '\u2014' }, { type: 'text', text: '1' }, { type: 'text', text: '5' }] },
-      { name: 'Per-Person Rate After Free Seats', values: [{ type: 'badge-gray', text: 'Full Price' }, { type: 'badge-green', text: '25% Off' }, { type: 'badge-green', text: '50% Off' }] },
-    ],
-  },
-]
+// Cell for a per-tier add-on rate: an amount, or "Included" when the tier bundles it
+function rateVal(rate, fmt) {
+  return rate > 0 ? { type: 'dollar', text: fmt(rate) } : { type: 'badge-green', text: 'Included' }
+}
+
+function buildCategories({ professional: pro, regional: reg, enterprise: ent }, fmt) {
+  const trackVals = [rateVal(pro.trackRate, fmt), { type: 'text', text: `Choice of ${reg.baseTracks}` }, { type: 'badge-green', text: 'Included' }]
+  return [
+    {
+      name: 'Training Format',
+      features: [
+        { name: 'Classroom Session (Industry + Roof MRI Methodology)', values: ['check', 'check', 'check'] },
+        { name: 'Live Field Scan Certification', values: ['check', 'check', 'check'] },
+        { name: 'Basic Sales Applications Overview', values: ['check', 'check', 'check'] },
+        { name: 'Roof MRI Certification Credential', values: ['check', 'check', 'check'] },
+        {
+          name: 'Professional Training Footage',
+          sub: 'Your training day professionally filmed and edited into marketing-ready video content',
+          values: [{ type: 'badge-gray', text: 'Upon Request \u2021' }, { type: 'badge-green', text: 'Included' }, { type: 'badge-green', text: 'Included' }],
+        },
+      ],
+    },
+    {
+      name: 'Dedicated Training Tracks (Half-Day Sessions)',
+      sub: 'Strategy, workflow integration, measurement, and Q1 accountability \u2020',
+      features: [
+        { name: 'Sales Track', sub: 'Sales theory, pipeline integration, buyer education', values: trackVals },
+        { name: 'Service Track', sub: 'Maintenance workflows, field execution, service reporting', values: trackVals },
+        { name: 'Production Track', sub: 'QC applications, project documentation, crew deployment', values: trackVals },
+        { name: 'Marketing Track', sub: 'Go-to-market strategy, LinkedIn playbook, brand integration', values: trackVals },
+        { name: 'Session Format', values: [{ type: 'text', text: 'Online' }, { type: 'text', text: 'In Person' }, { type: 'text', text: 'In Person' }] },
+      ],
+    },
+    {
+      name: 'People & Equipment',
+      features: [
+        { name: 'Trainees Included', values: [pro, reg, ent].map((t) => ({ type: 'text', text: `Up to ${t.baseTrainees}` })) },
+        { name: 'Recon Kits Included', values: [pro, reg, ent].map((t) => ({ type: 'text', text: String(t.baseKits) })) },
+        { name: 'Additional Trainees', values: [{ type: 'badge-gray', text: 'Full Cost' }, { type: 'badge-green', text: '20% Off' }, { type: 'badge-navy', text: 'Custom' }] },
+        { name: 'Additional Recon Kits', values: [pro, reg, ent].map((t) => ({ type: 'dollar', text: `${fmt(t.kitRate)}/ea` })) },
+      ],
+    },
+    {
+      name: 'Post-Training Support',
+      features: [
+        { name: 'Team Follow-Up Call', sub: '1-hour Zoom at the 2-week mark', values: ['check', 'check', 'check'] },
+        { name: '15-Min FaceTime Calls with MRI Expert', values: ['check', 'check', 'check'] },
+        { name: 'Online MRI Protocol Checklist *', values: ['check', 'check', 'check'] },
+        { name: 'MRI Integrator Calls', sub: '30-min calls with your MRI Integrator for 90 days', values: [{ type: 'text', text: 'Monthly (3)' }, { type: 'text', text: 'Biweekly (6)' }, { type: 'text', text: 'Weekly (12)' }] },
+        { name: 'Additional On-Roof Training Day **', sub: 'Full day on-roof with your team', values: [pro, reg, ent].map((t) => rateVal(t.onRoofRate, fmt)) },
+        { name: 'Access to Roof MRI Education Library', values: ['check', 'check', 'check'] },
+      ],
+    },
+    {
+      name: 'New Hire Training (Nashville HQ)',
+      features: [
+        { name: 'Free New Hire Seats (First Year)', values: [{ type: 'text', text: '\u2014' }, { type: 'text', text: '1' }, { type: 'text', text: '5' }] },
+        { name: 'Per-Person Rate After Free Seats', values: [{ type: 'badge-gray', text: 'Full Price' }, { type: 'badge-green', text: '25% Off' }, { type: 'badge-green', text: '50% Off' }] },
+      ],
+    },
+  ]
+}
 
 function renderVal(val, isRegional) {
   if (val === 'check') return <ChkSvg />
@@ -75,8 +84,11 @@ function renderVal(val, isRegional) {
   return null
 }
 
-export default function ComparisonTable() {
+// `currency` and `locale` are the proposal's; prices are shown in them
+export default function ComparisonTable({ catalog, currency, locale, onExpand }) {
   const [isOpen, setIsOpen] = useState(false)
+  const categories = buildCategories(catalog.tiers, moneyFormat({ currency, locale }))
+  const { professional: pro, regional: reg, enterprise: ent } = catalog.tiers
 
   return (
     <>
@@ -86,7 +98,7 @@ export default function ComparisonTable() {
         <p>See exactly what{'\u2019'}s in each package side by side.</p>
       </div>
 
-      <div className={`table-collapse-toggle ${isOpen ? 'open' : ''}`} onClick={() => setIsOpen(!isOpen)}>
+      <div className={`table-collapse-toggle ${isOpen ? 'open' : ''}`} onClick={() => { if (!isOpen && onExpand) onExpand(); setIsOpen(!isOpen) }}>
         <span className="toggle-text">{isOpen ? 'Hide Comparison' : 'View Full Comparison'}</span>
         <svg className="toggle-chevron" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
           <polyline points="6 9 12 15 18 9" />
@@ -98,20 +110,20 @@ export default function ComparisonTable() {
           <div className="table-header">
             <div className="features-label">Features</div>
             <div className="tier-col">
-              <div className="tier-col-name">Professional</div>
-              <div className="tier-col-price">$10K</div>
+              <div className="tier-col-name">{pro.name}</div>
+              <div className="tier-col-price">{shortPrice(pro, { currency, locale })}</div>
             </div>
             <div className="tier-col regional">
-              <div className="tier-col-name">Regional</div>
-              <div className="tier-col-price">$35K</div>
+              <div className="tier-col-name">{reg.name}</div>
+              <div className="tier-col-price">{shortPrice(reg, { currency, locale })}</div>
             </div>
             <div className="tier-col">
-              <div className="tier-col-name">Enterprise</div>
-              <div className="tier-col-price">$75K+</div>
+              <div className="tier-col-name">{ent.name}</div>
+              <div className="tier-col-price">{shortPrice(ent, { currency, locale })}</div>
             </div>
           </div>
 
-          {CATEGORIES.map((cat) => (
+          {categories.map((cat) => (
             <div key={cat.name}>
               <div className="cat-bar">
                 <div className="ab"></div>
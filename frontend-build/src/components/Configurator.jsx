@@ -1,12 +1,5 @@
-import { useState } from 'react'
-
-const TIER_CONFIG = {
-  professional: { name: 'Professional', base: 10000, baseTrainees: 3, baseKits: 1, baseTracks: 0, traineeRate: 2000, kitRate: 4000, trackRate: 5000, videoRate: 2000, onRoofRate: 5000, desc: '1 day, up to 3 trainees, 1 Recon Kit' },
-  regional: { name: 'Regional', base: 35000, baseTrainees: 10, baseKits: 2, baseTracks: 2, traineeRate: 1600, kitRate: 4000, trackRate: 5000, videoRate: 0, onRoofRate: 5000, desc: '2 days, up to 10 trainees, 2 Recon Kits, 2 tracks' },
-  enterprise: { name: 'Enterprise', base: 75000, baseTrainees: 25, baseKits: 4, baseTracks: 4, traineeRate: 0, kitRate: 4000, trackRate: 0, videoRate: 0, onRoofRate: 0, desc: '4 days, up to 25 trainees, 4 Recon Kits, all tracks' },
-}
-
-const ALL_TRACKS = ['Sales', 'Service', 'Production', 'Marketing']
+import { useState, useEffect } from 'react'
+import { quoteConfiguration, tierSummary, checkDiscountCode } from '../pricing'
 
 const INFO_TIPS = {
   videography: 'Your training day gets professionally filmed and edited into a company-specific marketing video and instructional guide, so your team can start leveraging Roof MRI for wins immediately.',
@@ -14,8 +7,6 @@ const INFO_TIPS = {
   onroof: 'A full day on the roof with a Roof MRI expert and your team. Ideal for high-stakes jobs, complex scans, or when your crew just needs more hands-on reps before going solo.',
 }
 
-function fmt(n) { return '$' + n.toLocaleString('en-US') }
-
 function InfoBtn({ tipKey }) {
   return (
     <span className="info-btn info-btn-inline" tabIndex="0">
@@ -40,7 +31,8 @@ function getSteps(tier) {
   return ['tier', 'trainees', 'kits', 'tracks_regional', 'onroof', 'summary']
 }
 
-export default function Configurator({ prices, onConfirm, onClose, submitting }) {
+// `money` formats amounts in the proposal's currency
+export default function Configurator({ catalog, prices, proposalId, discountCode, checkoutOptions, money: fmt, onConfirm, onClose, submitting }) {
   const [tier, setTier] = useState(null)
   const [extraTrainees, setExtraTrainees] = useState(0)
   const [extraKits, setExtraKits] = useState(0)
@@ -49,35 +41,51 @@ export default function Configurator({ prices, onConfirm, onClose, submitting })
   const [onRoofDay, setOnRoofDay] = useState(false)
   const [currentStep, setCurrentStep] = useState(0)
   const [error, setError] = useState(null)
+  // The code the proposal already holds (checked against the tier once one is picked) or one typed in
+  const [codeInput, setCodeInput] = useState(discountCode || '')
+  const [appliedCode, setAppliedCode] = useState(discountCode || null)
+  const [discount, setDiscount] = useState(null)
+  const [discountError, setDiscountError] = useState(null)
+  // The server's price for the configuration it was asked about
+  const [quote, setQuote] = useState(null)
 
+  const allTracks = catalog.tracks
   const steps = getSteps(tier)
   const stepId = steps[currentStep]
-  const c = tier ? TIER_CONFIG[tier] : null
-  // Use the actual tier price from DB — don't fall back to hardcoded default
-  // since the server will reject configuration if the DB price is null/0
+  const c = tier ? catalog.tiers[tier] : null
+  // The proposal's own price for the tier (the server rejects a tier without one)
   const basePrice = tier && prices && Number(prices[tier]) > 0 ? Number(prices[tier]) : 0
+  const config = { tier, extraTrainees, extraKits, tracks, videography, onRoofDay, discountCode: discount ? discount.code : undefined }
+  const configKey = JSON.stringify(config)
+  const onSummary = stepId === 'summary'
 
-  function calcTotal() {
-    if (!tier || !c) return 0
-    let t = basePrice
-    t += extraTrainees * c.traineeRate
-    t += extraKits * c.kitRate
-    if (tier === 'professional') {
-      t += tracks.length * c.trackRate
-      if (videography) t += c.videoRate
-      if (onRoofDay) t += c.onRoofRate
-    } else if (tier === 'regional') {
-      t += Math.max(0, tracks.length - c.baseTracks) * c.trackRate
-      if (onRoofDay) t += c.onRoofRate
+  // Priced by the server once the client reaches the summary
+  useEffect(() => {
+    if (!onSummary) return
+    let cancelled = false
+    quoteConfiguration(proposalId, JSON.parse(configKey))
+      .then((q) => { if (!cancelled) setQuote({ key: configKey, ...q }) })
+      .catch((err) => { if (!cancelled) setError(err.message) })
+    return () => { cancelled = true }
+  }, [onSummary, proposalId, configKey])
+
+  async function applyCode(code, forTier) {
+    setDiscountError(null)
+    try {
+      setDiscount(await checkDiscountCode(proposalId, code, forTier))
+      setAppliedCode(code)
+    } catch (err) {
+      setDiscount(null)
+      setDiscountError(err.message)
     }
-    return t
   }
 
   function selectTier(t) {
+    if (appliedCode) applyCode(appliedCode, t)
     setTier(t)
     setExtraTrainees(0)
     setExtraKits(0)
-    setTracks(t === 'enterprise' ? [...ALL_TRACKS] : [])
+    setTracks(t === 'enterprise' ? [...allTracks] : [])
     setVideography(false)
     setOnRoofDay(false)
   }
@@ -97,7 +105,7 @@ export default function Configurator({ prices, onConfirm, onClose, submitting })
     setExtraTrainees(0)
     setExtraKits(0)
     if (tier === 'professional') { setTracks([]); setVideography(false); setOnRoofDay(false) }
-    else if (tier === 'regional') { setTracks(tracks.slice(0, 2)); setOnRoofDay(false) }
+    else if (tier === 'regional') { setTracks(tracks.slice(0, c.baseTracks)); setOnRoofDay(false) }
     const s = getSteps(tier)
     setCurrentStep(s.length - 1)
   }
@@ -105,13 +113,20 @@ export default function Configurator({ prices, onConfirm, onClose, submitting })
   async function handleConfirm() {
     setError(null)
     try {
-      await onConfirm({ tier, extraTrainees, extraKits, tracks, videography, onRoofDay })
+      await onConfirm({ tier, extraTrainees, extraKits, tracks, videography, onRoofDay, discountCode: discount ? discount.code : undefined })
     } catch (err) {
       setError(err.message || 'Failed to save configuration')
     }
   }
 
-  const total = calcTotal()
+  const priced = quote?.key === configKey ? quote : null
+  const discountOff = priced ? priced.discount_amount : 0
+  const total = priced ? priced.total_price : 0
+  // Sales tax once the billing state is known; card/ACH pricing depends on how they pay later
+  const tax = priced ? priced.tax : 0
+  const cardSurcharge = checkoutOptions?.card_surcharge_percent || 0
+  // ACH is only offered for US dollar proposals
+  const achDiscount = !checkoutOptions?.methods || checkoutOptions.methods.includes('ach') ? checkoutOptions?.ach_discount_percent || 0 : 0
   const pct = Math.round(((currentStep + 1) / steps.length) * 100)
 
   return (
@@ -135,10 +150,10 @@ export default function Configurator({ prices, onConfirm, onClose, submitting })
               <h3>Choose Your Package</h3>
               <p className="step-desc">Select the training tier that best fits your team.</p>
               <div className="config-tier-grid">
-                {Object.entries(TIER_CONFIG).map(([key, tc]) => {
+                {Object.entries(catalog.tiers).map(([key, tc]) => {
                   const price = prices ? Number(prices[key]) : 0
                   const hasPrice = price > 0
-                  const displayPrice = hasPrice ? fmt(price) : fmt(tc.base)
+                  const displayPrice = hasPrice ? fmt(price) : fmt(tc.basePrice)
                   return (
                     <div
                       key={key}
@@ -148,7 +163,7 @@ export default function Configurator({ prices, onConfirm, onClose, submitting })
                     >
                       <div className="config-tier-left">
                         <span className="ctier-name">{tc.name}</span>
-                        <span className="ctier-desc">{tc.desc}</span>
+                        <span className="ctier-desc">{tierSummary(tc, allTracks.length)}</span>
                       </div>
                       <span className="config-tier-right">{hasPrice ? displayPrice : 'N/A'}</span>
                     </div>
@@ -165,7 +180,7 @@ export default function Configurator({ prices, onConfirm, onClose, submitting })
               <p className="step-desc">
                 Your package includes <span className="included">{c.baseTrainees} trainees</span>.
                 {stepId === 'trainees_ent'
-                  ? ' Contact us for additional trainees beyond 25.'
+                  ? ` Contact us for additional trainees beyond ${c.baseTrainees}.`
                   : ` Additional trainees are ${fmt(c.traineeRate)} each.`}
               </p>
               {stepId !== 'trainees_ent' && (
@@ -216,7 +231,7 @@ export default function Configurator({ prices, onConfirm, onClose, submitting })
               <h3>Add Training Tracks?</h3>
               <p className="step-desc">Each dedicated track is a half-day deep dive at <span className="included">{fmt(c.trackRate)}</span> per track, delivered online.</p>
               <div className="track-options">
-                {ALL_TRACKS.map((t) => {
+                {allTracks.map((t) => {
                   const sel = tracks.includes(t)
                   return (
                     <div key={t} className={`track-option ${sel ? 'selected' : ''}`} onClick={() => toggleTrack(t)}>
@@ -236,12 +251,12 @@ export default function Configurator({ prices, onConfirm, onClose, submitting })
           {stepId === 'tracks_regional' && c && (
             <div className="config-step active">
               <h3>Select Your Tracks</h3>
-              <p className="step-desc">Your package includes <span className="included">2 tracks</span>. Additional tracks are {fmt(c.trackRate)} each.</p>
+              <p className="step-desc">Your package includes <span className="included">{c.baseTracks} tracks</span>. Additional tracks are {fmt(c.trackRate)} each.</p>
               <div className="track-options">
-                {ALL_TRACKS.map((t) => {
+                {allTracks.map((t) => {
                   const sel = tracks.includes(t)
                   const idx = tracks.indexOf(t)
-                  const lbl = sel && idx < 2 ? 'Included' : sel ? fmt(c.trackRate) : 'Select'
+                  const lbl = sel && idx < c.baseTracks ? 'Included' : sel ? fmt(c.trackRate) : 'Select'
                   return (
                     <div key={t} className={`track-option ${sel ? 'selected' : ''}`} onClick={() => toggleTrack(t)}>
                       <div className="track-check">{sel && <ChkSvg />}</div>
@@ -254,7 +269,7 @@ export default function Configurator({ prices, onConfirm, onClose, submitting })
                 })}
               </div>
               {(() => {
-                const ex = Math.max(0, tracks.length - 2)
+                const ex = Math.max(0, tracks.length - c.baseTracks)
                 if (ex > 0) return (
                   <p className="step-desc" style={{ fontSize: '0.78rem', color: '#9ba3b5' }}>
                     {ex} additional track{ex > 1 ? 's' : ''} &middot; <strong style={{ color: '#1e2c55' }}>{fmt(ex * c.trackRate)}</strong>
@@ -334,19 +349,19 @@ export default function Configurator({ prices, onConfirm, onClose, submitting })
                 {tier === 'professional' && tracks.length > 0 && (
                   <div className="config-sum-line">
                     <span className="csl-label">Training Tracks ({tracks.join(', ')})</span>
-                    <span className="csl-value">{fmt(tracks.length * c.trackRate)}</span>
+                    <span className="csl-value">{fmt(Math.max(0, tracks.length - c.baseTracks) * c.trackRate)}</span>
                   </div>
                 )}
                 {tier === 'regional' && tracks.length > 0 && (
                   <>
                     <div className="config-sum-line">
-                      <span className="csl-label">Included Tracks ({tracks.slice(0, 2).join(', ')})</span>
+                      <span className="csl-label">Included Tracks ({tracks.slice(0, c.baseTracks).join(', ')})</span>
                       <span className="csl-value green">Included</span>
                     </div>
-                    {tracks.length > 2 && (
+                    {tracks.length > c.baseTracks && (
                       <div className="config-sum-line">
-                        <span className="csl-label">Additional Tracks ({tracks.slice(2).join(', ')})</span>
-                        <span className="csl-value">{fmt((tracks.length - 2) * c.trackRate)}</span>
+                        <span className="csl-label">Additional Tracks ({tracks.slice(c.baseTracks).join(', ')})</span>
+                        <span className="csl-value">{fmt((tracks.length - c.baseTracks) * c.trackRate)}</span>
                       </div>
                     )}
                   </>
@@ -354,7 +369,7 @@ export default function Configurator({ prices, onConfirm, onClose, submitting })
                 {tier === 'enterprise' && (
                   <>
                     <div className="config-sum-line">
-                      <span className="csl-label">All 4 Training Tracks</span>
+                      <span className="csl-label">All {allTracks.length} Training Tracks</span>
                       <span className="csl-value green">Included</span>
                     </div>
                     <div className="config-sum-line">
@@ -391,11 +406,46 @@ export default function Configurator({ prices, onConfirm, onClose, submitting })
                     {tier === 'professional' ? 'Monthly (3 calls)' : tier === 'regional' ? 'Biweekly (6 calls)' : 'Weekly (12 calls)'}
                   </span>
                 </div>
+                {discountOff > 0 && (
+                  <div className="config-sum-line">
+                    <span className="csl-label">Discount ({discount ? `${discount.code}, ${discount.description}` : discountCode})</span>
+                    <span className="csl-value green">{'\u2212'}{fmt(discountOff)}</span>
+                  </div>
+                )}
                 <div className="config-sum-line total-line">
                   <span className="csl-label">Total Investment</span>
-                  <span className="csl-value">{fmt(total)}</span>
+                  <span className="csl-value">{priced ? fmt(total) : '\u2026'}</span>
                 </div>
+                {tax > 0 && (
+                  <div className="config-sum-line">
+                    <span className="csl-label">
+                      Sales tax ({checkoutOptions.tax.label || checkoutOptions.tax.state}, {checkoutOptions.tax.rate}%), added at checkout
+                    </span>
+                    <span className="csl-value">+{fmt(tax)}</span>
+                  </div>
+                )}
               </div>
+              {(checkoutOptions?.address_required && !checkoutOptions.tax) || cardSurcharge > 0 || achDiscount > 0 ? (
+                <p className="config-sum-note">
+                  {checkoutOptions.address_required && !checkoutOptions.tax && 'Any sales tax is added at checkout based on your billing address. '}
+                  {cardSurcharge > 0 && `Card payments include a ${cardSurcharge}% processing fee. `}
+                  {achDiscount > 0 && `Pay by bank transfer (ACH) to save ${achDiscount}%.`}
+                </p>
+              ) : null}
+              <form
+                className="config-discount"
+                onSubmit={(e) => { e.preventDefault(); if (codeInput.trim()) applyCode(codeInput.trim().toUpperCase(), tier) }}
+              >
+                <input
+                  type="text"
+                  value={codeInput}
+                  onChange={(e) => setCodeInput(e.target.value)}
+                  placeholder="Discount code"
+                  aria-label="Discount code"
+                />
+                <button type="submit" className="nav-skip">Apply</button>
+              </form>
+              {discountError && <p className="config-discount-error">{discountError}</p>}
             </div>
           )}
         </div>
@@ -0,0 +1,68 @@
+import { useState } from 'react'
+
+// "Send to someone else to sign": forwards the signature to a colleague with signing
+// authority. `onDelegate` posts the details and throws with a message on failure.
+export default function DelegateSigning({ onDelegate }) {
+  const [open, setOpen] = useState(false)
+  const [name, setName] = useState('')
+  const [email, setEmail] = useState('')
+  const [title, setTitle] = useState('')
+  const [message, setMessage] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+  const [sentTo, setSentTo] = useState(null)
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    setError(null)
+    if (!name.trim() || !email.trim() || email.indexOf('@') < 1) {
+      setError('Please enter their name and a valid email address.')
+      return
+    }
+    setSubmitting(true)
+    try {
+      await onDelegate({ name: name.trim(), email: email.trim(), title: title.trim() || null, message: message.trim() || null })
+      setSentTo(name.trim())
+      setOpen(false)
+    } catch (err) {
+      setError(err.message || 'Failed to send. Please try again.')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (sentTo) {
+    return (
+      <p className="delegate-sent">
+        Sent to {sentTo} to sign. We{'’'}ve emailed you a confirmation and will let you know when they sign.
+      </p>
+    )
+  }
+
+  if (!open) {
+    return (
+      <p className="delegate-toggle">
+        Not the right person to sign?{' '}
+        <button type="button" onClick={() => setOpen(true)}>Send to someone else to sign</button>
+      </p>
+    )
+  }
+
+  return (
+    <form className="delegate-form" onSubmit={handleSubmit}>
+      <h3>Send to someone else to sign</h3>
+      <p>They{'’'}ll get their own secure link to review, adjust the package if needed, and sign.</p>
+      <input className="sig-input" placeholder="Their full name" value={name} onChange={(e) => setName(e.target.value)} autoComplete="off" />
+      <input className="sig-input" type="email" placeholder="Their email address" value={email} onChange={(e) => setEmail(e.target.value)} autoComplete="off" />
+      <input className="sig-input" placeholder="Their title (optional)" value={title} onChange={(e) => setTitle(e.target.value)} autoComplete="off" />
+      <textarea placeholder="Add a note (optional)" rows={3} value={message} onChange={(e) => setMessage(e.target.value)} />
+      {error && <p className="delegate-error">{error}</p>}
+      <div className="delegate-actions">
+        <button type="button" className="delegate-cancel" onClick={() => setOpen(false)}>Cancel</button>
+        <button type="submit" className="cta-btn" disabled={submitting} style={{ fontSize: '0.85rem', padding: '12px 24px' }}>
+          {submitting ? 'Sending...' : 'Send for Signature'}
+        </button>
+      </div>
+    </form>
+  )
+}
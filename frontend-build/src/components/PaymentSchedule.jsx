@@ -0,0 +1,57 @@
+import CheckoutSummary from './CheckoutSummary'
+
+function fmtDate(d, locale) {
+  return new Date(d).toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' })
+}
+
+const STATUS_LABELS = { paid: 'Paid', processing: 'Processing', failed: 'Payment failed', pending: 'Due' }
+
+function dueLabel(inst, locale) {
+  if (inst.due_on_signing) return 'Due on signing'
+  // due_date is a calendar date (YYYY-MM-DD); parse it as local midnight
+  return inst.due_date ? `Due by ${fmtDate(`${inst.due_date}T00:00:00`, locale)}` : ''
+}
+
+// Installment plan on a signed proposal, with checkout for whichever installment is next.
+// The checkout props are passed through to CheckoutSummary; `money` formats amounts and
+// dates are written for `locale`.
+export default function PaymentSchedule({ installments, onPay, checkoutOptions, billingAddress, onSaveAddress, money, locale }) {
+  const next = installments.find(i => i.status !== 'paid')
+  const anyPaid = installments.some(i => i.status === 'paid')
+
+  return (
+    <div className="payment-schedule">
+      <span className="label">Payment Schedule</span>
+      <ol className="installment-list">
+        {installments.map(inst => (
+          <li key={inst.id} className={`installment-${inst.status}`}>
+            <span className="installment-name">
+              {inst.label} <span className="installment-share">({inst.percent}%)</span>
+              <span className="installment-due">{inst.status === 'paid' && inst.paid_at ? `Paid ${fmtDate(inst.paid_at, locale)}` : dueLabel(inst, locale)}</span>
+            </span>
+            <span className="installment-amount">
+              {money(inst.amount)}
+              {(inst.tax_amount || inst.processing_fee) ? (
+                <span className="installment-state">{money(Math.round((inst.amount + inst.tax_amount + inst.processing_fee) * 100) / 100)} with tax and fees</span>
+              ) : null}
+              <span className="installment-state">{STATUS_LABELS[inst.status] || inst.status}</span>
+            </span>
+          </li>
+        ))}
+      </ol>
+      {next && next.status !== 'processing' && (
+        <div style={{ marginTop: 20 }}>
+          <CheckoutSummary
+            key={next.id}
+            label={`${next.status === 'failed' ? 'Retry' : anyPaid ? 'Pay Next Installment' : 'Pay'} \u2014 ${next.label}`}
+            options={checkoutOptions}
+            billingAddress={billingAddress}
+            onSaveAddress={onSaveAddress}
+            onPay={onPay}
+            money={money}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
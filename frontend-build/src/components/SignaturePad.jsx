@@ -1,26 +1,108 @@
-import { useState } from 'react'
+import { useState, useRef, useEffect } from 'react'
 
-export default function SignaturePad({ onSign, companyName, disabled }) {
+// Freehand signature canvas. Reports whether anything has been drawn via onChange.
+// Also used by the admin countersign drawer.
+export function DrawCanvas({ canvasRef, locked, onChange }) {
+  const drawing = useRef(false)
+
+  // Size the backing store to the element (capped at 2x so the PNG stays small)
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const ratio = Math.min(window.devicePixelRatio || 1, 2)
+    canvas.width = canvas.clientWidth * ratio
+    canvas.height = canvas.clientHeight * ratio
+    const ctx = canvas.getContext('2d')
+    ctx.scale(ratio, ratio)
+    ctx.lineWidth = 2.2
+    ctx.lineCap = 'round'
+    ctx.lineJoin = 'round'
+    ctx.strokeStyle = '#1e2c55'
+  }, [canvasRef])
+
+  function point(e) {
+    const rect = canvasRef.current.getBoundingClientRect()
+    return [e.clientX - rect.left, e.clientY - rect.top]
+  }
+
+  function handleDown(e) {
+    if (locked) return
+    e.currentTarget.setPointerCapture(e.pointerId)
+    drawing.current = true
+    const ctx = canvasRef.current.getContext('2d')
+    ctx.beginPath()
+    ctx.moveTo(...point(e))
+  }
+
+  function handleMove(e) {
+    if (!drawing.current) return
+    const ctx = canvasRef.current.getContext('2d')
+    ctx.lineTo(...point(e))
+    ctx.stroke()
+  }
+
+  function handleUp() {
+    if (!drawing.current) return
+    drawing.current = false
+    onChange(true)
+  }
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className={`sig-canvas ${locked ? 'locked' : ''}`}
+      onPointerDown={handleDown}
+      onPointerMove={handleMove}
+      onPointerUp={handleUp}
+      onPointerCancel={handleUp}
+    />
+  )
+}
+
+// `signer` pre-fills the invited signer's details on a multi-signer proposal; `consentText`
+// is the e-sign consent statement from the server (it's printed on the certificate of completion)
+export default function SignaturePad({ onSign, companyName, disabled, signer, locale, consentText }) {
+  const [mode, setMode] = useState('typed') // 'typed' | 'drawn'
+  const [hasDrawing, setHasDrawing] = useState(false)
+  const canvasRef = useRef(null)
   const [clientSig, setClientSig] = useState('')
-  const [clientName, setClientName] = useState('')
-  const [clientTitle, setClientTitle] = useState('')
-  const [clientEmail, setClientEmail] = useState('')
+  const [clientName, setClientName] = useState(signer?.name || '')
+  const [clientTitle, setClientTitle] = useState(signer?.title || '')
+  const [clientEmail, setClientEmail] = useState(signer?.email || '')
+  const [consent, setConsent] = useState(false)
   const [submitting, setSubmitting] = useState(false)
   const [signed, setSigned] = useState(false)
+  const [pending, setPending] = useState(false) // signed, but other signers still have to
   const [signedAt, setSignedAt] = useState(null)
   const [error, setError] = useState(null)
   const [validationError, setValidationError] = useState(null)
 
-  const redryDate = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+  function switchMode(next) {
+    setMode(next)
+    setHasDrawing(false)
+  }
+
+  function clearDrawing() {
+    const canvas = canvasRef.current
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height)
+    setHasDrawing(false)
+  }
 
   async function handleSubmit() {
     setValidationError(null)
     setError(null)
 
-    if (!clientSig.trim() || !clientName.trim() || !clientTitle.trim()) {
+    if ((mode === 'typed' && !clientSig.trim()) || !clientName.trim() || !clientTitle.trim()) {
       setValidationError('Please fill in all fields before signing.')
       return
     }
+    if (mode === 'drawn' && !hasDrawing) {
+      setValidationError('Please draw your signature before signing.')
+      return
+    }
+    if (!consent) {
+      setValidationError('Please agree to sign electronically.')
+      return
+    }
     if (!clientEmail.trim() || clientEmail.indexOf('@') < 1) {
       setValidationError('Please enter a valid email address.')
       return
@@ -29,19 +111,20 @@ export default function SignaturePad({ onSign, companyName, disabled }) {
     setSubmitting(true)
     try {
       const now = new Date()
-      const signData = {
-        signature: clientSig.trim(),
+      const result = await onSign({
+        method: mode,
+        // A drawn signature is attributed to the printed name
+        signatureName: mode === 'typed' ? clientSig.trim() : clientName.trim(),
+        signatureImage: mode === 'drawn' ? canvasRef.current.toDataURL('image/png') : null,
         printedName: clientName.trim(),
         title: clientTitle.trim(),
         email: clientEmail.trim(),
-        timestamp: now.toISOString(),
-        userAgent: navigator.userAgent,
-      }
-
-      // The signatureName is the typed signature, signatureData is JSON with all fields
-      await onSign(clientSig.trim(), JSON.stringify(signData))
+        consent,
+        clientTimestamp: now.toISOString(),
+      })
       setSigned(true)
       setSignedAt(now)
+      setPending(result?.complete === false)
     } catch (err) {
       setError(err.message || 'Failed to sign. Please try again.')
       setSubmitting(false)
@@ -58,23 +141,23 @@ export default function SignaturePad({ onSign, companyName, disabled }) {
         <p>By signing below, both parties agree to all terms outlined in this Training Agreement.</p>
       </div>
       <div className="sig-grid">
-        {/* ReDry (pre-filled) */}
+        {/* ReDry countersigns from the dashboard once the client has signed */}
         <div className="sig-party">
           <span className="sig-party-label">ReDry LLC</span>
           <div className="sig-field">
-            <div className="sig-filled signature-style">Adam Capps</div>
+            <div className="sig-filled date-auto">Countersigned by ReDry after you sign</div>
             <span className="sig-label">Signature</span>
           </div>
           <div className="sig-field">
-            <div className="sig-filled">Adam Capps</div>
+            <div className="sig-filled date-auto">Authorized ReDry representative</div>
             <span className="sig-label">Printed Name</span>
           </div>
           <div className="sig-field">
-            <div className="sig-filled">Founder</div>
+            <div className="sig-filled date-auto">{'\u2014'}</div>
             <span className="sig-label">Title</span>
           </div>
           <div className="sig-field">
-            <div className="sig-filled date-auto">{redryDate}</div>
+            <div className="sig-filled date-auto">Populated upon countersignature</div>
             <span className="sig-label">Date</span>
           </div>
         </div>
@@ -82,18 +165,33 @@ export default function SignaturePad({ onSign, companyName, disabled }) {
         {/* Client (interactive) */}
         <div className="sig-party" id="clientSigParty">
           <span className="sig-party-label">{companyName || 'Client'}</span>
+          {!isLocked && (
+            <div className="sig-mode-toggle">
+              <button type="button" className={mode === 'typed' ? 'active' : ''} onClick={() => switchMode('typed')}>Type</button>
+              <button type="button" className={mode === 'drawn' ? 'active' : ''} onClick={() => switchMode('drawn')}>Draw</button>
+            </div>
+          )}
           <div className="sig-field">
-            <input
-              type="text"
-              className="sig-input signature-input"
-              placeholder="Type your full name to sign"
-              value={clientSig}
-              onChange={(e) => setClientSig(e.target.value)}
-              readOnly={isLocked}
-              style={isLocked ? { opacity: 0.7, borderBottomColor: 'var(--gray200)' } : {}}
-              autoComplete="off"
-            />
-            <span className="sig-label">Signature</span>
+            {mode === 'typed' ? (
+              <input
+                type="text"
+                className="sig-input signature-input"
+                placeholder="Type your full name to sign"
+                value={clientSig}
+                onChange={(e) => setClientSig(e.target.value)}
+                readOnly={isLocked}
+                style={isLocked ? { opacity: 0.7, borderBottomColor: 'var(--gray200)' } : {}}
+                autoComplete="off"
+              />
+            ) : (
+              <DrawCanvas canvasRef={canvasRef} locked={isLocked} onChange={setHasDrawing} />
+            )}
+            <span className="sig-label">
+              Signature
+              {mode === 'drawn' && hasDrawing && !isLocked && (
+                <button type="button" className="sig-clear" onClick={clearDrawing}>Clear</button>
+              )}
+            </span>
           </div>
           <div className="sig-field">
             <input
@@ -128,7 +226,7 @@ export default function SignaturePad({ onSign, companyName, disabled }) {
               placeholder="Email address"
               value={clientEmail}
               onChange={(e) => setClientEmail(e.target.value)}
-              readOnly={isLocked}
+              readOnly={isLocked || !!signer}
               style={isLocked ? { opacity: 0.7, borderBottomColor: 'var(--gray200)' } : {}}
               autoComplete="email"
             />
@@ -137,12 +235,19 @@ export default function SignaturePad({ onSign, companyName, disabled }) {
           <div className="sig-field">
             <div className="sig-filled date-auto">
               {signedAt
-                ? signedAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+                ? signedAt.toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' })
                 : 'Populated upon signing'}
             </div>
             <span className="sig-label">Date</span>
           </div>
 
+          {!isLocked && (
+            <label className="sig-consent">
+              <input type="checkbox" checked={consent} onChange={(e) => setConsent(e.target.checked)} />
+              <span>{consentText}</span>
+            </label>
+          )}
+
           {(validationError || error) && !signed && !disabled && (
             <p style={{ color: '#dc2626', fontSize: 13, textAlign: 'center', margin: '8px 0 0' }}>
               {validationError || error}
@@ -167,10 +272,10 @@ export default function SignaturePad({ onSign, companyName, disabled }) {
                 <polyline points="20 6 9 17 4 12" />
               </svg>
               <div>
-                <div className="signed-text">Agreement Signed</div>
+                <div className="signed-text">{pending ? 'Your Signature Is Recorded' : 'Agreement Signed'}</div>
                 <div className="signed-detail">
                   Signed by {clientName} on{' '}
-                  {signedAt && signedAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                  {signedAt && signedAt.toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
                 </div>
               </div>
             </div>
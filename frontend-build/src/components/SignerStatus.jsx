@@ -0,0 +1,35 @@
+function fmtDate(d, locale) {
+  return new Date(d).toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' })
+}
+
+// Required signers on a multi-signer proposal and where each one stands.
+// `currentSigner` is whoever opened their personal signing link (null otherwise).
+export default function SignerStatus({ signers, signingOrder, currentSigner, locale }) {
+  let note
+  if (!currentSigner) note = 'To sign, open the personal signing link we emailed you.'
+  else if (currentSigner.signed_at) note = 'You’ve signed. We’ll email the final agreement once everyone has signed.'
+  else if (currentSigner.waiting_on) note = `${currentSigner.waiting_on} needs to sign before you can.`
+
+  return (
+    <div className="signer-status">
+      <span className="label">Signers</span>
+      <p>
+        {signingOrder === 'sequential'
+          ? 'This agreement is signed in the order below. The agreement is complete once everyone has signed.'
+          : 'Each person below signs separately. The agreement is complete once everyone has signed.'}
+      </p>
+      <ol className="signer-list">
+        {signers.map(s => (
+          <li key={s.id} className={s.signed_at ? 'signed' : ''}>
+            <span className="signer-name">
+              {s.name}{s.title ? `, ${s.title}` : ''}{currentSigner?.id === s.id ? ' (you)' : ''}
+              {s.delegated_by && <span className="signer-delegated"> on behalf of {s.delegated_by}</span>}
+            </span>
+            <span className="signer-state">{s.signed_at ? `Signed ${fmtDate(s.signed_at, locale)}` : 'Awaiting signature'}</span>
+          </li>
+        ))}
+      </ol>
+      {note && <p className="signer-note">{note}</p>}
+    </div>
+  )
+}
@@ -14,6 +14,7 @@ createRoot(document.getElementById('root')).render(
         <Route path="/p/:id" element={<ProposalPage />} />
         <Route path="/admin/login" element={<AdminLogin />} />
         <Route path="/admin" element={<AdminDashboard />} />
+        <Route path="/admin/preview/:id" element={<ProposalPage preview />} />
         <Route path="*" element={
           <div className="page-wrapper">
             <header className="site-header">
@@ -1,5 +1,9 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
+import { diffTerms } from '../termsDiff'
+import { fetchTerms } from '../terms'
+import { DrawCanvas } from '../components/SignaturePad'
+import { moneyFormat } from '../pricing'
 
 const API = import.meta.env.VITE_API_URL || ''
 
@@ -14,19 +18,268 @@ function authHeaders() {
   }
 }
 
+// Inline yes/no before a step that can't be undone: the question, a button to go ahead and Cancel
+function ConfirmBar({ question, confirmLabel, onConfirm, onCancel, busy }) {
+  return (
+    <div className="admin-confirm">
+      <span>{question}</span>
+      <span>
+        <button type="button" className="btn btn-primary" onClick={onConfirm} disabled={busy}>{confirmLabel}</button>
+        <button type="button" className="admin-link-btn" onClick={onCancel} disabled={busy}>Cancel</button>
+      </span>
+    </div>
+  )
+}
+
+// ── Custom Clauses ─────────────────────────────────────────────────
+// Proposal-specific changes to the current terms, sent as `termOverrides`
+const EMPTY_CLAUSE = { action: 'amend', section: '1', after: '', title: '', text: '' }
+
+function toTermOverride(clause) {
+  const content = clause.text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)
+  if (clause.action === 'remove') return { action: 'remove', section: Number(clause.section) }
+  if (clause.action === 'amend') {
+    return { action: 'amend', section: Number(clause.section), title: clause.title || undefined, content }
+  }
+  return { action: 'add', after: clause.after === '' ? null : Number(clause.after), title: clause.title, content }
+}
+
+// The reverse, for editing a saved draft's overrides
+function toClause(override) {
+  return {
+    action: override.action,
+    section: String(override.section ?? '1'),
+    after: override.after == null ? '' : String(override.after),
+    title: override.title || '',
+    text: (override.content || []).join('\n\n'),
+  }
+}
+
+function CustomClauses({ clauses, onChange }) {
+  const [sections, setSections] = useState([])
+
+  useEffect(() => {
+    fetchTerms().then(terms => setSections(terms.sections)).catch(() => setSections([]))
+  }, [])
+
+  function update(idx, field, value) {
+    onChange(clauses.map((c, i) => i === idx ? { ...c, [field]: value } : c))
+  }
+
+  return (
+    <div className="admin-field">
+      <label>Custom Clauses (this proposal only)</label>
+      {clauses.map((clause, idx) => (
+        <div key={idx} className="terms-editor-section">
+          <div className="terms-editor-head">
+            <select value={clause.action} onChange={e => update(idx, 'action', e.target.value)}>
+              <option value="amend">Amend section</option>
+              <option value="remove">Remove section</option>
+              <option value="add">Add clause</option>
+            </select>
+            {clause.action === 'add' ? (
+              <select value={clause.after} onChange={e => update(idx, 'after', e.target.value)}>
+                <option value="">At the end</option>
+                <option value="0">At the start</option>
+                {sections.map((s, i) => <option key={i} value={String(i + 1)}>After {i + 1}. {s.title}</option>)}
+              </select>
+            ) : (
+              <select value={clause.section} onChange={e => update(idx, 'section', e.target.value)}>
+                {sections.map((s, i) => <option key={i} value={String(i + 1)}>{i + 1}. {s.title}</option>)}
+              </select>
+            )}
+            <button type="button" className="admin-link-btn admin-link-danger"
+              onClick={() => onChange(clauses.filter((_, i) => i !== idx))}>Remove</button>
+          </div>
+          {clause.action !== 'remove' && (
+            <>
+              <input className="terms-editor-title" value={clause.title}
+                onChange={e => update(idx, 'title', e.target.value)}
+                placeholder={clause.action === 'add' ? 'Clause title' : 'New title (optional)'} />
+              <div className="terms-editor-row">
+                <textarea rows={4} value={clause.text} onChange={e => update(idx, 'text', e.target.value)}
+                  placeholder="Clause text (separate paragraphs with a blank line)" />
+              </div>
+            </>
+          )}
+        </div>
+      ))}
+      <button type="button" className="admin-link-btn" onClick={() => onChange([...clauses, { ...EMPTY_CLAUSE }])}>
+        + Add custom clause
+      </button>
+    </div>
+  )
+}
+
+// ── Signers ────────────────────────────────────────────────────────
+// Optional list of required client signers; empty means the contact signs alone
+function SignersEditor({ signers, onChange, signingOrder, onOrderChange }) {
+  function update(idx, field, value) {
+    onChange(signers.map((s, i) => i === idx ? { ...s, [field]: value } : s))
+  }
+
+  return (
+    <div className="admin-field">
+      <label>Signers (leave empty for the contact to sign alone)</label>
+      {signers.map((s, idx) => (
+        <div key={idx} className="admin-row">
+          <div className="admin-field">
+            <input value={s.name} onChange={e => update(idx, 'name', e.target.value)} placeholder={`Signer ${idx + 1} name`} />
+          </div>
+          <div className="admin-field">
+            <input type="email" value={s.email} onChange={e => update(idx, 'email', e.target.value)} placeholder="Email" />
+          </div>
+          <div className="admin-field">
+            <input value={s.title} onChange={e => update(idx, 'title', e.target.value)} placeholder="Title (optional)" />
+          </div>
+          <button type="button" className="admin-link-btn admin-link-danger"
+            onClick={() => onChange(signers.filter((_, i) => i !== idx))}>Remove</button>
+        </div>
+      ))}
+      <div>
+        <button type="button" className="admin-link-btn" onClick={() => onChange([...signers, { name: '', email: '', title: '' }])}>
+          + Add signer
+        </button>
+        {signers.length > 1 && (
+          <select value={signingOrder} onChange={e => onOrderChange(e.target.value)} style={{ marginLeft: 12 }}>
+            <option value="parallel">Sign in any order</option>
+            <option value="sequential">Sign in the order listed</option>
+          </select>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// ── Payment Schedule ───────────────────────────────────────────────
+// Optional installments (percent of the total, due on signing or by a date); empty
+// means the client pays the full total in one go
+const DEPOSIT_SCHEDULE = [
+  { label: 'Deposit', percent: '50', due: 'on_signing' },
+  { label: 'Balance', percent: '50', due: '' },
+]
+
+function PaymentScheduleEditor({ schedule, onChange }) {
+  function update(idx, field, value) {
+    onChange(schedule.map((inst, i) => i === idx ? { ...inst, [field]: value } : inst))
+  }
+
+  const totalPercent = schedule.reduce((sum, inst) => sum + (Number(inst.percent) || 0), 0)
+
+  return (
+    <div className="admin-field">
+      <label>Payment Schedule (leave empty to collect the full total at once)</label>
+      {schedule.map((inst, idx) => (
+        <div key={idx} className="admin-row">
+          <div className="admin-field">
+            <input value={inst.label} onChange={e => update(idx, 'label', e.target.value)} placeholder={`Installment ${idx + 1} label`} />
+          </div>
+          <div className="admin-field">
+            <input type="number" value={inst.percent} onChange={e => update(idx, 'percent', e.target.value)} min="1" max="99" step="0.01" placeholder="% of total" />
+          </div>
+          <div className="admin-field">
+            <select value={inst.due === 'on_signing' ? 'on_signing' : 'date'}
+              onChange={e => update(idx, 'due', e.target.value === 'on_signing' ? 'on_signing' : '')}>
+              <option value="on_signing">Due on signing</option>
+              <option value="date">Due by date</option>
+            </select>
+            {inst.due !== 'on_signing' && (
+              <input type="date" value={inst.due} onChange={e => update(idx, 'due', e.target.value)} />
+            )}
+          </div>
+          <button type="button" className="admin-link-btn admin-link-danger"
+            onClick={() => onChange(schedule.filter((_, i) => i !== idx))}>Remove</button>
+        </div>
+      ))}
+      <div>
+        {schedule.length === 0 ? (
+          <button type="button" className="admin-link-btn" onClick={() => onChange(DEPOSIT_SCHEDULE.map(inst => ({ ...inst })))}>
+            + Split into deposit and balance
+          </button>
+        ) : (
+          <>
+            <button type="button" className="admin-link-btn" onClick={() => onChange([...schedule, { label: '', percent: '', due: '' }])}>
+              + Add installment
+            </button>
+            <span className="admin-subtitle" style={{ marginLeft: 12 }}>{totalPercent}% of total</span>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
 // ── Proposal Form ──────────────────────────────────────────────────
-function ProposalForm({ onSent }) {
-  const [form, setForm] = useState({
-    contactName: '', company: '', email: '', tier: 'professional',
-    totalPrice: '', extraTrainees: '0', extraKits: '0',
-    videography: false, onRoofDay: false, vimeoUrl: '',
-    letClientChoose: false, proposalNum: '',
-    professionalPrice: '', regionalPrice: '', enterprisePrice: ''
-  })
-  const [sending, setSending] = useState(false)
+// Currencies and locales a proposal can be written in (CURRENCIES and LOCALES in server.js)
+const CURRENCIES = { usd: 'US dollars (USD)', cad: 'Canadian dollars (CAD)', gbp: 'British pounds (GBP)' }
+const LOCALES = { 'en-US': 'English (US)', 'en-CA': 'English (Canada)', 'fr-CA': 'French (Canada)', 'en-GB': 'English (UK)' }
+
+const EMPTY_PROPOSAL = {
+  contactName: '', company: '', email: '', tier: 'professional',
+  totalPrice: '', extraTrainees: '0', extraKits: '0',
+  videography: false, onRoofDay: false, vimeoUrl: '',
+  letClientChoose: false, proposalNum: '', expiresInDays: '30', discountCode: '',
+  currency: 'usd', locale: '',
+  billingLine1: '', billingCity: '', billingState: '', billingZip: '', billingCountry: 'US',
+  professionalPrice: '', regionalPrice: '', enterprisePrice: ''
+}
+
+// Form fields for a saved draft (GET /api/proposals/:id/draft)
+function draftToForm(draft) {
+  const text = v => (v == null ? '' : String(v))
+  const address = draft.billingAddress || {}
+  // A fixed expiry date is edited as the days left until it
+  const days = draft.expiresInDays
+    || (draft.expiresAt ? Math.max(1, Math.ceil((new Date(draft.expiresAt) - Date.now()) / 86400000)) : '')
+  return {
+    ...EMPTY_PROPOSAL,
+    contactName: draft.contactName, company: draft.company, email: draft.email,
+    tier: draft.tier || 'professional',
+    totalPrice: text(draft.totalPrice), extraTrainees: text(draft.extraTrainees ?? 0), extraKits: text(draft.extraKits ?? 0),
+    videography: !!draft.videography, onRoofDay: !!draft.onRoofDay, vimeoUrl: draft.vimeoUrl || '',
+    letClientChoose: !!draft.letClientChoose, proposalNum: draft.proposalNum || '',
+    expiresInDays: text(days), discountCode: draft.discountCode || '',
+    currency: draft.currency || 'usd', locale: draft.locale || '',
+    billingLine1: address.line1 || '', billingCity: address.city || '', billingState: address.state || '',
+    billingZip: address.postal_code || '', billingCountry: address.country || 'US',
+    professionalPrice: text(draft.professionalPrice), regionalPrice: text(draft.regionalPrice), enterprisePrice: text(draft.enterprisePrice)
+  }
+}
+
+// New proposals, or the draft `draftId` when one is being edited. Proposals can be sent
+// straight away or saved as drafts to review from the list; `onDone` ends editing.
+function ProposalForm({ draftId, onSent, onDone }) {
+  const [form, setForm] = useState(EMPTY_PROPOSAL)
+  const [clauses, setClauses] = useState([])
+  const [signers, setSigners] = useState([])
+  const [signingOrder, setSigningOrder] = useState('parallel')
+  const [schedule, setSchedule] = useState([])
+  const [loadedDraft, setLoadedDraft] = useState(null)
+  const [sending, setSending] = useState(null)
   const [result, setResult] = useState(null)
   const [error, setError] = useState('')
 
+  useEffect(() => {
+    if (!draftId) return
+    let cancelled = false
+    fetch(`${API}/api/proposals/${draftId}/draft`, { headers: authHeaders() })
+      .then(async res => {
+        const data = await res.json()
+        if (!res.ok) throw new Error(data.error || 'Failed to load draft')
+        if (cancelled) return
+        setResult(null)
+        setError('')
+        setForm(draftToForm(data))
+        setClauses(data.termOverrides.map(toClause))
+        setSigners(data.signers)
+        setSigningOrder(data.signingOrder || 'parallel')
+        setSchedule(data.paymentSchedule.map(inst => ({ ...inst, percent: String(inst.percent) })))
+      })
+      .catch(err => { if (!cancelled) setError(err.message) })
+      .finally(() => { if (!cancelled) setLoadedDraft(draftId) })
+    return () => { cancelled = true }
+  }, [draftId])
+
   function set(field) {
     return e => {
       const val = e.target.type === 'checkbox' ? e.target.checked : e.target.value
@@ -34,11 +287,32 @@ function ProposalForm({ onSent }) {
     }
   }
 
+  function reset() {
+    setForm(EMPTY_PROPOSAL)
+    setClauses([])
+    setSigners([])
+    setSigningOrder('parallel')
+    setSchedule([])
+  }
+
+  async function request(method, path, body) {
+    const res = await fetch(`${API}${path}`, {
+      method,
+      headers: authHeaders(),
+      body: body && JSON.stringify(body)
+    })
+    const data = await res.json()
+    if (!res.ok) throw new Error(data.error || 'Failed to save proposal')
+    return data
+  }
+
   async function handleSubmit(e) {
     e.preventDefault()
+    // "Save Draft" or "Send Proposal"
+    const action = e.nativeEvent.submitter?.value === 'draft' ? 'draft' : 'send'
     setError('')
     setResult(null)
-    setSending(true)
+    setSending(action)
 
     try {
       // Validate prices
@@ -48,13 +322,13 @@ function ProposalForm({ onSent }) {
         const hasEntPrice = Number(form.enterprisePrice) > 0
         if (!hasProPrice && !hasRegPrice && !hasEntPrice) {
           setError('Please enter a price for at least one package tier.')
-          setSending(false)
+          setSending(null)
           return
         }
       } else {
         if (!Number(form.totalPrice) || Number(form.totalPrice) <= 0) {
           setError('Please enter the total price for the proposal.')
-          setSending(false)
+          setSending(null)
           return
         }
       }
@@ -72,48 +346,77 @@ function ProposalForm({ onSent }) {
         vimeoUrl: form.vimeoUrl || null,
         letClientChoose: form.letClientChoose,
         proposalNum: form.proposalNum || null,
+        expiresInDays: form.expiresInDays === '' ? null : Number(form.expiresInDays),
+        discountCode: form.discountCode.trim() || null,
+        currency: form.currency,
+        locale: form.locale || null,
+        billingAddress: form.billingLine1.trim()
+          ? { line1: form.billingLine1, city: form.billingCity, state: form.billingState, postal_code: form.billingZip, country: form.billingCountry }
+          : null,
         professionalPrice: form.letClientChoose ? (Number(form.professionalPrice) || null) : null,
         regionalPrice: form.letClientChoose ? (Number(form.regionalPrice) || null) : null,
         enterprisePrice: form.letClientChoose ? (Number(form.enterprisePrice) || null) : null,
+        termOverrides: clauses.map(toTermOverride),
+        signers,
+        signingOrder,
+        paymentSchedule: schedule.map(inst => ({ label: inst.label, percent: Number(inst.percent), due: inst.due })),
       }
 
-      const res = await fetch(`${API}/api/send-proposal`, {
-        method: 'POST',
-        headers: authHeaders(),
-        body: JSON.stringify(body)
-      })
-      const data = await res.json()
-      if (!res.ok) throw new Error(data.error || 'Failed to send proposal')
+      let data
+      if (action === 'draft') {
+        data = await request(draftId ? 'PUT' : 'POST', draftId ? `/api/proposals/${draftId}` : '/api/proposals', body)
+        setResult({ message: `Draft saved for ${form.company}. Preview and send it from All Proposals.` })
+      } else {
+        // A draft being edited is saved first, then sent as it stands
+        if (draftId) await request('PUT', `/api/proposals/${draftId}`, body)
+        data = draftId
+          ? await request('POST', `/api/proposals/${draftId}/send`)
+          : await request('POST', '/api/send-proposal', body)
+        setResult({ message: data.message, url: data.proposal.proposalUrl })
+      }
 
-      setResult(data)
-      setForm({
-        contactName: '', company: '', email: '', tier: 'professional',
-        totalPrice: '', extraTrainees: '0', extraKits: '0',
-        videography: false, onRoofDay: false, vimeoUrl: '',
-        letClientChoose: false, proposalNum: '',
-        professionalPrice: '', regionalPrice: '', enterprisePrice: ''
-      })
+      reset()
       if (onSent) onSent()
+      if (draftId && onDone) onDone()
     } catch (err) {
       setError(err.message)
     } finally {
-      setSending(false)
+      setSending(null)
     }
   }
 
+  if (draftId && loadedDraft !== draftId) {
+    return (
+      <div className="card">
+        <h3 className="section-title">Edit Draft</h3>
+        <div className="loading"><div className="spinner"></div></div>
+      </div>
+    )
+  }
+
   return (
     <div className="card">
-      <h3 className="section-title">Send a Proposal</h3>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: 12 }}>
+        <h3 className="section-title">{draftId ? 'Edit Draft' : 'Send a Proposal'}</h3>
+        {draftId && (
+          <button type="button" className="admin-link-btn" onClick={() => { reset(); onDone() }}>
+            Cancel editing
+          </button>
+        )}
+      </div>
       <form onSubmit={handleSubmit} className="admin-form">
         {error && <div className="admin-error">{error}</div>}
         {result && (
           <div className="admin-success">
-            Proposal sent to {form.email || 'client'}!
-            <br />
-            <a href={result.proposal?.proposalUrl || result.proposal?.proposal_url}
-               target="_blank" rel="noopener noreferrer">
-              View proposal
-            </a>
+            {result.message}
+            {result.url && (
+              <>
+                <br />
+                <a href={result.url} target="_blank" rel="noopener noreferrer">
+                  View proposal
+                </a>
+              </>
+            )}
           </div>
         )}
 
@@ -139,6 +442,22 @@ function ProposalForm({ onSent }) {
           </div>
         </div>
 
+        <div className="admin-row">
+          <div className="admin-field">
+            <label>Currency</label>
+            <select value={form.currency} onChange={set('currency')}>
+              {Object.entries(CURRENCIES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+            </select>
+          </div>
+          <div className="admin-field">
+            <label>Number Format</label>
+            <select value={form.locale} onChange={set('locale')}>
+              <option value="">Default for currency</option>
+              {Object.entries(LOCALES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+            </select>
+          </div>
+        </div>
+
         <div className="admin-field">
           <label className="admin-checkbox">
             <input type="checkbox" checked={form.letClientChoose} onChange={set('letClientChoose')} />
@@ -158,7 +477,7 @@ function ProposalForm({ onSent }) {
                 </select>
               </div>
               <div className="admin-field">
-                <label>Total Price ($)</label>
+                <label>Total Price ({form.currency.toUpperCase()})</label>
                 <input type="number" value={form.totalPrice} onChange={set('totalPrice')} min="0" step="0.01" />
               </div>
             </div>
@@ -178,15 +497,15 @@ function ProposalForm({ onSent }) {
           <>
             <div className="admin-row" style={{ gap: '10px' }}>
               <div className="admin-field">
-                <label>Professional Price ($)</label>
+                <label>Professional Price ({form.currency.toUpperCase()})</label>
                 <input type="number" value={form.professionalPrice} onChange={set('professionalPrice')} min="0" step="0.01" placeholder="3 trainees, 1 kit" />
               </div>
               <div className="admin-field">
-                <label>Regional Price ($)</label>
+                <label>Regional Price ({form.currency.toUpperCase()})</label>
                 <input type="number" value={form.regionalPrice} onChange={set('regionalPrice')} min="0" step="0.01" placeholder="10 trainees, 2 kits" />
               </div>
               <div className="admin-field">
-                <label>Enterprise Price ($)</label>
+                <label>Enterprise Price ({form.currency.toUpperCase()})</label>
                 <input type="number" value={form.enterprisePrice} onChange={set('enterprisePrice')} min="0" step="0.01" placeholder="25 trainees, 4 kits" />
               </div>
             </div>
@@ -208,71 +527,1807 @@ function ProposalForm({ onSent }) {
           </div>
         </div>
 
-        <div className="admin-field">
-          <label>Vimeo URL (optional)</label>
-          <input value={form.vimeoUrl} onChange={set('vimeoUrl')} placeholder="https://vimeo.com/123456789" />
+        <div className="admin-row">
+          <div className="admin-field">
+            <label>Vimeo URL (optional)</label>
+            <input value={form.vimeoUrl} onChange={set('vimeoUrl')} placeholder="https://vimeo.com/123456789" />
+          </div>
+          <div className="admin-field">
+            <label>Expires In (days)</label>
+            <input type="number" value={form.expiresInDays} onChange={set('expiresInDays')} min="1" />
+          </div>
+          <div className="admin-field">
+            <label>Discount Code (optional)</label>
+            <input value={form.discountCode} onChange={set('discountCode')} placeholder="SPRING10" />
+          </div>
         </div>
 
-        <button type="submit" className="btn btn-primary" disabled={sending}>
-          {sending ? 'Sending...' : 'Send Proposal'}
-        </button>
+        <div className="admin-row">
+          <div className="admin-field">
+            <label>Billing Address (optional – for sales tax)</label>
+            <input value={form.billingLine1} onChange={set('billingLine1')} placeholder="Street address" />
+          </div>
+          <div className="admin-field">
+            <label>City</label>
+            <input value={form.billingCity} onChange={set('billingCity')} />
+          </div>
+          <div className="admin-field">
+            <label>{form.billingCountry === 'US' ? 'State' : 'Province / County'}</label>
+            <input value={form.billingState} onChange={set('billingState')} placeholder={form.billingCountry === 'US' ? 'TX' : ''} maxLength={form.billingCountry === 'US' ? 2 : 60} />
+          </div>
+          <div className="admin-field">
+            <label>{form.billingCountry === 'US' ? 'ZIP' : 'Postal Code'}</label>
+            <input value={form.billingZip} onChange={set('billingZip')} />
+          </div>
+          <div className="admin-field">
+            <label>Country</label>
+            <select value={form.billingCountry} onChange={set('billingCountry')}>
+              <option value="US">United States</option>
+              <option value="CA">Canada</option>
+              <option value="GB">United Kingdom</option>
+            </select>
+          </div>
+        </div>
+
+        <SignersEditor signers={signers} onChange={setSigners} signingOrder={signingOrder} onOrderChange={setSigningOrder} />
+
+        <PaymentScheduleEditor schedule={schedule} onChange={setSchedule} />
+
+        <CustomClauses clauses={clauses} onChange={setClauses} />
+
+        <div className="admin-row">
+          <button type="submit" name="action" value="draft" className="btn btn-secondary" disabled={!!sending}>
+            {sending === 'draft' ? 'Saving...' : 'Save Draft'}
+          </button>
+          <button type="submit" name="action" value="send" className="btn btn-primary" disabled={!!sending}>
+            {sending === 'send' ? 'Sending...' : 'Send Proposal'}
+          </button>
+        </div>
       </form>
     </div>
   )
 }
 
 // ── Proposals List ─────────────────────────────────────────────────
-function ProposalsList({ proposals, loading }) {
-  if (loading) {
-    return (
-      <div className="card">
-        <h3 className="section-title">All Proposals</h3>
-        <div className="loading"><div className="spinner"></div></div>
-      </div>
-    )
+const OPEN_STATUSES = ['sent', 'viewed', 'configured']
+const VOIDABLE_STATUSES = ['draft', 'sent', 'viewed', 'configured', 'signed', 'failed', 'expired', 'invoiced']
+const REFUNDABLE_STATUSES = ['partially_paid', 'paid', 'partially_refunded']
+
+// Expired, or past its expiry and not yet flipped by the server. Only offers still
+// waiting on the client expire; a signed proposal can be paid whenever.
+function isExpired(p) {
+  if (p.status === 'expired') return true
+  return OPEN_STATUSES.includes(p.status) && !!p.expires_at && new Date(p.expires_at) <= new Date()
+}
+
+// ── Proposal Activity ──────────────────────────────────────────────
+const STATUS_EVENT_LABELS = {
+  viewed: 'First opened by client',
+  payment_processing: 'Bank transfer initiated',
+  partially_paid: 'Installment paid',
+  invoiced: 'Invoice issued',
+  paid: 'Payment received',
+  failed: 'Payment failed',
+  partially_refunded: 'Partially refunded',
+  refunded: 'Payment refunded',
+  disputed: 'Payment disputed',
+  expired: 'Proposal expired',
+  voided: 'Proposal voided',
+}
+
+const SECTION_LABELS = { terms: 'terms', comparison: 'comparison table', configurator: 'configurator' }
+
+function formatDuration(seconds) {
+  if (!seconds) return '0s'
+  const m = Math.floor(seconds / 60)
+  const s = seconds % 60
+  return m ? `${m}m ${s}s` : `${s}s`
+}
+
+// `money` formats amounts in the proposal's currency
+function describeEvent(e, money) {
+  const payload = e.payload || {}
+  switch (e.event_type) {
+    case 'created':
+      return 'Proposal created'
+    case 'draft_updated':
+      return 'Draft edited'
+    case 'opened': {
+      const details = [payload.device_type, payload.duration_seconds ? formatDuration(payload.duration_seconds) : null]
+      if (payload.sections?.length) details.push(`expanded ${payload.sections.map(s => SECTION_LABELS[s] || s).join(', ')}`)
+      const shown = details.filter(Boolean)
+      return `Opened by client${shown.length ? ` (${shown.join(' · ')})` : ''}`
+    }
+    case 'checkout_created':
+      return `Checkout session created${payload.installment ? ` for ${payload.installment}` : ''}${payload.amount_total ? ` (${money(payload.amount_total / 100)})` : ''}${payload.payment_method ? ` · ${payload.payment_method === 'ach' ? 'bank transfer' : 'card'}` : ''}`
+    case 'billing_address_updated':
+      return `Billing address set (${[payload.state, payload.country && payload.country !== 'US' ? payload.country : null].filter(Boolean).join(', ')})`
+    case 'stripe_webhook':
+      return `Stripe: ${payload.event_type}`
+    case 'delegated':
+      return `${payload.from_name} forwarded signing to ${payload.to_name} (${payload.to_email})`
+    case 'signer_invited':
+      return `Signing link sent to ${payload.name} (${payload.email})`
+    case 'signer_signed':
+      return `Signed by ${payload.signature_name || payload.name} (${payload.email})`
+    case 'countersigned':
+      return `Countersigned by ${payload.signature_name}${payload.title ? `, ${payload.title}` : ''} – fully executed`
+    case 'refund_requested':
+      return `Refund of ${money(payload.amount)} requested${payload.reason && payload.reason !== 'requested_by_customer' ? ` (${payload.reason})` : ''}`
+    case 'discount_changed':
+      if (!payload.code) return `Discount code ${payload.previous_code} removed`
+      return `Discount code ${payload.code} applied (–${money(payload.discount_amount)})`
+    case 'expiry_extended':
+      return `Expiry extended to ${new Date(payload.expires_at).toLocaleDateString()}`
+    case 'status_change':
+      if (e.to_status === 'sent') return payload.to ? `Sent to ${payload.to}` : 'Proposal sent'
+      if (e.to_status === 'configured') {
+        return `Package configured: ${payload.tier || 'custom'}${payload.total_price ? ` – ${money(payload.total_price)}` : ''}`
+      }
+      if (e.to_status === 'signed') return `Signed by ${payload.signature_name || 'client'}`
+      if (e.to_status === 'invoiced') {
+        return `Invoice ${payload.invoice_number} issued – net ${payload.net_days}, due ${new Date(`${payload.due_date}T00:00:00`).toLocaleDateString()}`
+      }
+      if (e.to_status === 'paid' && payload.invoice_number) {
+        return `Invoice ${payload.invoice_number} paid${payload.via === 'manual' ? ` – marked paid, reference ${payload.reference}` : ' via Stripe'}`
+      }
+      if (payload.installment && (e.to_status === 'partially_paid' || e.to_status === 'paid')) {
+        return payload.event_type === 'checkout.session.async_payment_failed'
+          ? `Installment payment failed: ${payload.installment}`
+          : `Installment paid: ${payload.installment}${e.to_status === 'paid' ? ' – paid in full' : ''}`
+      }
+      if (e.to_status === 'disputed') {
+        return `Payment disputed: ${money(payload.amount / 100)} (${payload.reason?.replace(/_/g, ' ')})${payload.evidence_due_by ? ` – evidence due ${new Date(payload.evidence_due_by).toLocaleDateString()}` : ''}`
+      }
+      if (payload.total_returned != null) {
+        return `${payload.dispute_status === 'lost' ? 'Dispute lost' : 'Refund processed'} – ${money(payload.total_returned / 100)} returned in total`
+      }
+      if (e.from_status === 'disputed') return `Dispute closed (${payload.dispute_status?.replace(/_/g, ' ')}) – payment stands`
+      if (e.from_status === 'expired') return `Reopened as ${e.to_status}`
+      if (e.to_status === 'voided' && payload.reason) return `${STATUS_EVENT_LABELS.voided} – ${payload.reason}`
+      return STATUS_EVENT_LABELS[e.to_status] || `Status changed to ${e.to_status}`
+    default:
+      return e.event_type.replace(/_/g, ' ')
+  }
+}
+
+const SIGNER_STATUS_LABELS = { signed: 'signed', invited: 'link sent', waiting: 'waiting', pending: 'not sent' }
+
+// Per-signer status on a multi-signer proposal
+function SignerList({ proposalId }) {
+  const [signers, setSigners] = useState(null)
+  const [message, setMessage] = useState('')
+
+  const fetchSigners = useCallback(async () => {
+    try {
+      const res = await fetch(`${API}/api/proposals/${proposalId}/signers`, { headers: authHeaders() })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to load signers')
+      setSigners(data.signers)
+    } catch (err) {
+      setMessage(err.message)
+    }
+  }, [proposalId])
+
+  useEffect(() => { fetchSigners() }, [fetchSigners])
+
+  async function copyLink(s) {
+    await navigator.clipboard.writeText(s.link)
+    setMessage(`Signing link for ${s.name} copied`)
+  }
+
+  async function remind(s) {
+    setMessage('')
+    try {
+      const res = await fetch(`${API}/api/proposals/${proposalId}/signers/${s.id}/remind`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({})
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to send reminder')
+      setMessage(`Reminder sent to ${s.email}`)
+      fetchSigners()
+    } catch (err) {
+      setMessage(err.message)
+    }
   }
 
+  if (!signers || signers.length === 0) return message ? <p className="admin-subtitle">{message}</p> : null
+
   return (
-    <div className="card">
-      <h3 className="section-title">All Proposals ({proposals.length})</h3>
-      {proposals.length === 0 ? (
-        <p style={{ color: '#64748b', fontSize: 14 }}>No proposals sent yet.</p>
-      ) : (
-        <div className="admin-table-wrap">
-          <table className="admin-table">
-            <thead>
-              <tr>
-                <th>Date</th>
-                <th>Company</th>
-                <th>Contact</th>
-                <th>Total</th>
-                <th>Status</th>
-                <th>Payment</th>
-                <th>Link</th>
-              </tr>
-            </thead>
-            <tbody>
-              {proposals.map(p => (
-                <tr key={p.id}>
-                  <td>{new Date(p.created_at).toLocaleDateString()}</td>
-                  <td>{p.company}</td>
-                  <td>{p.contact_name}</td>
-                  <td>{p.total_price ? `$${Number(p.total_price).toLocaleString()}` : '—'}</td>
-                  <td>
-                    <span className={`admin-badge badge-${p.status}`}>{p.status}</span>
-                  </td>
-                  <td>
-                    <span className={`admin-badge badge-${p.payment_status}`}>{p.payment_status}</span>
-                  </td>
-                  <td>
-                    <a href={`/p/${p.id}`} target="_blank" rel="noopener noreferrer" className="admin-link">
-                      View
-                    </a>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
+    <div className="admin-signers">
+      <ol>
+        {signers.map(s => (
+          <li key={s.id}>
+            <div>
+              <strong>{s.name}</strong>{s.title ? `, ${s.title}` : ''} · {s.email}
+              {s.delegated_by && <> · forwarded by {s.delegated_by}</>}
+              <span className={`admin-badge badge-signer-${s.status}`}>{SIGNER_STATUS_LABELS[s.status]}</span>
+            </div>
+            <div className="admin-timeline-meta">
+              {s.signed_at
+                ? `Signed ${new Date(s.signed_at).toLocaleString()}`
+                : (
+                  <>
+                    <button type="button" className="admin-link-btn" onClick={() => copyLink(s)}>Copy link</button>
+                    {s.status !== 'waiting' && (
+                      <button type="button" className="admin-link-btn" onClick={() => remind(s)}>
+                        {s.invited_at ? 'Resend' : 'Send'}
+                      </button>
+                    )}
+                  </>
+                )}
+            </div>
+          </li>
+        ))}
+      </ol>
+      {message && <p className="admin-subtitle">{message}</p>}
+    </div>
+  )
+}
+
+function ProposalActivity({ proposal, onClose }) {
+  const [events, setEvents] = useState(null)
+  const [engagement, setEngagement] = useState(null)
+  const [error, setError] = useState('')
+  const [previewMessage, setPreviewMessage] = useState('')
+  const [contractMessage, setContractMessage] = useState('')
+  const money = moneyFormat(proposal)
+
+  async function openContract() {
+    setContractMessage('')
+    try {
+      const res = await fetch(`${API}/api/proposals/${proposal.id}/contract.pdf`, { headers: authHeaders() })
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}))
+        throw new Error(data.error || 'Failed to load contract')
+      }
+      window.open(URL.createObjectURL(await res.blob()), '_blank')
+    } catch (err) {
+      setContractMessage(err.message)
+    }
+  }
+
+  async function verifyContract() {
+    setContractMessage('Verifying...')
+    try {
+      const res = await fetch(`${API}/api/proposals/${proposal.id}/contract/verify`, { headers: authHeaders() })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to verify contract')
+      if (!data.archiveIntact) setContractMessage('Archived PDF does not match its stored hash')
+      else if (data.rerenderMatches) setContractMessage(`Verified – a fresh render matches SHA-256 ${data.storedHash.slice(0, 12)}…`)
+      else setContractMessage('Archive intact, but a fresh render differs (the terms or record changed since signing)')
+    } catch (err) {
+      setContractMessage(err.message)
+    }
+  }
+
+  // Signed link for teammates without a dashboard login – their views aren't tracked either
+  async function copyPreviewLink() {
+    setPreviewMessage('')
+    try {
+      const res = await fetch(`${API}/api/proposals/${proposal.id}/preview-link`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({})
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to create preview link')
+      await navigator.clipboard.writeText(data.url)
+      setPreviewMessage(`Preview link copied (valid until ${new Date(data.expiresAt).toLocaleDateString()})`)
+    } catch (err) {
+      setPreviewMessage(err.message)
+    }
+  }
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      const res = await fetch(`${API}/api/proposals/${proposal.id}/events`, { headers: authHeaders() })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to load activity')
+      setEvents(data.events)
+      setEngagement(data.engagement)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [proposal.id])
+
+  useEffect(() => { fetchEvents() }, [fetchEvents])
+
+  return (
+    <div className="admin-drawer-overlay" onClick={onClose}>
+      <aside className="admin-drawer" onClick={e => e.stopPropagation()}>
+        <div className="admin-drawer-header">
+          <div>
+            <h3 className="section-title" style={{ marginBottom: 4 }}>{proposal.company}</h3>
+            <p className="admin-subtitle" style={{ margin: 0 }}>
+              {proposal.contact_name} · <span className={`admin-badge badge-${proposal.status}`}>{proposal.status.replace('_', ' ')}</span>
+            </p>
+          </div>
+          <button type="button" className="admin-link-btn" onClick={onClose}>Close</button>
+        </div>
+        <p className="admin-subtitle">
+          <a href={`/admin/preview/${proposal.id}`} target="_blank" rel="noopener noreferrer" className="admin-link">
+            Preview as client
+          </a>
+          <button type="button" className="admin-link-btn" onClick={copyPreviewLink}>Copy preview link</button>
+          {previewMessage && <span style={{ marginLeft: 8 }}>{previewMessage}</span>}
+        </p>
+        {proposal.signed_at && (
+          <p className="admin-subtitle">
+            {proposal.countersigned_at ? 'Executed contract:' : 'Signed contract:'}
+            <button type="button" className="admin-link-btn" onClick={openContract}>Download</button>
+            <button type="button" className="admin-link-btn" onClick={verifyContract}>Verify</button>
+            {contractMessage && <span style={{ marginLeft: 8 }}>{contractMessage}</span>}
+          </p>
+        )}
+
+        {proposal.signer_count > 0 && <SignerList proposalId={proposal.id} />}
+
+        {error && <div className="admin-error">{error}</div>}
+        {engagement && (
+          <div className="admin-engagement">
+            <div><strong>{engagement.views}</strong><span>views</span></div>
+            <div><strong>{engagement.unique_visitors}</strong><span>visitors</span></div>
+            <div><strong>{formatDuration(engagement.total_seconds)}</strong><span>time on page</span></div>
+            <p>
+              {engagement.sections.length
+                ? `Expanded ${engagement.sections.map(s => SECTION_LABELS[s]).join(', ')}`
+                : 'No sections expanded yet'}
+              {Object.keys(engagement.devices).length > 0 &&
+                ` · ${Object.entries(engagement.devices).map(([d, n]) => `${n} ${d}`).join(', ')}`}
+            </p>
+          </div>
+        )}
+        {!events && !error && <div className="loading"><div className="spinner"></div></div>}
+        {events && events.length === 0 && (
+          <p style={{ color: '#64748b', fontSize: 14 }}>No activity recorded yet.</p>
+        )}
+        {events && events.length > 0 && (
+          <ol className="admin-timeline">
+            {events.map(e => (
+              <li key={e.id} className={`admin-timeline-item timeline-${e.event_type}`}>
+                <div className="admin-timeline-title">{describeEvent(e, money)}</div>
+                <div className="admin-timeline-meta">
+                  {new Date(e.created_at).toLocaleString()} · {e.actor}{e.ip ? ` · ${e.ip}` : ''}
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </aside>
+    </div>
+  )
+}
+
+// ── Draft Review ───────────────────────────────────────────────────
+// A draft's email and PDF exactly as the client will get them, before it's sent
+function DraftDrawer({ proposal, onClose, onEdit, onSent }) {
+  const [preview, setPreview] = useState(null)
+  const [confirming, setConfirming] = useState(false)
+  const [sending, setSending] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetch(`${API}/api/proposals/${proposal.id}/email-preview`, { headers: authHeaders() })
+      .then(async res => {
+        const data = await res.json()
+        if (!res.ok) throw new Error(data.error || 'Failed to load email preview')
+        setPreview(data)
+      })
+      .catch(err => setError(err.message))
+  }, [proposal.id])
+
+  async function openPdf() {
+    setError('')
+    try {
+      const res = await fetch(`${API}/api/proposals/${proposal.id}/proposal.pdf`, { headers: authHeaders() })
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}))
+        throw new Error(data.error || 'Failed to load PDF')
+      }
+      window.open(URL.createObjectURL(await res.blob()), '_blank')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  async function handleSend() {
+    setError('')
+    setSending(true)
+    try {
+      const res = await fetch(`${API}/api/proposals/${proposal.id}/send`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({})
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to send proposal')
+      onSent()
+    } catch (err) {
+      setError(err.message)
+      setSending(false)
+    }
+  }
+
+  return (
+    <div className="admin-drawer-overlay" onClick={onClose}>
+      <aside className="admin-drawer admin-drawer-wide" onClick={e => e.stopPropagation()}>
+        <div className="admin-drawer-header">
+          <div>
+            <h3 className="section-title" style={{ marginBottom: 4 }}>Review Draft</h3>
+            <p className="admin-subtitle" style={{ margin: 0 }}>
+              {proposal.company} · drafted {new Date(proposal.created_at).toLocaleDateString()}
+            </p>
+          </div>
+          <button type="button" className="admin-link-btn" onClick={onClose}>Close</button>
+        </div>
+        {error && <div className="admin-error">{error}</div>}
+        {!preview ? (
+          !error && <div className="loading"><div className="spinner"></div></div>
+        ) : (
+          <>
+            <dl className="admin-email-meta">
+              <dt>To</dt><dd>{preview.to}</dd>
+              <dt>Subject</dt><dd>{preview.subject}</dd>
+              <dt>Attachment</dt>
+              <dd>
+                <button type="button" className="admin-link-btn" onClick={openPdf}>{preview.attachment}</button>
+              </dd>
+            </dl>
+            {/* Sandboxed: the email is rendered, never scripted */}
+            <iframe className="admin-email-preview" title="Email preview" sandbox="" srcDoc={preview.html} />
+          </>
+        )}
+        <p className="admin-subtitle">
+          <a href={`/admin/preview/${proposal.id}`} target="_blank" rel="noopener noreferrer" className="admin-link">
+            Preview the proposal page
+          </a>
+          {' · '}
+          <button type="button" className="admin-link-btn" onClick={onEdit}>Edit draft</button>
+        </p>
+        {confirming ? (
+          <ConfirmBar
+            question={`Email this proposal to ${proposal.email}?`}
+            confirmLabel={sending ? 'Sending...' : 'Send'}
+            onConfirm={handleSend}
+            onCancel={() => setConfirming(false)}
+            busy={sending}
+          />
+        ) : (
+          <button type="button" className="btn btn-primary" onClick={() => setConfirming(true)} disabled={!preview}>
+            Send Proposal
+          </button>
+        )}
+      </aside>
+    </div>
+  )
+}
+
+// ── Countersign ────────────────────────────────────────────────────
+// ReDry's signature on a client-signed proposal; the server then emails the
+// fully executed contract to both parties
+function CountersignDrawer({ proposal, onClose, onDone }) {
+  const [mode, setMode] = useState('typed')
+  const [hasDrawing, setHasDrawing] = useState(false)
+  const canvasRef = useRef(null)
+  const [signature, setSignature] = useState('')
+  const [printedName, setPrintedName] = useState('')
+  const [title, setTitle] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    setError('')
+    if ((mode === 'typed' && !signature.trim()) || (mode === 'drawn' && !hasDrawing) || !printedName.trim() || !title.trim()) {
+      setError('Please sign and fill in your name and title.')
+      return
+    }
+    setSubmitting(true)
+    try {
+      const res = await fetch(`${API}/api/proposals/${proposal.id}/countersign`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          method: mode,
+          signatureName: mode === 'typed' ? signature.trim() : printedName.trim(),
+          signatureImage: mode === 'drawn' ? canvasRef.current.toDataURL('image/png') : null,
+          printedName: printedName.trim(),
+          title: title.trim(),
+        })
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to countersign')
+      onDone()
+    } catch (err) {
+      setError(err.message)
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="admin-drawer-overlay" onClick={onClose}>
+      <aside className="admin-drawer" onClick={e => e.stopPropagation()}>
+        <div className="admin-drawer-header">
+          <div>
+            <h3 className="section-title" style={{ marginBottom: 4 }}>Countersign</h3>
+            <p className="admin-subtitle" style={{ margin: 0 }}>
+              {proposal.company} · signed by client {new Date(proposal.signed_at).toLocaleDateString()}
+            </p>
+          </div>
+          <button type="button" className="admin-link-btn" onClick={onClose}>Close</button>
+        </div>
+        <p className="admin-subtitle">
+          <a href={`/admin/preview/${proposal.id}`} target="_blank" rel="noopener noreferrer" className="admin-link">
+            Review the signed proposal
+          </a>
+        </p>
+        <form onSubmit={handleSubmit} className="admin-form">
+          {error && <div className="admin-error">{error}</div>}
+          <div className="sig-mode-toggle">
+            <button type="button" className={mode === 'typed' ? 'active' : ''} onClick={() => { setMode('typed'); setHasDrawing(false) }}>Type</button>
+            <button type="button" className={mode === 'drawn' ? 'active' : ''} onClick={() => { setMode('drawn'); setHasDrawing(false) }}>Draw</button>
+          </div>
+          <div className="admin-field">
+            <label>Signature</label>
+            {mode === 'typed'
+              ? <input className="signature-input" value={signature} onChange={e => setSignature(e.target.value)} placeholder="Type your full name" autoComplete="off" />
+              : <DrawCanvas canvasRef={canvasRef} locked={submitting} onChange={setHasDrawing} />}
+          </div>
+          <div className="admin-field">
+            <label>Printed Name</label>
+            <input value={printedName} onChange={e => setPrintedName(e.target.value)} autoComplete="name" />
+          </div>
+          <div className="admin-field">
+            <label>Title</label>
+            <input value={title} onChange={e => setTitle(e.target.value)} autoComplete="organization-title" />
+          </div>
+          <p className="admin-subtitle">
+            The fully executed contract, with both signatures, will be emailed to {proposal.email} and to ReDry.
+          </p>
+          <button type="submit" className="btn btn-primary" disabled={submitting}>
+            {submitting ? 'Countersigning...' : 'Countersign & Send'}
+          </button>
+        </form>
+      </aside>
+    </div>
+  )
+}
+
+// ── Invoice ────────────────────────────────────────────────────────
+// Enterprise packages are invoiced on net terms instead of paying through checkout.
+// Bank transfers are recorded here by reference; Stripe-hosted payments arrive by webhook.
+function InvoiceDrawer({ proposal, onClose, onDone }) {
+  const [invoice, setInvoice] = useState(null)
+  const [loading, setLoading] = useState(proposal.invoice_status != null)
+  const [netDays, setNetDays] = useState('30')
+  const [stripeInvoice, setStripeInvoice] = useState(true)
+  const [reference, setReference] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  const fetchInvoice = useCallback(async () => {
+    try {
+      const res = await fetch(`${API}/api/proposals/${proposal.id}/invoice`, { headers: authHeaders() })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to load invoice')
+      setInvoice(data.invoice)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [proposal.id])
+
+  useEffect(() => { if (proposal.invoice_status != null) fetchInvoice() }, [proposal.invoice_status, fetchInvoice])
+
+  async function post(path, body) {
+    setError('')
+    setSubmitting(true)
+    try {
+      const res = await fetch(`${API}/api/proposals/${proposal.id}/${path}`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(body)
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Request failed')
+      return data
+    } catch (err) {
+      setError(err.message)
+      return null
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  async function handleIssue(e) {
+    e.preventDefault()
+    const data = await post('invoice', { netDays: Number(netDays), stripeInvoice })
+    if (!data) return
+    const notes = [`Invoice ${data.invoice.number} issued`]
+    if (!data.emailSent) notes.push('but the email could not be sent – download the PDF and send it manually')
+    if (data.stripeError) notes.push(data.stripeError)
+    setMessage(notes.join('. '))
+    await fetchInvoice()
+    onDone()
+  }
+
+  async function handleMarkPaid(e) {
+    e.preventDefault()
+    if (!reference.trim()) {
+      setError('Enter the ACH trace or wire confirmation number.')
+      return
+    }
+    const data = await post('invoice/mark-paid', { reference: reference.trim() })
+    if (!data) return
+    setMessage(`Invoice ${data.invoice.number} marked paid`)
+    await fetchInvoice()
+    onDone()
+  }
+
+  async function openPdf() {
+    setError('')
+    try {
+      const res = await fetch(`${API}/api/proposals/${proposal.id}/invoice.pdf`, { headers: authHeaders() })
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}))
+        throw new Error(data.error || 'Failed to load invoice')
+      }
+      window.open(URL.createObjectURL(await res.blob()), '_blank')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div className="admin-drawer-overlay" onClick={onClose}>
+      <aside className="admin-drawer" onClick={e => e.stopPropagation()}>
+        <div className="admin-drawer-header">
+          <div>
+            <h3 className="section-title" style={{ marginBottom: 4 }}>Invoice</h3>
+            <p className="admin-subtitle" style={{ margin: 0 }}>
+              {proposal.company} · Enterprise · {moneyFormat(proposal)(proposal.total_price)}
+            </p>
+          </div>
+          <button type="button" className="admin-link-btn" onClick={onClose}>Close</button>
+        </div>
+        {error && <div className="admin-error">{error}</div>}
+        {message && <div className="admin-success">{message}</div>}
+        {loading && <div className="loading"><div className="spinner"></div></div>}
+
+        {!loading && !invoice && (
+          <form onSubmit={handleIssue} className="admin-form">
+            <div className="admin-field">
+              <label>Payment terms (net days)</label>
+              <input type="number" value={netDays} onChange={e => setNetDays(e.target.value)} min="0" max="120" />
+            </div>
+            <div className="admin-field">
+              <label className="admin-checkbox">
+                <input type="checkbox" checked={stripeInvoice} onChange={e => setStripeInvoice(e.target.checked)} />
+                Also let the client pay online through Stripe
+              </label>
+            </div>
+            <p className="admin-subtitle">
+              The invoice PDF, with ACH and wire instructions, will be emailed to {proposal.email} and copied to you.
+            </p>
+            <button type="submit" className="btn btn-primary" disabled={submitting}>
+              {submitting ? 'Issuing...' : 'Issue Invoice'}
+            </button>
+          </form>
+        )}
+
+        {invoice && (
+          <>
+            <p className="admin-subtitle">
+              <strong>{invoice.number}</strong> · {moneyFormat(proposal)(invoice.amount)} · net {invoice.net_days}, due{' '}
+              {new Date(`${invoice.due_date}T00:00:00`).toLocaleDateString()}
+              <span className={`admin-badge badge-${{ open: 'invoiced', void: 'voided' }[invoice.status] || invoice.status}`} style={{ marginLeft: 6 }}>{invoice.status}</span>
+            </p>
+            <p className="admin-subtitle">
+              Issued {new Date(invoice.issued_at).toLocaleString()} by {invoice.issued_by}
+              {invoice.stripe_invoice_id ? ' · payable online via Stripe' : ' · bank transfer only'}
+              <button type="button" className="admin-link-btn" onClick={openPdf}>Download PDF</button>
+            </p>
+            {invoice.status === 'paid' ? (
+              <p className="admin-subtitle">
+                Paid {new Date(invoice.paid_at).toLocaleString()}
+                {invoice.paid_via === 'manual'
+                  ? ` · marked paid by ${invoice.marked_paid_by}, reference ${invoice.payment_reference}`
+                  : ` · via Stripe (${invoice.payment_reference})`}
+              </p>
+            ) : invoice.status === 'void' ? (
+              <p className="admin-subtitle">Voided along with the proposal · no longer payable</p>
+            ) : (
+              <form onSubmit={handleMarkPaid} className="admin-form">
+                <div className="admin-field">
+                  <label>Payment reference</label>
+                  <input value={reference} onChange={e => setReference(e.target.value)} placeholder="ACH trace or wire confirmation number" />
+                </div>
+                <button type="submit" className="btn btn-primary" disabled={submitting}>
+                  {submitting ? 'Saving...' : 'Mark Paid'}
+                </button>
+              </form>
+            )}
+          </>
+        )}
+      </aside>
+    </div>
+  )
+}
+
+// ── Proposal actions ───────────────────────────────────────────────
+// An admin action on one proposal from the list, filled in and confirmed in a drawer.
+// `onDone(message)` reports what happened once the server has done it.
+function ProposalActionDrawer({ proposal: p, action, onClose, onDone }) {
+  const [days, setDays] = useState('30')
+  const [reason, setReason] = useState('')
+  const [amount, setAmount] = useState('')
+  const [code, setCode] = useState(p.discount_code || '')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  const reopening = isExpired(p)
+  const draft = p.status === 'draft'
+  const actions = {
+    extend: {
+      title: reopening ? 'Reopen Proposal' : 'Extend Proposal',
+      submit: reopening ? 'Reopen' : 'Extend',
+      path: 'extend',
+      body: () => ({ days: days.trim() }),
+      failure: 'Failed to extend proposal',
+      done: data => `${p.company}'s proposal now expires ${new Date(data.proposal.expires_at).toLocaleDateString()}.`,
+    },
+    void: {
+      title: draft ? 'Discard Draft' : 'Void Proposal',
+      note: draft
+        ? 'The draft was never sent and will be discarded.'
+        : `${p.contact_name} will no longer be able to sign or pay${p.status === 'invoiced' ? ', and the open invoice is voided too' : ''}.`,
+      submit: draft ? 'Discard Draft' : 'Void Proposal',
+      path: 'void',
+      body: () => (reason.trim() ? { reason: reason.trim() } : {}),
+      failure: 'Failed to void proposal',
+      done: () => draft ? `Draft for ${p.company} discarded.` : `${p.company}'s proposal voided.`,
+    },
+    refund: {
+      title: 'Refund Payment',
+      note: `Leave the amount blank to refund everything ${p.company} has paid through Stripe.`,
+      submit: amount.trim() ? `Refund ${moneyFormat(p)(amount)}` : 'Refund Everything',
+      path: 'refund',
+      body: () => (amount.trim() ? { amount: Number(amount) } : {}),
+      failure: 'Failed to refund proposal',
+      done: () => `Refund to ${p.company} started. The status updates once Stripe confirms it.`,
+    },
+    discount: {
+      title: 'Discount Code',
+      note: 'The price is recalculated from the package before any discount.',
+      submit: code.trim() || !p.discount_code ? 'Apply Code' : 'Remove Discount',
+      path: 'discount',
+      body: () => ({ code: code.trim() }),
+      failure: 'Failed to update discount',
+      done: data => data.discount_code
+        ? `${data.discount_code} applied to ${p.company}'s proposal.`
+        : `Discount removed from ${p.company}'s proposal.`,
+    },
+  }
+  const spec = actions[action]
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    setError('')
+    setSubmitting(true)
+    try {
+      const res = await fetch(`${API}/api/proposals/${p.id}/${spec.path}`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(spec.body())
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || spec.failure)
+      onDone(spec.done(data))
+    } catch (err) {
+      setError(err.message)
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="admin-drawer-overlay" onClick={onClose}>
+      <aside className="admin-drawer" onClick={e => e.stopPropagation()}>
+        <div className="admin-drawer-header">
+          <div>
+            <h3 className="section-title" style={{ marginBottom: 4 }}>{spec.title}</h3>
+            <p className="admin-subtitle" style={{ margin: 0 }}>{p.company} · {p.contact_name}</p>
+          </div>
+          <button type="button" className="admin-link-btn" onClick={onClose}>Close</button>
+        </div>
+        {error && <div className="admin-error">{error}</div>}
+        <form onSubmit={handleSubmit} className="admin-form">
+          {spec.note && <p className="admin-subtitle">{spec.note}</p>}
+          {action === 'void' && !draft && (
+            <div className="admin-field">
+              <label>Reason (optional, shown in the activity timeline)</label>
+              <input value={reason} onChange={e => setReason(e.target.value)} maxLength={200} />
+            </div>
+          )}
+          {action === 'refund' && (
+            <div className="admin-field">
+              <label>Amount ({(p.currency || 'usd').toUpperCase()}, optional)</label>
+              <input type="number" value={amount} onChange={e => setAmount(e.target.value)} min="0.01" step="0.01" />
+            </div>
+          )}
+          {action === 'discount' && (
+            <div className="admin-field">
+              <label>Code (leave blank to remove)</label>
+              <input type="text" value={code} onChange={e => setCode(e.target.value)} autoFocus />
+            </div>
+          )}
+          {action === 'extend' && (
+            <div className="admin-field">
+              <label>Expires in (days from today)</label>
+              <input type="number" value={days} onChange={e => setDays(e.target.value)} min="1" max="365" step="1" required />
+            </div>
+          )}
+          <button type="submit" className="btn btn-primary" disabled={submitting}>
+            {submitting ? 'Saving...' : spec.submit}
+          </button>
+        </form>
+      </aside>
+    </div>
+  )
+}
+
+function ProposalsList({ proposals, loading, onChanged, onEditDraft }) {
+  const [acting, setActing] = useState(null) // { proposal, action }
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [reviewing, setReviewing] = useState(null)
+  const [selected, setSelected] = useState(null)
+  const [countersigning, setCountersigning] = useState(null)
+  const [invoicing, setInvoicing] = useState(null)
+  const [reconciling, setReconciling] = useState(false)
+
+  async function handleReconcile() {
+    setReconciling(true)
+    setMessage('')
+    setError('')
+    try {
+      const res = await fetch(`${API}/api/admin/reconcile-payments`, { method: 'POST', headers: authHeaders() })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to reconcile payments')
+      const summary = data.changes.length
+        ? `Fixed ${data.changes.length}:\n${data.changes.map(c => `${c.company}${c.installment ? ` (${c.installment})` : ''}: ${c.from_status.replace('_', ' ')} → ${c.to_status.replace('_', ' ')}`).join('\n')}`
+        : 'Everything matches Stripe.'
+      setMessage(`Checked ${data.checked} Stripe session(s). ${summary}${data.errors.length ? `\n${data.errors.length} could not be checked (see server logs).` : ''}`)
+      if (data.changes.length && onChanged) onChanged()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setReconciling(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="card">
+        <h3 className="section-title">All Proposals</h3>
+        <div className="loading"><div className="spinner"></div></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="card">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: 12 }}>
+        <h3 className="section-title">All Proposals ({proposals.length})</h3>
+        <button type="button" className="admin-link-btn" onClick={handleReconcile} disabled={reconciling}>
+          {reconciling ? 'Checking Stripe…' : 'Reconcile with Stripe'}
+        </button>
+      </div>
+      {error && <div className="admin-error">{error}</div>}
+      {message && <div className="admin-success" style={{ marginBottom: 14, whiteSpace: 'pre-line' }}>{message}</div>}
+      {proposals.length === 0 ? (
+        <p style={{ color: '#64748b', fontSize: 14 }}>No proposals yet.</p>
+      ) : (
+        <div className="admin-table-wrap">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Company</th>
+                <th>Contact</th>
+                <th>Total</th>
+                <th>Status</th>
+                <th>Payment</th>
+                <th>Expires</th>
+                <th>Link</th>
+              </tr>
+            </thead>
+            <tbody>
+              {proposals.map(p => (
+                <tr key={p.id}>
+                  <td>{new Date(p.created_at).toLocaleDateString()}</td>
+                  <td>{p.company}</td>
+                  <td>{p.contact_name}</td>
+                  <td>
+                    {p.total_price ? moneyFormat(p)(p.total_price) : '—'}
+                    {p.discount_code && (
+                      <div className="admin-timeline-meta">{p.discount_code} (–{moneyFormat(p)(p.discount_amount)})</div>
+                    )}
+                    {OPEN_STATUSES.includes(p.status) && (
+                      <button type="button" className="admin-link-btn" onClick={() => { setActing({ proposal: p, action: 'discount' }); setMessage(''); setError('') }}>
+                        Discount
+                      </button>
+                    )}
+                  </td>
+                  <td>
+                    <span className={`admin-badge badge-${p.status}`}>{p.status.replace('_', ' ')}</span>
+                    {p.countersigned_at && <span className="admin-badge badge-executed">executed</span>}
+                    {p.signer_count > 0 && !p.signed_at && (
+                      <div className="admin-timeline-meta">{p.signed_count}/{p.signer_count} signed</div>
+                    )}
+                  </td>
+                  <td>
+                    <span className={`admin-badge badge-${p.payment_status}`}>{p.payment_status}</span>
+                    {p.installment_count > 0 && p.payment_status !== 'paid' && (
+                      <div className="admin-timeline-meta">{p.installments_paid}/{p.installment_count} installments</div>
+                    )}
+                    {Number(p.amount_refunded) > 0 && (
+                      <div className="admin-timeline-meta">{moneyFormat(p)(p.amount_refunded)} refunded</div>
+                    )}
+                  </td>
+                  <td>
+                    {isExpired(p)
+                      ? <span className="admin-badge badge-expired">expired</span>
+                      : p.expires_at ? new Date(p.expires_at).toLocaleDateString() : '—'}
+                    {OPEN_STATUSES.includes(p.status) || p.status === 'expired' ? (
+                      <button type="button" className="admin-link-btn" onClick={() => { setActing({ proposal: p, action: 'extend' }); setMessage(''); setError('') }}>
+                        {isExpired(p) ? 'Reopen' : 'Extend'}
+                      </button>
+                    ) : null}
+                  </td>
+                  <td>
+                    <a href={`/admin/preview/${p.id}`} target="_blank" rel="noopener noreferrer" className="admin-link">
+                      Preview
+                    </a>
+                    <button type="button" className="admin-link-btn" onClick={() => setSelected(p)}>
+                      Activity
+                    </button>
+                    {p.status === 'draft' && (
+                      <>
+                        <button type="button" className="admin-link-btn" onClick={() => onEditDraft(p.id)}>
+                          Edit
+                        </button>
+                        <button type="button" className="admin-link-btn" onClick={() => setReviewing(p)}>
+                          Review & Send
+                        </button>
+                      </>
+                    )}
+                    {p.signed_at && !p.countersigned_at && p.status !== 'voided' && (
+                      <button type="button" className="admin-link-btn" onClick={() => setCountersigning(p)}>
+                        Countersign
+                      </button>
+                    )}
+                    {(p.selected_tier || p.tier) === 'enterprise' && (p.status === 'signed' || p.invoice_status) && (
+                      <button type="button" className="admin-link-btn" onClick={() => setInvoicing(p)}>
+                        {p.invoice_status ? 'Invoice' : 'Issue invoice'}
+                      </button>
+                    )}
+                    {REFUNDABLE_STATUSES.includes(p.status) && (
+                      <button type="button" className="admin-link-btn admin-link-danger" onClick={() => { setActing({ proposal: p, action: 'refund' }); setMessage(''); setError('') }}>
+                        Refund
+                      </button>
+                    )}
+                    {VOIDABLE_STATUSES.includes(p.status) && (
+                      <button type="button" className="admin-link-btn admin-link-danger" onClick={() => { setActing({ proposal: p, action: 'void' }); setMessage(''); setError('') }}>
+                        {p.status === 'draft' ? 'Discard' : 'Void'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {selected && <ProposalActivity key={selected.id} proposal={selected} onClose={() => setSelected(null)} />}
+      {acting && (
+        <ProposalActionDrawer
+          key={`${acting.action}-${acting.proposal.id}`}
+          proposal={acting.proposal}
+          action={acting.action}
+          onClose={() => setActing(null)}
+          onDone={msg => { setActing(null); setMessage(msg); if (onChanged) onChanged() }}
+        />
+      )}
+      {invoicing && (
+        <InvoiceDrawer
+          key={invoicing.id}
+          proposal={invoicing}
+          onClose={() => setInvoicing(null)}
+          onDone={() => { if (onChanged) onChanged() }}
+        />
+      )}
+      {reviewing && (
+        <DraftDrawer
+          key={reviewing.id}
+          proposal={reviewing}
+          onClose={() => setReviewing(null)}
+          onEdit={() => { setReviewing(null); onEditDraft(reviewing.id) }}
+          onSent={() => { setReviewing(null); if (onChanged) onChanged() }}
+        />
+      )}
+      {countersigning && (
+        <CountersignDrawer
+          key={countersigning.id}
+          proposal={countersigning}
+          onClose={() => setCountersigning(null)}
+          onDone={() => { setCountersigning(null); if (onChanged) onChanged() }}
+        />
+      )}
+    </div>
+  )
+}
+
+// ── Price Books ────────────────────────────────────────────────────
+const RATE_FIELDS = [
+  ['basePrice', 'Base Price'],
+  ['traineeRate', 'Extra Trainee'],
+  ['kitRate', 'Extra Kit'],
+  ['trackRate', 'Extra Track'],
+  ['videoRate', 'Videography'],
+  ['onRoofRate', 'On-Roof Day'],
+]
+
+function PriceBooks() {
+  const [priceBooks, setPriceBooks] = useState([])
+  const [draft, setDraft] = useState(null)
+  const [draftCurrency, setDraftCurrency] = useState('usd')
+  const [effectiveAt, setEffectiveAt] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  const fetchPriceBooks = useCallback(async () => {
+    try {
+      const res = await fetch(`${API}/api/admin/price-books`, { headers: authHeaders() })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to load price books')
+      setPriceBooks(data.priceBooks)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [])
+
+  useEffect(() => { fetchPriceBooks() }, [fetchPriceBooks])
+
+  // New versions start as a copy of the one currently in effect in their currency (or, for
+  // a currency's first price book, of any current one)
+  function startDraft(currency = 'usd') {
+    const current = priceBooks.find(pb => pb.status === 'current' && pb.currency === currency)
+      || priceBooks.find(pb => pb.status === 'current') || priceBooks[0]
+    if (!current) return
+    setDraft(structuredClone(current.catalog))
+    setDraftCurrency(currency)
+    setEffectiveAt('')
+    setError('')
+    setMessage('')
+  }
+
+  function setRate(tierKey, field) {
+    return e => {
+      const val = e.target.value === '' ? '' : Number(e.target.value)
+      setDraft(d => ({ ...d, tiers: { ...d.tiers, [tierKey]: { ...d.tiers[tierKey], [field]: val } } }))
+    }
+  }
+
+  async function handleSave(e) {
+    e.preventDefault()
+    setError('')
+    setSaving(true)
+    try {
+      const res = await fetch(`${API}/api/admin/price-books`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ catalog: draft, currency: draftCurrency, effectiveAt: effectiveAt ? new Date(effectiveAt).toISOString() : null })
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to save price book')
+      setMessage(`Price book v${data.priceBook.version} (${draftCurrency.toUpperCase()}) created.`)
+      setDraft(null)
+      fetchPriceBooks()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="card">
+      <h3 className="section-title">Price Books</h3>
+      {error && <div className="admin-error" style={{ marginBottom: 14 }}>{error}</div>}
+      {message && <div className="admin-success" style={{ marginBottom: 14 }}>{message}</div>}
+
+      {priceBooks.length > 0 && (
+        <div className="admin-table-wrap">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Version</th>
+                <th>Currency</th>
+                <th>Effective</th>
+                <th>Professional</th>
+                <th>Regional</th>
+                <th>Enterprise</th>
+                <th>Created By</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {priceBooks.map(pb => (
+                <tr key={pb.id}>
+                  <td>v{pb.version}</td>
+                  <td>{pb.currency.toUpperCase()}</td>
+                  <td>{new Date(pb.effective_at).toLocaleString()}</td>
+                  {['professional', 'regional', 'enterprise'].map(key => (
+                    <td key={key}>{moneyFormat(pb)(pb.catalog.tiers[key]?.basePrice)}</td>
+                  ))}
+                  <td>{pb.created_by || '—'}</td>
+                  <td><span className={`admin-badge badge-${pb.status}`}>{pb.status}</span></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!draft ? (
+        <button type="button" className="btn btn-primary" style={{ marginTop: 14 }} onClick={() => startDraft()} disabled={priceBooks.length === 0}>
+          New Price Book Version
+        </button>
+      ) : (
+        <form onSubmit={handleSave} className="admin-form" style={{ marginTop: 14 }}>
+          <div className="admin-field">
+            <label>Currency</label>
+            <select value={draftCurrency} onChange={e => startDraft(e.target.value)}>
+              {Object.entries(CURRENCIES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+            </select>
+          </div>
+          {Object.entries(draft.tiers).map(([key, tier]) => (
+            <div key={key}>
+              <label className="admin-subtitle">{tier.name}</label>
+              <div className="admin-row" style={{ gap: '10px' }}>
+                {RATE_FIELDS.map(([field, label]) => (
+                  <div className="admin-field" key={field}>
+                    <label>{label} ({draftCurrency.toUpperCase()})</label>
+                    <input type="number" value={tier[field]} onChange={setRate(key, field)} min="0" step="1" required />
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+          <div className="admin-field">
+            <label>Effective Date (blank = immediately)</label>
+            <input type="datetime-local" value={effectiveAt} onChange={e => setEffectiveAt(e.target.value)} />
+          </div>
+          <div className="admin-row">
+            <button type="button" className="btn btn-secondary" onClick={() => setDraft(null)}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Create Version'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+// ── Discount Codes ─────────────────────────────────────────────────
+const EMPTY_DISCOUNT = { code: '', kind: 'percent', value: '', currency: 'usd', tiers: [], expiresAt: '', maxUses: '' }
+
+function DiscountCodes() {
+  const [codes, setCodes] = useState([])
+  const [draft, setDraft] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+  const [confirmingCode, setConfirmingCode] = useState(null)
+
+  const fetchCodes = useCallback(async () => {
+    try {
+      const res = await fetch(`${API}/api/admin/discount-codes`, { headers: authHeaders() })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to load discount codes')
+      setCodes(data.discountCodes)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [])
+
+  useEffect(() => { fetchCodes() }, [fetchCodes])
+
+  const set = field => e => setDraft(d => ({ ...d, [field]: e.target.value }))
+
+  function toggleTier(tier) {
+    setDraft(d => ({ ...d, tiers: d.tiers.includes(tier) ? d.tiers.filter(t => t !== tier) : [...d.tiers, tier] }))
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault()
+    setError('')
+    setSaving(true)
+    try {
+      const res = await fetch(`${API}/api/admin/discount-codes`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          code: draft.code,
+          kind: draft.kind,
+          value: Number(draft.value),
+          currency: draft.kind === 'fixed' ? draft.currency : null,
+          tiers: draft.tiers,
+          expiresAt: draft.expiresAt ? new Date(draft.expiresAt).toISOString() : null,
+          maxUses: draft.maxUses ? Number(draft.maxUses) : null,
+        })
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to create discount code')
+      setMessage(`Discount code ${data.discountCode.code} created.`)
+      setDraft(null)
+      fetchCodes()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  async function handleDeactivate(code) {
+    setError('')
+    setSaving(true)
+    try {
+      const res = await fetch(`${API}/api/admin/discount-codes/${encodeURIComponent(code)}/deactivate`, {
+        method: 'POST',
+        headers: authHeaders()
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to deactivate discount code')
+      setMessage(`Discount code ${code} deactivated.`)
+      setConfirmingCode(null)
+      fetchCodes()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  function codeStatus(d) {
+    if (!d.active) return 'inactive'
+    if (d.expires_at && new Date(d.expires_at) < new Date()) return 'expired'
+    if (d.max_uses != null && d.used_count >= d.max_uses) return 'used up'
+    return 'active'
+  }
+
+  return (
+    <div className="card">
+      <h3 className="section-title">Discount Codes</h3>
+      {error && <div className="admin-error" style={{ marginBottom: 14 }}>{error}</div>}
+      {message && <div className="admin-success" style={{ marginBottom: 14 }}>{message}</div>}
+      {confirmingCode && (
+        <ConfirmBar
+          question={`Deactivate ${confirmingCode}? Proposals that already use it keep their discount.`}
+          confirmLabel="Deactivate"
+          onConfirm={() => handleDeactivate(confirmingCode)}
+          onCancel={() => setConfirmingCode(null)}
+          busy={saving}
+        />
+      )}
+
+      {codes.length > 0 && (
+        <div className="admin-table-wrap">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Discount</th>
+                <th>Tiers</th>
+                <th>Expires</th>
+                <th>Uses</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {codes.map(d => {
+                const status = codeStatus(d)
+                return (
+                  <tr key={d.id}>
+                    <td>{d.code}</td>
+                    <td>{d.description}</td>
+                    <td>{d.tiers?.length ? d.tiers.join(', ') : 'All'}</td>
+                    <td>{d.expires_at ? new Date(d.expires_at).toLocaleDateString() : '—'}</td>
+                    <td>{d.used_count}{d.max_uses != null ? ` / ${d.max_uses}` : ''}</td>
+                    <td><span className={`admin-badge badge-${status.replace(' ', '_')}`}>{status}</span></td>
+                    <td>
+                      {d.active && (
+                        <button type="button" className="admin-link-btn" onClick={() => { setConfirmingCode(d.code); setMessage('') }}>
+                          Deactivate
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!draft ? (
+        <button type="button" className="btn btn-primary" style={{ marginTop: 14 }} onClick={() => { setDraft(EMPTY_DISCOUNT); setMessage('') }}>
+          New Discount Code
+        </button>
+      ) : (
+        <form onSubmit={handleCreate} className="admin-form" style={{ marginTop: 14 }}>
+          <div className="admin-row">
+            <div className="admin-field">
+              <label>Code</label>
+              <input value={draft.code} onChange={set('code')} placeholder="SPRING10" required />
+            </div>
+            <div className="admin-field">
+              <label>Type</label>
+              <select value={draft.kind} onChange={set('kind')}>
+                <option value="percent">Percent off</option>
+                <option value="fixed">Fixed amount off</option>
+              </select>
+            </div>
+            <div className="admin-field">
+              <label>{draft.kind === 'percent' ? 'Percent (%)' : `Amount (${draft.currency.toUpperCase()})`}</label>
+              <input type="number" value={draft.value} onChange={set('value')} min="0" max={draft.kind === 'percent' ? '100' : undefined} step="any" required />
+            </div>
+            {draft.kind === 'fixed' && (
+              <div className="admin-field">
+                <label>Currency</label>
+                <select value={draft.currency} onChange={set('currency')}>
+                  {Object.entries(CURRENCIES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+                </select>
+              </div>
+            )}
+          </div>
+          <div className="admin-row">
+            <div className="admin-field">
+              <label>Expires (optional)</label>
+              <input type="datetime-local" value={draft.expiresAt} onChange={set('expiresAt')} />
+            </div>
+            <div className="admin-field">
+              <label>Max Uses (optional)</label>
+              <input type="number" value={draft.maxUses} onChange={set('maxUses')} min="1" />
+            </div>
+          </div>
+          <div className="admin-field">
+            <label>Limit to Tiers (none checked = all tiers)</label>
+            <div className="admin-row" style={{ gap: '16px' }}>
+              {['professional', 'regional', 'enterprise'].map(tier => (
+                <label key={tier} className="admin-checkbox">
+                  <input type="checkbox" checked={draft.tiers.includes(tier)} onChange={() => toggleTier(tier)} />
+                  {tier.charAt(0).toUpperCase() + tier.slice(1)}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="admin-row">
+            <button type="button" className="btn btn-secondary" onClick={() => setDraft(null)}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Create Code'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+// ── Sales Tax ──────────────────────────────────────────────────────
+function TaxRates() {
+  const [taxRates, setTaxRates] = useState([])
+  const [fees, setFees] = useState({ cardSurchargePercent: 0, achDiscountPercent: 0 })
+  const [draft, setDraft] = useState({ state: '', rate: '', label: '' })
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [confirmingState, setConfirmingState] = useState(null)
+
+  const fetchTaxRates = useCallback(async () => {
+    try {
+      const res = await fetch(`${API}/api/admin/tax-rates`, { headers: authHeaders() })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to load tax rates')
+      setTaxRates(data.taxRates)
+      setFees({ cardSurchargePercent: data.cardSurchargePercent, achDiscountPercent: data.achDiscountPercent })
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [])
+
+  useEffect(() => { fetchTaxRates() }, [fetchTaxRates])
+
+  const set = field => e => setDraft(d => ({ ...d, [field]: e.target.value }))
+
+  async function handleSave(e) {
+    e.preventDefault()
+    setError('')
+    setSaving(true)
+    try {
+      const res = await fetch(`${API}/api/admin/tax-rates/${encodeURIComponent(draft.state.trim().toUpperCase())}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ rate: Number(draft.rate), label: draft.label })
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to save tax rate')
+      setDraft({ state: '', rate: '', label: '' })
+      fetchTaxRates()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  async function handleRemove(state) {
+    setError('')
+    setSaving(true)
+    try {
+      const res = await fetch(`${API}/api/admin/tax-rates/${state}`, { method: 'DELETE', headers: authHeaders() })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to remove tax rate')
+      setConfirmingState(null)
+      fetchTaxRates()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="card">
+      <h3 className="section-title">Sales Tax</h3>
+      <p className="admin-subtitle">
+        Charged at checkout by the state of the client{'’'}s billing address. Card surcharge: {fees.cardSurchargePercent}%,
+        ACH discount: {fees.achDiscountPercent}% (set with CARD_SURCHARGE_PERCENT and ACH_DISCOUNT_PERCENT).
+      </p>
+      {error && <div className="admin-error" style={{ marginBottom: 14 }}>{error}</div>}
+      {confirmingState && (
+        <ConfirmBar
+          question={`Stop charging sales tax in ${confirmingState}?`}
+          confirmLabel="Remove"
+          onConfirm={() => handleRemove(confirmingState)}
+          onCancel={() => setConfirmingState(null)}
+          busy={saving}
+        />
+      )}
+
+      {taxRates.length > 0 && (
+        <div className="admin-table-wrap">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>State</th>
+                <th>Rate</th>
+                <th>Label</th>
+                <th>Updated</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {taxRates.map(r => (
+                <tr key={r.state}>
+                  <td>{r.state}</td>
+                  <td>{r.rate}%</td>
+                  <td>{r.label || '—'}</td>
+                  <td>{new Date(r.updated_at).toLocaleDateString()}{r.updated_by ? ` by ${r.updated_by}` : ''}</td>
+                  <td>
+                    <button type="button" className="admin-link-btn" onClick={() => setDraft({ state: r.state, rate: String(r.rate), label: r.label || '' })}>
+                      Edit
+                    </button>
+                    <button type="button" className="admin-link-btn" onClick={() => setConfirmingState(r.state)}>
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <form onSubmit={handleSave} className="admin-form" style={{ marginTop: 14 }}>
+        <div className="admin-row">
+          <div className="admin-field">
+            <label>State</label>
+            <input value={draft.state} onChange={set('state')} placeholder="TX" maxLength={2} required />
+          </div>
+          <div className="admin-field">
+            <label>Rate (%)</label>
+            <input type="number" value={draft.rate} onChange={set('rate')} min="0" max="20" step="0.001" required />
+          </div>
+          <div className="admin-field">
+            <label>Label (optional)</label>
+            <input value={draft.label} onChange={set('label')} placeholder="Texas" />
+          </div>
+        </div>
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Tax Rate'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+// ── Terms Editor ───────────────────────────────────────────────────
+const SUBSECTION_LETTERS = 'abcdefghijklmnopqrstuvwxyz'
+
+function Redline({ oldSections, newSections }) {
+  const changes = diffTerms(oldSections, newSections).filter(c => c.status !== 'unchanged')
+  if (changes.length === 0) return <p className="admin-subtitle">No changes from the current version.</p>
+  return (
+    <div className="terms-redline">
+      {changes.map((c, idx) => (
+        <div key={idx} className={`terms-redline-section redline-${c.status}`}>
+          <div className="terms-redline-title">{c.title} <span className="admin-badge">{c.status}</span></div>
+          <p>
+            {c.parts.map((part, i) => part.type === 'same'
+              ? <span key={i}>{part.text}</span>
+              : part.type === 'ins' ? <ins key={i}>{part.text}</ins> : <del key={i}>{part.text}</del>)}
+          </p>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function TermsEditor() {
+  const [versions, setVersions] = useState([])
+  const [current, setCurrent] = useState(null)
+  const [draft, setDraft] = useState(null)
+  const [savedAt, setSavedAt] = useState(null)
+  const [showRedline, setShowRedline] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [confirming, setConfirming] = useState(null) // 'publish' | 'discard'
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  const fetchTerms = useCallback(async () => {
+    try {
+      const [termsRes, draftRes] = await Promise.all([
+        fetch(`${API}/api/admin/terms`, { headers: authHeaders() }),
+        fetch(`${API}/api/admin/terms/draft`, { headers: authHeaders() }),
+      ])
+      const termsData = await termsRes.json()
+      const draftData = await draftRes.json()
+      if (!termsRes.ok) throw new Error(termsData.error || 'Failed to load terms')
+      setVersions(termsData.terms)
+      setCurrent(termsData.terms.find(t => t.version === termsData.currentVersion) || null)
+      if (draftData.draft) setSavedAt(draftData.draft.updated_at)
+      else setSavedAt(null)
+      return draftData.draft
+    } catch (err) {
+      setError(err.message)
+      return null
+    }
+  }, [])
+
+  useEffect(() => { fetchTerms() }, [fetchTerms])
+
+  // Resume the saved draft if there is one, otherwise start from the current version
+  async function openEditor() {
+    setError('')
+    setMessage('')
+    const saved = await fetchTerms()
+    setDraft(structuredClone(saved ? saved.sections : current.sections))
+  }
+
+  function updateSection(si, patch) {
+    setDraft(d => d.map((s, i) => (i === si ? { ...s, ...patch } : s)))
+  }
+
+  function moveSection(si, dir) {
+    setDraft(d => {
+      const next = [...d]
+      const target = si + dir
+      if (target < 0 || target >= next.length) return d
+      const [moved] = next.splice(si, 1)
+      next.splice(target, 0, moved)
+      return next
+    })
+  }
+
+  function setParagraph(si, pi, text) {
+    const content = [...(draft[si].content || [])]
+    content[pi] = text
+    updateSection(si, { content })
+  }
+
+  function setSubsection(si, ji, field, value) {
+    const subsections = (draft[si].subsections || []).map((sub, j) => (j === ji ? { ...sub, [field]: value } : sub))
+    updateSection(si, { subsections })
+  }
+
+  function addSubsection(si) {
+    const subsections = draft[si].subsections || []
+    updateSection(si, { subsections: [...subsections, { label: `(${SUBSECTION_LETTERS[subsections.length] || '?'}) `, text: '' }] })
+  }
+
+  async function run(action) {
+    setError('')
+    setMessage('')
+    setBusy(true)
+    try {
+      await action()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const saveDraft = () => run(async () => {
+    const res = await fetch(`${API}/api/admin/terms/draft`, {
+      method: 'PUT',
+      headers: authHeaders(),
+      body: JSON.stringify({ sections: draft, baseVersion: current?.version })
+    })
+    const data = await res.json()
+    if (!res.ok) throw new Error(data.error || 'Failed to save draft')
+    setSavedAt(data.draft.updated_at)
+    setMessage('Draft saved.')
+  })
+
+  const previewPdf = () => run(async () => {
+    const res = await fetch(`${API}/api/admin/terms/preview`, {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({ sections: draft })
+    })
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}))
+      throw new Error(data.error || 'Failed to render preview')
+    }
+    window.open(URL.createObjectURL(await res.blob()), '_blank')
+  })
+
+  const publish = () => run(async () => {
+    const res = await fetch(`${API}/api/admin/terms`, {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({ sections: draft })
+    })
+    const data = await res.json()
+    if (!res.ok) throw new Error(data.error || 'Failed to publish terms')
+    setDraft(null)
+    setShowRedline(false)
+    setConfirming(null)
+    setMessage(`Terms v${data.terms.version} published.`)
+    fetchTerms()
+  })
+
+  const discard = () => run(async () => {
+    const res = await fetch(`${API}/api/admin/terms/draft`, { method: 'DELETE', headers: authHeaders() })
+    if (!res.ok) throw new Error('Failed to discard draft')
+    setDraft(null)
+    setShowRedline(false)
+    setConfirming(null)
+    setSavedAt(null)
+  })
+
+  return (
+    <div className="card">
+      <h3 className="section-title">Terms & Conditions</h3>
+      {error && <div className="admin-error" style={{ marginBottom: 14 }}>{error}</div>}
+      {message && <div className="admin-success" style={{ marginBottom: 14 }}>{message}</div>}
+
+      {versions.length > 0 && (
+        <div className="admin-table-wrap">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Version</th>
+                <th>Published</th>
+                <th>Sections</th>
+                <th>Created By</th>
+              </tr>
+            </thead>
+            <tbody>
+              {versions.map(t => (
+                <tr key={t.id}>
+                  <td>v{t.version} {t.version === current?.version && <span className="admin-badge badge-current">current</span>}</td>
+                  <td>{new Date(t.published_at || t.created_at).toLocaleString()}</td>
+                  <td>{t.sections.length}</td>
+                  <td>{t.created_by || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!draft ? (
+        <button type="button" className="btn btn-primary" style={{ marginTop: 14 }} onClick={openEditor} disabled={!current}>
+          {savedAt ? 'Resume Draft' : 'New Terms Version'}
+        </button>
+      ) : (
+        <div className="admin-form" style={{ marginTop: 14 }}>
+          <p className="admin-subtitle">
+            Editing the next version (based on v{current?.version}){savedAt && ` · draft saved ${new Date(savedAt).toLocaleString()}`}
+          </p>
+
+          {draft.map((section, si) => (
+            <div key={si} className="terms-editor-section">
+              <div className="terms-editor-head">
+                <span className="section-num">{si + 1}</span>
+                <input
+                  className="terms-editor-title"
+                  value={section.title}
+                  onChange={e => updateSection(si, { title: e.target.value })}
+                  placeholder="Section title"
+                />
+                <button type="button" className="admin-link-btn" onClick={() => moveSection(si, -1)} disabled={si === 0}>Up</button>
+                <button type="button" className="admin-link-btn" onClick={() => moveSection(si, 1)} disabled={si === draft.length - 1}>Down</button>
+                <button type="button" className="admin-link-btn admin-link-danger" onClick={() => setDraft(d => d.filter((_, i) => i !== si))}>Remove</button>
+              </div>
+
+              {(section.content || []).map((text, pi) => (
+                <div key={pi} className="terms-editor-row">
+                  <textarea rows={3} value={text} onChange={e => setParagraph(si, pi, e.target.value)} placeholder="Paragraph" />
+                  <button type="button" className="admin-link-btn admin-link-danger" onClick={() => updateSection(si, { content: section.content.filter((_, i) => i !== pi) })}>Remove</button>
+                </div>
+              ))}
+
+              {(section.subsections || []).map((sub, ji) => (
+                <div key={ji} className="terms-editor-row">
+                  <input className="terms-editor-label" value={sub.label} onChange={e => setSubsection(si, ji, 'label', e.target.value)} placeholder="(a) Label" />
+                  <textarea rows={3} value={sub.text} onChange={e => setSubsection(si, ji, 'text', e.target.value)} placeholder="Subsection text" />
+                  <button type="button" className="admin-link-btn admin-link-danger" onClick={() => updateSection(si, { subsections: section.subsections.filter((_, j) => j !== ji) })}>Remove</button>
+                </div>
+              ))}
+
+              <div>
+                <button type="button" className="admin-link-btn" onClick={() => updateSection(si, { content: [...(section.content || []), ''] })}>+ Paragraph</button>
+                <button type="button" className="admin-link-btn" onClick={() => addSubsection(si)}>+ Subsection</button>
+              </div>
+            </div>
+          ))}
+
+          <button type="button" className="admin-link-btn" onClick={() => setDraft(d => [...d, { title: '', content: [''] }])}>+ Add Section</button>
+
+          {showRedline && current && <Redline oldSections={current.sections} newSections={draft} />}
+
+          {confirming === 'publish' && (
+            <ConfirmBar
+              question="Publish these terms? New proposals will be sent with them; existing proposals keep their current terms."
+              confirmLabel="Publish"
+              onConfirm={publish}
+              onCancel={() => setConfirming(null)}
+              busy={busy}
+            />
+          )}
+          {confirming === 'discard' && (
+            <ConfirmBar question="Discard this draft?" confirmLabel="Discard" onConfirm={discard} onCancel={() => setConfirming(null)} busy={busy} />
+          )}
+          <div className="admin-row">
+            <button type="button" className="btn btn-secondary" onClick={() => setConfirming('discard')} disabled={busy}>Discard</button>
+            <button type="button" className="btn btn-secondary" onClick={saveDraft} disabled={busy}>Save Draft</button>
+            <button type="button" className="btn btn-secondary" onClick={previewPdf} disabled={busy}>Preview PDF</button>
+            <button type="button" className="btn btn-secondary" onClick={() => setShowRedline(v => !v)}>
+              {showRedline ? 'Hide Redline' : 'Show Redline'}
+            </button>
+            <button type="button" className="btn btn-primary" onClick={() => setConfirming('publish')} disabled={busy}>Publish</button>
+          </div>
         </div>
       )}
     </div>
@@ -285,6 +2340,7 @@ export default function AdminDashboard() {
   const [proposals, setProposals] = useState([])
   const [loadingProposals, setLoadingProposals] = useState(true)
   const [adminEmail, setAdminEmail] = useState('')
+  const [editingDraft, setEditingDraft] = useState(null)
 
   const fetchProposals = useCallback(async () => {
     try {
@@ -346,8 +2402,17 @@ export default function AdminDashboard() {
           <button onClick={handleLogout} className="admin-logout-btn">Log out</button>
         </div>
       </header>
-      <ProposalForm onSent={fetchProposals} />
-      <ProposalsList proposals={proposals} loading={loadingProposals} />
+      <ProposalForm draftId={editingDraft} onSent={fetchProposals} onDone={() => setEditingDraft(null)} />
+      <ProposalsList
+        proposals={proposals}
+        loading={loadingProposals}
+        onChanged={fetchProposals}
+        onEditDraft={id => { setEditingDraft(id); window.scrollTo({ top: 0, behavior: 'smooth' }) }}
+      />
+      <PriceBooks />
+      <DiscountCodes />
+      <TaxRates />
+      <TermsEditor />
     </div>
   )
 }
@@ -1,20 +1,25 @@
 import { useState, useEffect, useRef } from 'react'
-import { useParams, useSearchParams } from 'react-router-dom'
+import { useParams, useSearchParams, useNavigate } from 'react-router-dom'
 import Configurator from '../components/Configurator'
 import ComparisonTable from '../components/ComparisonTable'
 import TermsAccordion from '../components/TermsAccordion'
 import SignaturePad from '../components/SignaturePad'
+import SignerStatus from '../components/SignerStatus'
+import DelegateSigning from '../components/DelegateSigning'
+import PaymentSchedule from '../components/PaymentSchedule'
+import CheckoutSummary from '../components/CheckoutSummary'
+import { fetchPricing, moneyFormat, shortPrice } from '../pricing'
+import { fetchProposalTerms } from '../terms'
+import { useViewTracking } from '../viewTracking'
 
 const API = import.meta.env.VITE_API_URL || ''
 
-const TIER_NAMES = { professional: 'Professional', regional: 'Regional', enterprise: 'Enterprise' }
-const TIER_TRAINEES = { professional: 3, regional: 10, enterprise: 25 }
-const TIER_KITS = { professional: 1, regional: 2, enterprise: 4 }
-const TIER_DAYS = { professional: '1 Day', regional: '2 Days', enterprise: '4 Days' }
-const TIER_PRICES_DISPLAY = { professional: '$10K', regional: '$35K', enterprise: '$75K+' }
 const TIER_PRICE_SUB = { professional: 'one-time', regional: 'one-time', enterprise: 'custom engagement' }
 
-function fmt(n) { return '$' + Number(n).toLocaleString('en-US') }
+const PREVIEW_MESSAGE = 'This is a preview – signing, configuring and payment are disabled.'
+
+// Lifecycle states in which the client has already signed
+const SIGNED_STATUSES = ['signed', 'payment_processing', 'partially_paid', 'invoiced', 'paid', 'failed', 'partially_refunded', 'refunded', 'disputed']
 
 function ChkSvg() {
   return (
@@ -51,14 +56,27 @@ const TIER_DESCS = {
   enterprise: 'Comprehensive rollout across all tracks and locations. Fully custom, operationally capped at 4 on-site days.',
 }
 
-export default function ProposalPage() {
+// `preview` renders the admin "preview as client" route: read-only and never tracked
+export default function ProposalPage({ preview = false }) {
   const { id } = useParams()
+  const navigate = useNavigate()
   const [searchParams] = useSearchParams()
+  const previewToken = searchParams.get('preview')
+  // Personal link of one of several required signers
+  const signerToken = searchParams.get('signer')
+  const signerQs = signerToken ? `&signer=${encodeURIComponent(signerToken)}` : ''
+  // The contact's link from the proposal email; lets them forward a single-signer proposal
+  const contactToken = searchParams.get('contact')
+  const isPreview = preview || !!previewToken
   const [proposal, setProposal] = useState(null)
+  const [catalog, setCatalog] = useState(null)
+  const [termsSections, setTermsSections] = useState(null)
+  const [viewId, setViewId] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [signError, setSignError] = useState(null)
   const [justSigned, setJustSigned] = useState(false)
+  const [delegated, setDelegated] = useState(false)
   const [checkingPayment, setCheckingPayment] = useState(false)
   const [showConfigurator, setShowConfigurator] = useState(false)
   const [configuring, setConfiguring] = useState(false)
@@ -67,22 +85,49 @@ export default function ProposalPage() {
   const signatureRef = useRef(null)
 
   const paymentParam = searchParams.get('payment')
+  // Set when returning from paying one installment of a payment schedule
+  const installmentParam = searchParams.get('installment')
+  const markSection = useViewTracking(id, viewId)
+
+  useEffect(() => {
+    if (showConfigurator) markSection('configurator')
+  }, [showConfigurator, markSection])
 
   // Fetch proposal
   useEffect(() => {
     async function fetchProposal() {
+      // A logged-in admin (or a signed preview link) isn't counted as a client open
+      const adminToken = localStorage.getItem('roofmri_token')
+      if (preview && !adminToken) {
+        navigate('/admin/login')
+        return
+      }
       try {
-        const res = await fetch(`${API}/api/proposals/${id}`)
+        const params = new URLSearchParams()
+        if (previewToken) params.set('preview', previewToken)
+        if (signerToken) params.set('signer', signerToken)
+        const qs = params.toString() ? `?${params}` : ''
+        const res = await fetch(`${API}/api/proposals/${id}${qs}`, {
+          headers: adminToken ? { Authorization: `Bearer ${adminToken}` } : {},
+        })
         if (!res.ok) {
           if (res.status === 404) throw new Error('Proposal not found')
           throw new Error('Failed to load proposal')
         }
         const data = await res.json()
+        // Show the rates and terms this proposal was sent with, even if they have since changed
+        const [pricing, terms] = await Promise.all([
+          fetchPricing(data.price_book_version),
+          fetchProposalTerms(id),
+        ])
         setProposal(data)
+        setCatalog(pricing.catalog)
+        setTermsSections(terms.sections)
+        setViewId(data.view_id)
         // If already configured, show sign mode
         if (data.tier || data.selected_tier) {
           setFabMode('sign')
-          buildPackageSummary(data)
+          buildPackageSummary(data, pricing.catalog)
         }
       } catch (err) {
         setError(err.message)
@@ -91,7 +136,7 @@ export default function ProposalPage() {
       }
     }
     fetchProposal()
-  }, [id])
+  }, [id, preview, previewToken, signerToken, navigate])
 
   // Poll for payment after Stripe redirect
   useEffect(() => {
@@ -109,36 +154,40 @@ export default function ProposalPage() {
             setCheckingPayment(false)
             return
           }
+          // The installment cleared but there's more to pay – reload the schedule below
+          if (installmentParam && data.installments?.some((i) => String(i.id) === installmentParam && i.status === 'paid')) break
         } catch { /* retry */ }
         await new Promise((r) => setTimeout(r, 2000))
       }
       try {
-        const res = await fetch(`${API}/api/proposals/${id}?track=false`)
+        const res = await fetch(`${API}/api/proposals/${id}?track=false${signerQs}`)
         if (res.ok) { const data = await res.json(); setProposal(data) }
       } catch { /* give up */ }
       setCheckingPayment(false)
     }
     pollPayment()
     return () => { cancelled = true }
-  }, [paymentParam, proposal?.id, id])
+  }, [paymentParam, installmentParam, proposal?.id, id])
 
-  function buildPackageSummary(p) {
+  function buildPackageSummary(p, cat) {
     const t = p.selected_tier || p.tier
     if (!t) return
-    const configs = {
-      professional: { base: 10000, baseTrainees: 3, baseKits: 1, baseTracks: 0, traineeRate: 2000, kitRate: 4000, trackRate: 5000, videoRate: 2000, onRoofRate: 5000 },
-      regional: { base: 35000, baseTrainees: 10, baseKits: 2, baseTracks: 2, traineeRate: 1600, kitRate: 4000, trackRate: 5000, videoRate: 0, onRoofRate: 5000 },
-      enterprise: { base: 75000, baseTrainees: 25, baseKits: 4, baseTracks: 4, traineeRate: 0, kitRate: 4000, trackRate: 0, videoRate: 0, onRoofRate: 0 },
-    }
-    const c = configs[t]
+    const c = cat.tiers[t]
     if (!c) return
-    // Use the tier-specific price from the proposal if available, otherwise fallback to hardcoded base
-    const tierBasePrice = Number(p[`${t}_price`]) || c.base
+    // Use the tier-specific price from the proposal if available, otherwise fall back to the catalog base
+    const tierBasePrice = Number(p[`${t}_price`]) || c.basePrice
     setPackageSummary({ tier: t, config: { ...c, base: tierBasePrice }, proposal: p })
   }
 
   // Handlers
+  function markExpired() {
+    setProposal((prev) => ({ ...prev, is_expired: true }))
+    setShowConfigurator(false)
+    setFabMode('hidden')
+  }
+
   async function handleConfigure(config) {
+    if (isPreview) throw new Error(PREVIEW_MESSAGE)
     setConfiguring(true)
     try {
       const res = await fetch(`${API}/api/proposals/${id}/configure`, {
@@ -148,13 +197,19 @@ export default function ProposalPage() {
       })
       if (!res.ok) {
         const data = await res.json().catch(() => ({}))
+        if (data.expired) markExpired()
         throw new Error(data.error || 'Failed to configure package')
       }
       const updated = await res.json()
-      setProposal(updated)
+      setProposal((prev) => ({ ...prev, ...updated }))
       setShowConfigurator(false)
       setFabMode('sign')
-      buildPackageSummary(updated)
+      buildPackageSummary(updated, catalog)
+      // Pick up what checkout will charge for the new package
+      try {
+        const refreshed = await fetch(`${API}/api/proposals/${id}?track=false${signerQs}`)
+        if (refreshed.ok) setProposal(await refreshed.json())
+      } catch { /* keep the configured package */ }
     } catch (err) {
       throw err
     } finally {
@@ -162,38 +217,90 @@ export default function ProposalPage() {
     }
   }
 
-  async function handleSign(signatureName, signatureData) {
+  async function handleSign(signature) {
+    if (isPreview) throw new Error(PREVIEW_MESSAGE)
     setSignError(null)
     try {
       const res = await fetch(`${API}/api/proposals/${id}/sign`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ signatureName, signatureData }),
+        body: JSON.stringify({ ...signature, signerToken }),
       })
+      const data = await res.json().catch(() => ({}))
       if (!res.ok) {
-        const data = await res.json().catch(() => ({}))
+        if (data.expired) markExpired()
         const msg = data.error || 'Failed to sign'
         setSignError(msg)
         throw new Error(msg)
       }
-      setProposal((prev) => ({ ...prev, status: 'signed', signature_name: signatureName, signed_at: new Date().toISOString() }))
-      setJustSigned(true)
+      // With several signers the proposal stays open until the last one signs
+      if (data.complete !== false) {
+        setProposal((prev) => ({ ...prev, status: 'signed', signature_name: signature.signatureName, signed_at: new Date().toISOString() }))
+        setJustSigned(true)
+      }
       setFabMode('hidden')
+      // Pick up server-side signing details, including the contract download token
+      try {
+        const refreshed = await fetch(`${API}/api/proposals/${id}?track=false${signerQs}`)
+        if (refreshed.ok) setProposal(await refreshed.json())
+      } catch { /* keep the optimistic state */ }
+      return data
     } catch (err) {
       setSignError(err.message || 'Failed to sign proposal')
       throw err
     }
   }
 
-  async function handlePayNow() {
+  async function handleDelegate(delegate) {
+    if (isPreview) throw new Error(PREVIEW_MESSAGE)
+    const res = await fetch(`${API}/api/proposals/${id}/delegate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...delegate, signerToken, contactToken }),
+    })
+    const data = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      if (data.expired) markExpired()
+      throw new Error(data.error || 'Failed to send')
+    }
+    setDelegated(true)
+    // The delegate now signs in this person's place
+    try {
+      const refreshed = await fetch(`${API}/api/proposals/${id}?track=false${signerQs}`)
+      if (refreshed.ok) setProposal(await refreshed.json())
+    } catch { /* the confirmation is already shown */ }
+  }
+
+  // Saves the billing address sales tax is based on; throws so the form can show the error
+  async function handleSaveAddress(billingAddress) {
+    if (isPreview) throw new Error(PREVIEW_MESSAGE)
+    const res = await fetch(`${API}/api/proposals/${id}/billing-address`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ billingAddress }),
+    })
+    const data = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      if (data.expired) markExpired()
+      throw new Error(data.error || 'Failed to save billing address')
+    }
+    setProposal((prev) => ({ ...prev, billing_address: data.billing_address, checkout_options: data.checkout_options }))
+  }
+
+  async function handlePayNow(paymentMethod) {
+    if (isPreview) {
+      setSignError(PREVIEW_MESSAGE)
+      return
+    }
     try {
       const res = await fetch(`${API}/api/proposals/${id}/checkout`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({}),
+        body: JSON.stringify({ paymentMethod }),
       })
       if (!res.ok) {
         const data = await res.json().catch(() => ({}))
+        if (data.expired) markExpired()
         setSignError(data.error || 'Failed to start payment')
         return
       }
@@ -234,16 +341,31 @@ export default function ProposalPage() {
   }
 
   // Derived state
+  const fmt = moneyFormat(proposal)
   const isConfigured = !!(proposal.tier || proposal.selected_tier)
-  const isSigned = proposal.status === 'signed'
-  const isPaid = proposal.payment_status === 'paid'
+  const isSigned = SIGNED_STATUSES.includes(proposal.status)
+  const isVoided = proposal.status === 'voided'
+  // A partial refund or an open dispute doesn't undo the payment as far as the client is concerned
+  const isPaid = ['paid', 'partially_refunded', 'disputed'].includes(proposal.payment_status)
+  const isRefunded = proposal.payment_status === 'refunded'
+  const amountRefunded = Number(proposal.amount_refunded) || 0
   const isProcessing = proposal.payment_status === 'processing'
   const paymentFailed = proposal.payment_status === 'failed'
+  // Part of a payment schedule is paid; the proposal no longer expires
+  const isPartiallyPaid = proposal.payment_status === 'partial'
+  const invoice = proposal.invoice
+  const isExpired = !!proposal.is_expired && !isPaid && !isRefunded && !isProcessing && !isPartiallyPaid && !invoice && !isVoided
   const hasPrice = proposal.total_price != null && Number(proposal.total_price) > 0
   const needsConfiguration = proposal.let_client_choose && !isConfigured
+  const signers = proposal.signers || []
+  const installments = proposal.installments || []
+  const currentSigner = proposal.current_signer
+  const signingStarted = signers.some((s) => s.signed_at)
+  // On a multi-signer proposal only the invited signer whose turn it is can sign
+  const cannotSignHere = signers.length > 0 && (!currentSigner || !!currentSigner.signed_at || !!currentSigner.waiting_on)
   const proposalDate = proposal.created_at
-    ? new Date(proposal.created_at).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
-    : new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    ? new Date(proposal.created_at).toLocaleDateString(proposal.locale, { year: 'numeric', month: 'long', day: 'numeric' })
+    : new Date().toLocaleDateString(proposal.locale, { year: 'numeric', month: 'long', day: 'numeric' })
 
   const activeTier = proposal.selected_tier || proposal.tier
   const isEnterprise = activeTier === 'enterprise'
@@ -256,6 +378,12 @@ export default function ProposalPage() {
 
   return (
     <div className="container">
+      {isPreview && (
+        <div className="preview-banner">
+          <strong>Client preview</strong> – this visit isn{'\u2019'}t tracked, and signing, configuring and payment are disabled.
+        </div>
+      )}
+
       {/* LOGO */}
       <div style={{ marginBottom: 32 }}>
         <div className="proposal-brand">
@@ -291,11 +419,44 @@ export default function ProposalPage() {
         </p>
       </div>
 
+      {/* ═══ Withdrawn ═══ */}
+      {isVoided && (
+        <div style={{ textAlign: 'center', padding: '60px 0' }}>
+          <h2 style={{ color: '#1e2c55', marginBottom: 8 }}>This Proposal Has Been Withdrawn</h2>
+          <p style={{ color: '#5a6377', fontSize: '0.9rem' }}>
+            Please contact <a href="mailto:adam@re-dry.com" style={{ color: '#00bd70' }}>adam@re-dry.com</a> for an updated proposal.
+          </p>
+        </div>
+      )}
+
+      {/* ═══ Expired ═══ */}
+      {isExpired && (
+        <div style={{ textAlign: 'center', padding: '60px 0' }}>
+          <div className="signed-badge visible" style={{ display: 'inline-flex', marginBottom: 16 }}>
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+              <circle cx="12" cy="12" r="10" /><polyline points="12 6 12 12 16 14" />
+            </svg>
+            <div>
+              <div className="signed-text" style={{ fontSize: '1.1rem', color: '#b45309' }}>This Proposal Has Expired</div>
+              <div className="signed-detail">
+                {proposal.expires_at
+                  ? `This quote was valid until ${new Date(proposal.expires_at).toLocaleDateString(proposal.locale, { year: 'numeric', month: 'long', day: 'numeric' })}.`
+                  : 'This quote is no longer valid.'}
+              </div>
+            </div>
+          </div>
+          <p style={{ color: '#5a6377', fontSize: '0.9rem', marginBottom: 16 }}>Pricing and availability may have changed. Request a new quote and we{'\u2019'}ll get you an updated proposal.</p>
+          <a href={`mailto:adam@re-dry.com?subject=${encodeURIComponent(`New Quote Request - ${proposal.company}`)}`} style={{ display: 'inline-block', padding: '12px 28px', background: '#1B2A4A', color: '#fff', borderRadius: 8, textDecoration: 'none', fontSize: '0.95rem', fontWeight: 600 }}>
+            Request a New Quote
+          </a>
+        </div>
+      )}
+
       {/* ═══ TIER CARDS (always shown if not signed/paid) ═══ */}
-      {!isSigned && !isPaid && (
+      {!isSigned && !isPaid && !isExpired && !isVoided && (
         <>
           <div className="tier-grid">
-            {['professional', 'regional', 'enterprise'].map((key) => {
+            {Object.entries(catalog.tiers).map(([key, tc]) => {
               const isHighlight = key === 'regional'
               return (
                 <div key={key} className={`tier-card ${isHighlight ? 'highlight' : ''}`}>
@@ -305,16 +466,16 @@ export default function ProposalPage() {
                   )}
                   <div className="tier-inner" style={isHighlight ? { marginTop: 12 } : {}}>
                     <div className="tier-top">
-                      <span className="tier-name">{TIER_NAMES[key]}</span>
-                      <span className="tier-days">{TIER_DAYS[key]}</span>
+                      <span className="tier-name">{tc.name}</span>
+                      <span className="tier-days">{tc.days}</span>
                     </div>
                     <div className="tier-price-row">
-                      <span className="tier-price">{TIER_PRICES_DISPLAY[key]}</span>
+                      <span className="tier-price">{shortPrice(tc, proposal)}</span>
                       <span className="tier-price-sub">{TIER_PRICE_SUB[key]}</span>
                     </div>
-                    <p className="tier-desc">{TIER_DESCS[key]}</p>
+                    <p className="tier-desc">{TIER_DESCS[key] || tc.description}</p>
                     <div className="tier-highlights">
-                      {TIER_HIGHLIGHTS[key].map((h, i) => (
+                      {(TIER_HIGHLIGHTS[key] || []).map((h, i) => (
                         <div className="tier-highlight" key={i}>
                           <ChkSvg />
                           <span>{h}</span>
@@ -338,7 +499,7 @@ export default function ProposalPage() {
           )}
 
           {/* COMPARISON TABLE */}
-          <ComparisonTable />
+          <ComparisonTable catalog={catalog} currency={proposal.currency} locale={proposal.locale} onExpand={() => markSection('comparison')} />
 
           {/* PACKAGE SUMMARY (after configuration) */}
           {isConfigured && packageSummary && (
@@ -346,13 +507,13 @@ export default function ProposalPage() {
               <div className="pkg-sum-header">
                 <div className="pkg-sum-header-left">
                   <span className="pkg-label">Selected Package</span>
-                  <span className="pkg-tier-name">{TIER_NAMES[packageSummary.tier]}</span>
+                  <span className="pkg-tier-name">{packageSummary.config.name}</span>
                 </div>
                 <div className="pkg-total">{fmt(proposal.total_price)}</div>
               </div>
               <div className="pkg-sum-body">
                 <div className="pkg-line-item">
-                  <div><span className="line-label">{TIER_NAMES[packageSummary.tier]} Package (base)</span></div>
+                  <div><span className="line-label">{packageSummary.config.name} Package (base)</span></div>
                   <span className="line-value">{fmt(packageSummary.config.base)}</span>
                 </div>
                 <div className="pkg-line-item">
@@ -388,9 +549,15 @@ export default function ProposalPage() {
                     </span>
                   </div>
                 )}
+                {Number(proposal.discount_amount) > 0 && (
+                  <div className="pkg-line-item">
+                    <div><span className="line-label">Discount ({proposal.discount_code})</span></div>
+                    <span className="line-value included">{'\u2212'}{fmt(proposal.discount_amount)}</span>
+                  </div>
+                )}
               </div>
               <div className="pkg-sum-footer">
-                {proposal.let_client_choose && (
+                {proposal.let_client_choose && !signingStarted && (
                   <button className="edit-btn" onClick={() => setShowConfigurator(true)} type="button">Edit Selection</button>
                 )}
                 <span className="total-label">Total: {fmt(proposal.total_price)}</span>
@@ -399,18 +566,27 @@ export default function ProposalPage() {
           )}
 
           {/* TERMS & CONDITIONS */}
-          <TermsAccordion companyName={proposal.company} />
+          <TermsAccordion sections={termsSections} companyName={proposal.company} onExpand={() => markSection('terms')} />
 
           {/* SIGNATURE BLOCK */}
           <div ref={signatureRef}>
             {signError && (
               <p style={{ color: '#dc2626', fontSize: 13, marginBottom: 12, textAlign: 'center' }}>{signError}</p>
             )}
+            {signers.length > 0 && (
+              <SignerStatus signers={signers} signingOrder={proposal.signing_order} currentSigner={currentSigner} locale={proposal.locale} />
+            )}
             <SignaturePad
               onSign={handleSign}
               companyName={proposal.company}
-              disabled={isSigned}
+              disabled={isSigned || isPreview || cannotSignHere}
+              signer={currentSigner}
+              locale={proposal.locale}
+              consentText={proposal.esign_consent_text}
             />
+            {!isPreview && (delegated || (signers.length === 0 && contactToken) || (currentSigner && !currentSigner.signed_at)) && (
+              <DelegateSigning onDelegate={handleDelegate} />
+            )}
           </div>
         </>
       )}
@@ -427,10 +603,31 @@ export default function ProposalPage() {
               <div className="signed-detail">Thank you! Your payment has been processed successfully.</div>
             </div>
           </div>
+          {amountRefunded > 0 && (
+            <p style={{ color: '#5a6377', fontSize: '0.9rem' }}>A refund of {fmt(amountRefunded)} has been issued to your original payment method.</p>
+          )}
           <p style={{ color: '#5a6377', fontSize: '0.9rem' }}>We{'\u2019'}ll be in touch shortly to get your training scheduled.</p>
         </div>
       )}
 
+      {/* Payment refunded in full */}
+      {isRefunded && (
+        <div style={{ textAlign: 'center', padding: '60px 0' }}>
+          <div className="signed-badge visible" style={{ display: 'inline-flex', marginBottom: 16 }}>
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="#64748b" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+              <polyline points="1 4 1 10 7 10" /><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10" />
+            </svg>
+            <div>
+              <div className="signed-text" style={{ fontSize: '1.1rem', color: '#475569' }}>Payment Refunded</div>
+              <div className="signed-detail">
+                {amountRefunded > 0 ? fmt(amountRefunded) : 'Your payment'} has been refunded to your original payment method.
+              </div>
+            </div>
+          </div>
+          <p style={{ color: '#5a6377', fontSize: '0.9rem' }}>Refunds usually appear on your statement within 5{'\u2013'}10 business days.</p>
+        </div>
+      )}
+
       {/* ACH payment processing */}
       {isProcessing && !isPaid && (
         <div style={{ textAlign: 'center', padding: '60px 0' }}>
@@ -459,11 +656,16 @@ export default function ProposalPage() {
               <div className="signed-detail">Your bank transfer could not be completed. Please try again or use a different payment method.</div>
             </div>
           </div>
-          {hasPrice && (
+          {hasPrice && installments.length === 0 && (
             <div style={{ marginTop: 12 }}>
-              <button className="cta-btn" onClick={handlePayNow} type="button" style={{ fontSize: '1rem' }}>
-                Retry Payment {'\u2014'} {fmt(proposal.total_price)}
-              </button>
+              <CheckoutSummary
+                label="Retry Payment"
+                options={proposal.checkout_options}
+                billingAddress={proposal.billing_address}
+                onSaveAddress={handleSaveAddress}
+                onPay={handlePayNow}
+                money={fmt}
+              />
             </div>
           )}
         </div>
@@ -478,7 +680,7 @@ export default function ProposalPage() {
       )}
 
       {/* ═══ Signed confirmation + Pay Now ═══ */}
-      {isSigned && !isPaid && !checkingPayment && (
+      {isSigned && !isPaid && !isRefunded && !checkingPayment && !isExpired && (
         <div style={{ textAlign: 'center', padding: '60px 0' }}>
           <div className="signed-badge visible" style={{ display: 'inline-flex', marginBottom: 20 }}>
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="#00a35f" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
@@ -490,26 +692,70 @@ export default function ProposalPage() {
               </div>
               <div className="signed-detail">
                 Signed by {proposal.signature_name}
-                {proposal.signed_at && ` on ${new Date(proposal.signed_at).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`}
+                {proposal.signed_at && ` on ${new Date(proposal.signed_at).toLocaleDateString(proposal.locale, { year: 'numeric', month: 'long', day: 'numeric' })}`}
+              </div>
+              <div className="signed-detail">
+                {proposal.countersigned_at
+                  ? `Fully executed \u2014 countersigned by ${proposal.countersign_name} (ReDry) on ${new Date(proposal.countersigned_at).toLocaleDateString(proposal.locale, { year: 'numeric', month: 'long', day: 'numeric' })}`
+                  : 'Awaiting countersignature by ReDry \u2014 we\u2019ll email you the fully executed agreement'}
               </div>
             </div>
           </div>
-          {hasPrice && !isEnterprise && (
+          {hasPrice && !isEnterprise && installments.length > 0 && (
             <>
               {signError && (
                 <p style={{ color: '#dc2626', fontSize: 13, marginBottom: 12 }}>{signError}</p>
               )}
-              <div>
-                <button className="cta-btn" onClick={handlePayNow} type="button" style={{ fontSize: '1rem' }}>
-                  Pay Now {'\u2014'} {fmt(proposal.total_price)}
-                </button>
-                <p style={{ color: '#9ba3b5', fontSize: 12, marginTop: 10 }}>
-                  Secure payment via card or bank transfer, powered by Stripe
-                </p>
-              </div>
+              <PaymentSchedule
+                installments={installments}
+                onPay={handlePayNow}
+                checkoutOptions={proposal.checkout_options}
+                billingAddress={proposal.billing_address}
+                onSaveAddress={handleSaveAddress}
+                money={fmt}
+                locale={proposal.locale}
+              />
+            </>
+          )}
+          {hasPrice && !isEnterprise && installments.length === 0 && (
+            <>
+              {signError && (
+                <p style={{ color: '#dc2626', fontSize: 13, marginBottom: 12 }}>{signError}</p>
+              )}
+              <CheckoutSummary
+                label="Pay Now"
+                options={proposal.checkout_options}
+                billingAddress={proposal.billing_address}
+                onSaveAddress={handleSaveAddress}
+                onPay={handlePayNow}
+                money={fmt}
+              />
             </>
           )}
-          {isEnterprise && (
+          {isEnterprise && invoice && (
+            <div className="invoice-summary">
+              <span className="label">Invoice {invoice.number}</span>
+              <div className="invoice-amount">{fmt(invoice.amount)}</div>
+              <p>
+                {invoice.net_days === 0 ? 'Due on receipt' : `Net ${invoice.net_days}`} {'\u2014'} due by{' '}
+                {new Date(`${invoice.due_date}T00:00:00`).toLocaleDateString(proposal.locale, { year: 'numeric', month: 'long', day: 'numeric' })}
+              </p>
+              <p>Pay by ACH or wire using the instructions on the invoice, quoting {invoice.number} as the reference.</p>
+              <div className="invoice-actions">
+                {proposal.contract_token && (
+                  <a href={`${API}/api/proposals/${id}/invoice.pdf?token=${encodeURIComponent(proposal.contract_token)}`} target="_blank" rel="noopener noreferrer">
+                    Download invoice (PDF)
+                  </a>
+                )}
+                {invoice.hosted_invoice_url && (
+                  <a className="cta-btn" href={invoice.hosted_invoice_url} target="_blank" rel="noopener noreferrer">
+                    Pay Online
+                  </a>
+                )}
+              </div>
+            </div>
+          )}
+          {isEnterprise && !invoice && (
             <div style={{ marginTop: 20 }}>
               <p style={{ color: '#1e2c55', fontSize: '1rem', fontWeight: 600, marginBottom: 8 }}>
                 Next Step: Schedule Your Consultation Call
@@ -526,6 +772,14 @@ export default function ProposalPage() {
         </div>
       )}
 
+      {isSigned && proposal.contract_token && (
+        <p className="contract-download">
+          <a href={`${API}/api/proposals/${id}/contract.pdf?token=${encodeURIComponent(proposal.contract_token)}`} target="_blank" rel="noopener noreferrer">
+            {proposal.countersigned_at ? 'Download your fully executed agreement (PDF)' : 'Download your signed agreement (PDF)'}
+          </a>
+        </p>
+      )}
+
       {/* FOOTER */}
       <div className="proposal-footer">
         <div className="footer-brand">Roof MRI</div>
@@ -534,7 +788,7 @@ export default function ProposalPage() {
       </div>
 
       {/* ═══ FLOATING ACTION BUTTON ═══ */}
-      {fabMode !== 'hidden' && !isSigned && !isPaid && (
+      {fabMode !== 'hidden' && !isSigned && !isPaid && !isExpired && !isVoided && (
         <button className="floating-sign-btn" onClick={floatingAction} type="button">
           {fabMode === 'build' ? (
             <>
@@ -557,7 +811,12 @@ export default function ProposalPage() {
       {/* ═══ Configurator Modal ═══ */}
       {showConfigurator && (
         <Configurator
+          catalog={catalog}
           prices={tierPrices}
+          proposalId={id}
+          discountCode={proposal.discount_code}
+          checkoutOptions={proposal.checkout_options}
+          money={fmt}
           onConfirm={handleConfigure}
           onClose={() => setShowConfigurator(false)}
           submitting={configuring}
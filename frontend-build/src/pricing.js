@@ -0,0 +1,64 @@
+const API = import.meta.env.VITE_API_URL || ''
+
+// Load the server-side pricing catalog (latest version unless one is given)
+export async function fetchPricing(version) {
+  const qs = version ? `?version=${encodeURIComponent(version)}` : ''
+  const res = await fetch(`${API}/api/pricing${qs}`)
+  if (!res.ok) throw new Error('Failed to load pricing')
+  return res.json()
+}
+
+// Price a package configuration the way confirming it would, without saving it.
+// Resolves to { subtotal, discount_amount, total_price, tax }; rejects with the reason it can't be priced.
+export async function quoteConfiguration(proposalId, config) {
+  const res = await fetch(`${API}/api/proposals/${proposalId}/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(config),
+  })
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data.error || 'Failed to price package')
+  return data
+}
+
+// Check a discount code against a proposal and tier. Resolves to { code, kind, value, tiers, description };
+// rejects with the reason the code can't be used.
+export async function checkDiscountCode(proposalId, code, tier) {
+  const qs = `?code=${encodeURIComponent(code)}${tier ? `&tier=${encodeURIComponent(tier)}` : ''}`
+  const res = await fetch(`${API}/api/proposals/${proposalId}/discount-code${qs}`)
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data.error || 'Failed to check discount code')
+  return data
+}
+
+// Formatter for amounts in the currency and locale the API gives a proposal or price book:
+// whole amounts without cents ("$10,000", "£10,000"), anything else (or everything, with
+// cents) to 2 places
+export function moneyFormat({ currency, locale } = {}, { cents = false } = {}) {
+  const code = (currency || 'usd').toUpperCase()
+  const whole = new Intl.NumberFormat(locale, { style: 'currency', currency: code, minimumFractionDigits: 0, maximumFractionDigits: 0 })
+  const exact = new Intl.NumberFormat(locale, { style: 'currency', currency: code, minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  return (n) => {
+    const amount = Math.round((Number(n) || 0) * 100) / 100
+    return !cents && Number.isInteger(amount) ? whole.format(amount) : exact.format(amount)
+  }
+}
+
+// Short marketing price, e.g. "$10K" or "$75K+" for custom tiers, in a proposal's currency
+export function shortPrice(rates, { currency, locale } = {}) {
+  const code = (currency || 'usd').toUpperCase()
+  const compact = new Intl.NumberFormat(locale, { style: 'currency', currency: code, notation: 'compact', maximumFractionDigits: 0 })
+  return compact.format(Math.round(rates.basePrice / 1000) * 1000) + (rates.custom ? '+' : '')
+}
+
+// One-line tier description, e.g. "2 days, up to 10 trainees, 2 Recon Kits, 2 tracks"
+export function tierSummary(rates, trackCount) {
+  const parts = [
+    rates.days.toLowerCase(),
+    `up to ${rates.baseTrainees} trainees`,
+    `${rates.baseKits} Recon Kit${rates.baseKits > 1 ? 's' : ''}`,
+  ]
+  if (rates.baseTracks >= trackCount) parts.push('all tracks')
+  else if (rates.baseTracks > 0) parts.push(`${rates.baseTracks} tracks`)
+  return parts.join(', ')
+}
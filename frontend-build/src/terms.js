@@ -0,0 +1,17 @@
+const API = import.meta.env.VITE_API_URL || ''
+
+// Load a terms & conditions version (the current one unless a version is given)
+export async function fetchTerms(version) {
+  const qs = version ? `?version=${encodeURIComponent(version)}` : ''
+  const res = await fetch(`${API}/api/terms${qs}`)
+  if (!res.ok) throw new Error('Failed to load terms')
+  return res.json()
+}
+
+// Load the terms a proposal is signed under: its pinned version plus any
+// proposal-specific clauses (marked with `custom`)
+export async function fetchProposalTerms(proposalId) {
+  const res = await fetch(`${API}/api/proposals/${proposalId}/terms`)
+  if (!res.ok) throw new Error('Failed to load terms')
+  return res.json()
+}
@@ -0,0 +1,69 @@
+// Word-level redline between two terms versions, section by section.
+
+function sectionLines(section) {
+  return [
+    section.title,
+    ...(section.content || []),
+    ...(section.subsections || []).map(sub => `${sub.label} ${sub.text}`),
+  ]
+}
+
+// Longest-common-subsequence diff over word (and whitespace) tokens
+function diffWords(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean)
+  const b = after.split(/(\s+)/).filter(Boolean)
+  const cols = b.length + 1
+  const lcs = new Uint16Array((a.length + 1) * cols)
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] = a[i] === b[j]
+        ? lcs[(i + 1) * cols + j + 1] + 1
+        : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1])
+    }
+  }
+
+  const parts = []
+  const push = (type, text) => {
+    const last = parts[parts.length - 1]
+    if (last && last.type === type) last.text += text
+    else parts.push({ type, text })
+  }
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { push('same', a[i]); i++; j++ }
+    else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) push('del', a[i++])
+    else push('ins', b[j++])
+  }
+  while (i < a.length) push('del', a[i++])
+  while (j < b.length) push('ins', b[j++])
+  return parts
+}
+
+// Pair sections by title (falling back to position) and diff each pair.
+// Returns [{ title, status: 'added' | 'removed' | 'changed' | 'unchanged', parts }]
+export function diffTerms(oldSections, newSections) {
+  const used = new Set()
+  const result = []
+
+  newSections.forEach((section, idx) => {
+    let match = oldSections.findIndex((s, i) => !used.has(i) && s.title.trim().toLowerCase() === section.title.trim().toLowerCase())
+    if (match === -1 && idx < oldSections.length && !used.has(idx)) match = idx
+    const after = sectionLines(section).join('\n')
+    if (match === -1) {
+      result.push({ title: section.title, status: 'added', parts: [{ type: 'ins', text: after }] })
+      return
+    }
+    used.add(match)
+    const before = sectionLines(oldSections[match]).join('\n')
+    const parts = diffWords(before, after)
+    result.push({ title: section.title, status: parts.some(p => p.type !== 'same') ? 'changed' : 'unchanged', parts })
+  })
+
+  oldSections.forEach((section, idx) => {
+    if (!used.has(idx)) {
+      result.push({ title: section.title, status: 'removed', parts: [{ type: 'del', text: sectionLines(section).join('\n') }] })
+    }
+  })
+  return result
+}
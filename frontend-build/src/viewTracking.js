@@ -0,0 +1,52 @@
+import { useEffect, useRef, useCallback } from 'react'
+
+const API = import.meta.env.VITE_API_URL || ''
+const HEARTBEAT_MS = 30000
+
+// Reports rough time-on-page (only while the tab is visible) and which sections
+// the client expanded for one tracked open. Returns markSection(name).
+export function useViewTracking(proposalId, viewId) {
+  const sections = useRef(new Set())
+
+  useEffect(() => {
+    if (!proposalId || !viewId) return
+    const url = `${API}/api/proposals/${proposalId}/views/${viewId}`
+    let visibleMs = 0
+    let visibleSince = document.visibilityState === 'visible' ? Date.now() : null
+
+    function flush() {
+      if (visibleSince) {
+        visibleMs += Date.now() - visibleSince
+        visibleSince = Date.now()
+      }
+      // text/plain keeps the cross-origin beacon a simple request (no preflight)
+      const body = JSON.stringify({ seconds: Math.round(visibleMs / 1000), sections: [...sections.current] })
+      if (navigator.sendBeacon) {
+        navigator.sendBeacon(url, new Blob([body], { type: 'text/plain' }))
+      } else {
+        fetch(url, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body, keepalive: true }).catch(() => {})
+      }
+    }
+
+    function handleVisibility() {
+      if (document.visibilityState === 'hidden') {
+        flush()
+        visibleSince = null
+      } else {
+        visibleSince = Date.now()
+      }
+    }
+
+    const timer = setInterval(() => { if (visibleSince) flush() }, HEARTBEAT_MS)
+    document.addEventListener('visibilitychange', handleVisibility)
+    window.addEventListener('pagehide', flush)
+    return () => {
+      clearInterval(timer)
+      document.removeEventListener('visibilitychange', handleVisibility)
+      window.removeEventListener('pagehide', flush)
+      flush()
+    }
+  }, [proposalId, viewId])
+
+  return useCallback((name) => { sections.current.add(name) }, [])
+}
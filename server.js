@@ -11,6 +11,8 @@ const jwt = require('jsonwebtoken');
 const PDFDocument = require('pdfkit');
 const path = require('path');
 const app = express();
+// Behind Render's proxy – use X-Forwarded-For for req.ip (rate limits and audit trail)
+app.set('trust proxy', 1);
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 // ── CORS – restrict to allowed frontend origins ─────────────────
@@ -57,144 +59,140 @@ app.post('/api/stripe-webhook', express.raw({ type: 'application/json' }), async
     // Continue processing – better to risk a duplicate than drop the event
   }
 
+  // Log every Stripe event for a proposal on its timeline, including ones we ignore
+  const webhookProposalId = event.data.object?.metadata?.proposal_id;
+  if (webhookProposalId) {
+    try {
+      await recordProposalEvent(webhookProposalId, 'stripe_webhook', {
+        actor: 'stripe',
+        payload: { event_id: event.id, event_type: event.type, payment_status: event.data.object.payment_status ?? null },
+      });
+    } catch (err) {
+      console.error('Failed to record webhook event:', err);
+    }
+  }
+
   // Handle both immediate (card) and async (ACH bank transfer) payments
   const paymentEvents = ['checkout.session.completed', 'checkout.session.async_payment_succeeded'];
-  if (paymentEvents.includes(event.type)) {
+  if (paymentEvents.includes(event.type) && event.data.object.metadata?.proposal_id) {
     const session = event.data.object;
-    const proposalId = session.metadata?.proposal_id;
+    const source = { actor: 'stripe', payload: { event_id: event.id, event_type: event.type } };
 
     // For checkout.session.completed with async payment (ACH), payment isn't final yet
     if (event.type === 'checkout.session.completed' && session.payment_status === 'unpaid') {
-      // ACH initiated but not yet settled – update status to pending
-      if (proposalId) {
-        try {
-          await pool.query(
-            `UPDATE proposals SET payment_status = 'processing', stripe_session_id = $1 WHERE id = $2`,
-            [session.id, proposalId]
-          );
-        } catch (err) {
-          console.error('Error updating to processing:', err);
-        }
+      try {
+        await applySessionProcessing(session, source);
+      } catch (err) {
+        console.error('Error updating to processing:', err);
       }
       return res.json({ received: true });
     }
 
+    try {
+      await applySessionPaid(session, source);
+    } catch (webhookErr) {
+      console.error('Webhook processing error:', webhookErr);
+      return res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  }
+
+  // Enterprise invoice paid through Stripe's hosted invoice page
+  if (event.type === 'invoice.paid') {
+    const stripeInvoice = event.data.object;
+    const proposalId = stripeInvoice.metadata?.proposal_id;
     if (proposalId) {
       try {
-        await pool.query(
-          `UPDATE proposals SET payment_status = 'paid', stripe_session_id = $1 WHERE id = $2`,
-          [session.id, proposalId]
+        // Invoices an admin already marked paid (paid out of band) are left alone
+        const { rows: settled } = await pool.query(
+          `UPDATE invoices SET status = 'paid', paid_at = NOW(), paid_via = 'stripe', payment_reference = $1, stripe_payment_intent_id = $3
+           WHERE stripe_invoice_id = $2 AND status = 'open' RETURNING *`,
+          [stripeInvoice.number || stripeInvoice.id, stripeInvoice.id, stripeInvoice.payment_intent || null]
         );
-        const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [proposalId]);
-        if (rows.length > 0) {
-          const p = rows[0];
-          const safeName = escapeHtml(p.contact_name);
-          const safeCompany = escapeHtml(p.company);
-          const totalFormatted = p.total_price ? '$' + Number(p.total_price).toLocaleString() : 'N/A';
-          const tierLabel = p.tier ? p.tier.charAt(0).toUpperCase() + p.tier.slice(1) : 'Custom';
-
-          // Notify Adam of payment
-          let emailSent = false;
-          await sgMail.send({
-            to: 'adam@re-dry.com',
-            from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
-            subject: `PAID: ${safeCompany} - ${safeName}`,
-            html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
-              <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
-                <span style="color:#fff;font-size:16px;font-weight:700">ROOF <span style="color:#00bd70">MRI</span></span>
-              </div>
-              <div style="padding:20px;background:#fff;border:1px solid #e2e8f0">
-                <p style="font-size:14px;color:#374151"><strong>Payment received</strong> from ${safeName} at ${safeCompany}</p>
-                <p style="font-size:13px;color:#64748b">${tierLabel} Package | ${totalFormatted}</p>
-              </div>
-            </div>`
+        if (settled.length === 0) {
+          console.warn(`Ignored ${event.type} for Stripe invoice ${stripeInvoice.id}: no open invoice`);
+        } else {
+          const p = await transitionProposal(proposalId, 'paid', {
+            actor: 'stripe',
+            payload: {
+              event_id: event.id, event_type: event.type, amount_total: stripeInvoice.amount_paid,
+              invoice_id: settled[0].id, invoice_number: invoiceNumber(settled[0]), via: 'stripe',
+            },
+            set: { stripe_payment_intent_id: stripeInvoice.payment_intent || null },
           });
-
-          // Send payment confirmation to client
-          try {
-            await sgMail.send({
-              to: p.email,
-              from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
-              subject: `Payment Confirmed - Roof MRI Training`,
-              html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
-                <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
-                  <span style="color:#fff;font-size:18px;font-weight:700">ROOF <span style="color:#00bd70">MRI</span></span>
-                </div>
-                <div style="padding:24px;background:#fff;border:1px solid #e2e8f0">
-                  <div style="text-align:center;margin-bottom:20px">
-                    <div style="display:inline-block;background:#ecfdf5;border-radius:50%;padding:12px;margin-bottom:8px">
-                      <span style="color:#00bd70;font-size:24px;font-weight:bold">\u2713</span>
-                    </div>
-                    <h2 style="color:#1B2A4A;margin:8px 0 0 0;font-size:20px">Payment Confirmed</h2>
-                  </div>
-                  <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">Hi ${safeName},</p>
-                  <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">We\u2019ve received your payment. Thank you for choosing Roof MRI! Here\u2019s your receipt summary:</p>
-                  <div style="background:#f8fafc;border:1px solid #e2e8f0;border-radius:6px;padding:16px;margin-bottom:16px">
-                    <table style="width:100%;border-collapse:collapse">
-                      <tr><td style="padding:6px 0;font-size:13px;color:#64748b">Package</td><td style="padding:6px 0;font-size:13px;color:#1B2A4A;text-align:right;font-weight:600">${tierLabel}</td></tr>
-                      <tr><td style="padding:6px 0;font-size:13px;color:#64748b">Company</td><td style="padding:6px 0;font-size:13px;color:#1B2A4A;text-align:right">${safeCompany}</td></tr>
-                      <tr style="border-top:1px solid #e2e8f0"><td style="padding:10px 0 6px;font-size:14px;color:#1B2A4A;font-weight:700">Total Paid</td><td style="padding:10px 0 6px;font-size:14px;color:#00bd70;text-align:right;font-weight:700">${totalFormatted}</td></tr>
-                    </table>
-                  </div>
-                  <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:8px"><strong>What\u2019s next?</strong></p>
-                  <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">We\u2019ll be in touch within 1\u20132 business days to coordinate your training dates and logistics. If you have questions in the meantime, just reply to this email.</p>
-                  <p style="font-size:14px;color:#1B2A4A;font-weight:600;margin:0">Adam Capps</p>
-                  <p style="font-size:13px;color:#64748b;margin:2px 0 0 0">Founder, Roof MRI & ReDry</p>
-                  <p style="font-size:13px;color:#64748b;margin:2px 0 0 0">adam@re-dry.com</p>
-                </div>
-                <div style="background:#1B2A4A;padding:12px 20px;text-align:center">
-                  <p style="margin:0;font-size:11px;color:#94a3b8">Roof MRI | Advancing the Science of Roof Moisture Detection</p>
-                </div>
-              </div>`
-            });
-            emailSent = true;
-          } catch (clientEmailErr) {
-            console.error('Failed to send payment confirmation to client:', clientEmailErr);
-          }
-
-          // Track whether confirmation emails were sent
-          await pool.query('UPDATE proposals SET email_sent = $1 WHERE id = $2', [emailSent, proposalId]);
+          if (!p) console.warn(`Ignored ${event.type} for proposal ${proposalId}: not awaiting payment`);
+          else await sendPaymentConfirmation(p);
         }
-      } catch (webhookErr) {
-        console.error('Webhook processing error:', webhookErr);
+      } catch (err) {
+        console.error('Error processing invoice payment:', err);
         return res.status(500).json({ error: 'Webhook processing failed' });
       }
     }
   }
 
-  // Handle failed async payments (ACH failures)
-  if (event.type === 'checkout.session.async_payment_failed') {
-    const session = event.data.object;
-    const proposalId = session.metadata?.proposal_id;
+  // Enterprise invoice voided in Stripe: the proposal is withdrawn with it
+  if (event.type === 'invoice.voided') {
+    const stripeInvoice = event.data.object;
+    const proposalId = stripeInvoice.metadata?.proposal_id;
     if (proposalId) {
       try {
-        await pool.query(
-          `UPDATE proposals SET payment_status = 'failed' WHERE id = $1`,
-          [proposalId]
+        // Invoices voided from the dashboard are already void here
+        const { rows: voided } = await pool.query(
+          `UPDATE invoices SET status = 'void' WHERE stripe_invoice_id = $1 AND status = 'open' RETURNING *`,
+          [stripeInvoice.id]
         );
+        if (voided.length === 0) {
+          console.warn(`Ignored ${event.type} for Stripe invoice ${stripeInvoice.id}: no open invoice`);
+        } else {
+          const p = await transitionProposal(proposalId, 'voided', {
+            actor: 'stripe',
+            payload: { event_id: event.id, event_type: event.type, invoice_id: voided[0].id, invoice_number: invoiceNumber(voided[0]) },
+          });
+          if (!p) console.warn(`Ignored ${event.type} for proposal ${proposalId}: not invoiced`);
+          else await releaseDiscountCode(p.discount_code);
+        }
       } catch (err) {
-        console.error('Error updating failed payment:', err);
+        console.error('Error processing invoice void:', err);
+        return res.status(500).json({ error: 'Webhook processing failed' });
       }
     }
   }
 
+  // Refunds (including ones started from the dashboard) and chargebacks
+  if (['charge.refunded', 'charge.dispute.created', 'charge.dispute.closed'].includes(event.type)) {
+    try {
+      await handleChargeEvent(event);
+    } catch (err) {
+      console.error(`Error processing ${event.type}:`, err);
+      return res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  }
+
+  // Handle failed async payments (ACH failures)
+  if (event.type === 'checkout.session.async_payment_failed' && event.data.object.metadata?.proposal_id) {
+    try {
+      await applySessionFailed(event.data.object, { actor: 'stripe', payload: { event_id: event.id, event_type: event.type } });
+    } catch (err) {
+      console.error('Error updating failed payment:', err);
+    }
+  }
+
   res.json({ received: true });
 });
 
 app.use(express.json({ limit: '1mb' }));
 
 // ── Admin auth middleware ────────────────────────────────────────
-function requireAdmin(req, res, next) {
-  const auth = req.headers.authorization;
-  if (!auth) return res.status(401).json({ error: 'Unauthorized' });
+// Resolve an Authorization header to { user } for an admin JWT, { user: null } for
+// the legacy API key, or null if it's neither.
+function authenticateAdmin(auth) {
+  if (!auth) return null;
 
-  // Try JWT first (Bearer <jwt-token>)
+  // Try JWT first (Bearer <jwt-token>). Purpose-scoped tokens (e.g. previews) are not logins.
   if (auth.startsWith('Bearer ') && process.env.JWT_SECRET) {
     const token = auth.slice(7);
     try {
       const payload = jwt.verify(token, process.env.JWT_SECRET);
-      req.adminUser = { id: payload.sub, email: payload.email };
-      return next();
+      if (!payload.purpose) return { user: { id: payload.sub, email: payload.email } };
     } catch (_jwtErr) {
       // Not a valid JWT – fall through to API key check
     }
@@ -205,11 +203,42 @@ function requireAdmin(req, res, next) {
     const expected = `Bearer ${process.env.ADMIN_API_KEY}`;
     if (auth.length === expected.length &&
         crypto.timingSafeEqual(Buffer.from(auth), Buffer.from(expected))) {
-      return next();
+      return { user: null };
     }
   }
 
-  return res.status(401).json({ error: 'Unauthorized' });
+  return null;
+}
+
+function requireAdmin(req, res, next) {
+  const admin = authenticateAdmin(req.headers.authorization);
+  if (!admin) return res.status(401).json({ error: 'Unauthorized' });
+  if (admin.user) req.adminUser = admin.user;
+  return next();
+}
+
+// ── Preview tokens ───────────────────────────────────────────────
+// Signed, proposal-scoped links for looking at a proposal as the client sees it
+// without counting as a client open.
+const PREVIEW_TOKEN_TTL = '7d';
+
+function createPreviewToken(proposalId) {
+  return jwt.sign({ sub: proposalId, purpose: 'preview' }, process.env.JWT_SECRET, { expiresIn: PREVIEW_TOKEN_TTL });
+}
+
+function isValidPreviewToken(token, proposalId) {
+  if (!token || !process.env.JWT_SECRET) return false;
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === 'preview' && payload.sub === proposalId;
+  } catch {
+    return false;
+  }
+}
+
+// Admins (logged in, or holding a preview link) looking at a proposal shouldn't count as opens
+function isInternalView(req) {
+  return !!authenticateAdmin(req.headers.authorization) || isValidPreviewToken(req.query.preview, req.params.id);
 }
 
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
@@ -229,6 +258,15 @@ const checkoutLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 });
+// The proposal page reports time-on-page every 30s while it's visible
+const beaconLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 120,
+  message: { error: 'Too many requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 const proposalViewLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 60,
@@ -300,6 +338,313 @@ async function initDB() {
     )
   `);
 
+  // Versioned pricing catalog – every price shown or charged is read from here
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS price_books (
+      id SERIAL PRIMARY KEY,
+      version INTEGER UNIQUE NOT NULL,
+      catalog JSONB NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`ALTER TABLE price_books ADD COLUMN IF NOT EXISTS effective_at TIMESTAMPTZ DEFAULT NOW()`);
+  await pool.query(`ALTER TABLE price_books ADD COLUMN IF NOT EXISTS created_by TEXT`);
+  await pool.query(
+    `INSERT INTO price_books (version, catalog) SELECT 1, $1 WHERE NOT EXISTS (SELECT 1 FROM price_books)`,
+    [JSON.stringify(DEFAULT_PRICE_CATALOG)]
+  );
+
+  // The price book a proposal was quoted under – keeps its rates fixed after price changes
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS price_book_version INTEGER`);
+
+  // Each price book prices one currency; versions stay a single sequence across currencies
+  await pool.query(`ALTER TABLE price_books ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd'`);
+  // Currency a proposal is quoted and charged in, and the locale its amounts are written for
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd'`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS locale TEXT NOT NULL DEFAULT 'en-US'`);
+
+  // Versioned agreement text – rendered by the proposal page and the contract PDF
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS terms_versions (
+      id SERIAL PRIMARY KEY,
+      version INTEGER UNIQUE NOT NULL,
+      sections JSONB NOT NULL,
+      created_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      published_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(
+    `INSERT INTO terms_versions (version, sections) SELECT 1, $1 WHERE NOT EXISTS (SELECT 1 FROM terms_versions)`,
+    [JSON.stringify(DEFAULT_TERMS_SECTIONS)]
+  );
+  // Work-in-progress edit of the next terms version (at most one at a time)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS terms_drafts (
+      id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+      sections JSONB NOT NULL,
+      base_version INTEGER,
+      updated_by TEXT,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+
+  // The terms a proposal was sent with; older proposals were all sent under the seed text
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS terms_version INTEGER`);
+  await pool.query(`UPDATE proposals SET terms_version = 1 WHERE terms_version IS NULL`);
+
+  // Negotiated clause changes for one proposal, applied on top of its terms version
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS term_overrides JSONB`);
+
+  // Proposals stop accepting signatures, configuration and payment after this
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ`);
+  // A draft's expiry in days, counted from when it's sent (null for a fixed date)
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS expires_in_days INTEGER`);
+
+  // Audit trail: one row per lifecycle transition (and, later, other notable events)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS proposal_events (
+      id SERIAL PRIMARY KEY,
+      proposal_id TEXT NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+      event_type TEXT NOT NULL,
+      from_status TEXT,
+      to_status TEXT,
+      actor TEXT,
+      ip TEXT,
+      payload JSONB,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_proposal_events_proposal ON proposal_events(proposal_id, created_at)`);
+  // Backfill lifecycle states for proposals created before the state machine
+  await pool.query(`
+    UPDATE proposals SET status = CASE payment_status
+      WHEN 'paid' THEN 'paid' WHEN 'processing' THEN 'payment_processing' ELSE 'failed' END
+    WHERE status = 'signed' AND payment_status IN ('paid', 'processing', 'failed')
+  `);
+  await pool.query(`UPDATE proposals SET status = 'viewed' WHERE status = 'sent' AND opened_at IS NOT NULL`);
+
+  // One row per tracked open, updated by the page's time-on-page beacon
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS proposal_views (
+      id TEXT PRIMARY KEY,
+      proposal_id TEXT NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+      viewed_at TIMESTAMPTZ DEFAULT NOW(),
+      user_agent TEXT,
+      device_type TEXT,
+      ip_hash TEXT,
+      duration_seconds INTEGER DEFAULT 0,
+      sections_expanded TEXT[] DEFAULT '{}',
+      last_beacon_at TIMESTAMPTZ
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_proposal_views_proposal ON proposal_views(proposal_id, viewed_at)`);
+
+  // Structured signature: drawn PNG (or typed name) plus the signer's printed details
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS signature_method TEXT`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS signature_image BYTEA`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS signer_name TEXT`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS signer_title TEXT`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS signer_email TEXT`);
+
+  // E-sign evidence: what the server observed at signing, the signer's explicit
+  // consent, and hashes of the exact terms and package they signed
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS signer_ip TEXT`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS signer_user_agent TEXT`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS client_signed_at TIMESTAMPTZ`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS esign_consent_at TIMESTAMPTZ`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS terms_hash TEXT`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS package_hash TEXT`);
+
+  // ReDry's countersignature, applied by an admin after the client signs. Once set
+  // the contract is fully executed.
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS countersign_method TEXT`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS countersign_image BYTEA`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS countersign_name TEXT`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS countersign_title TEXT`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS countersigned_by TEXT`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS countersigner_ip TEXT`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS countersigned_at TIMESTAMPTZ`);
+
+  // Proposals needing several client signatures (e.g. operations lead and owner).
+  // Each signer gets their own link; with no rows the contact signs alone.
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS signing_order TEXT`);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS proposal_signers (
+      id SERIAL PRIMARY KEY,
+      proposal_id TEXT NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      email TEXT NOT NULL,
+      title TEXT,
+      invited_at TIMESTAMPTZ,
+      signature_method TEXT,
+      signature_image BYTEA,
+      signature_name TEXT,
+      printed_name TEXT,
+      signed_title TEXT,
+      signed_at TIMESTAMPTZ,
+      signer_ip TEXT,
+      signer_user_agent TEXT,
+      client_signed_at TIMESTAMPTZ,
+      esign_consent_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_proposal_signers_proposal ON proposal_signers(proposal_id, position)`);
+  // Delegation: who forwarded the signature to this signer, and signers who handed off
+  // (kept for history, but no longer asked to sign)
+  await pool.query(`ALTER TABLE proposal_signers ADD COLUMN IF NOT EXISTS delegated_by_name TEXT`);
+  await pool.query(`ALTER TABLE proposal_signers ADD COLUMN IF NOT EXISTS delegated_by_email TEXT`);
+  await pool.query(`ALTER TABLE proposal_signers ADD COLUMN IF NOT EXISTS replaced_at TIMESTAMPTZ`);
+
+  // Payment schedules: each installment is a share of the total with its own Checkout
+  // session and status. With no rows the proposal is paid in full in one go.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS payment_installments (
+      id SERIAL PRIMARY KEY,
+      proposal_id TEXT NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      label TEXT NOT NULL,
+      percent NUMERIC NOT NULL,
+      due_on_signing BOOLEAN DEFAULT false,
+      due_date DATE,
+      status TEXT DEFAULT 'pending',
+      amount NUMERIC,
+      stripe_session_id TEXT,
+      paid_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_payment_installments_proposal ON payment_installments(proposal_id, position)`);
+
+  // Enterprise invoices on net terms, settled by a Stripe-hosted payment or marked
+  // paid by an admin with the ACH/wire reference
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS invoices (
+      id SERIAL PRIMARY KEY,
+      proposal_id TEXT NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+      amount NUMERIC NOT NULL,
+      net_days INTEGER NOT NULL,
+      issued_at TIMESTAMPTZ DEFAULT NOW(),
+      due_date DATE NOT NULL,
+      status TEXT DEFAULT 'open',
+      issued_by TEXT,
+      stripe_invoice_id TEXT,
+      hosted_invoice_url TEXT,
+      paid_at TIMESTAMPTZ,
+      paid_via TEXT,
+      payment_reference TEXT,
+      marked_paid_by TEXT
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_invoices_proposal ON invoices(proposal_id)`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_invoices_stripe ON invoices(stripe_invoice_id)`);
+  // The Stripe customer a proposal's invoice is billed to: one per proposal, since companies
+  // can share an email address
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS stripe_customer_id TEXT`);
+
+  // Which PaymentIntent settled each payment – refunds and disputes arrive on the charge,
+  // which carries no session metadata, so this is how they find their proposal
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS stripe_payment_intent_id TEXT`);
+  await pool.query(`ALTER TABLE payment_installments ADD COLUMN IF NOT EXISTS stripe_payment_intent_id TEXT`);
+  await pool.query(`ALTER TABLE invoices ADD COLUMN IF NOT EXISTS stripe_payment_intent_id TEXT`);
+  // Refund and dispute state per Stripe charge; amounts in cents, as Stripe reports them
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS stripe_charges (
+      id TEXT PRIMARY KEY,
+      proposal_id TEXT NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+      payment_intent_id TEXT,
+      amount INTEGER,
+      amount_refunded INTEGER DEFAULT 0,
+      dispute_id TEXT,
+      dispute_status TEXT,
+      dispute_amount INTEGER,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_stripe_charges_proposal ON stripe_charges(proposal_id)`);
+  // Money returned to the client so far (refunds plus lost disputes), for the dashboard
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS amount_refunded NUMERIC DEFAULT 0`);
+
+  // Itemized charges (base package plus add-ons) as sent to Stripe, kept for accounting
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS line_items JSONB`);
+
+  // Discount codes: percent or fixed amount off, optionally limited to some tiers, a
+  // number of uses and an expiry. used_count counts proposals currently holding the code.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS discount_codes (
+      id SERIAL PRIMARY KEY,
+      code TEXT UNIQUE NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('percent', 'fixed')),
+      value NUMERIC NOT NULL,
+      tiers TEXT[],
+      expires_at TIMESTAMPTZ,
+      max_uses INTEGER,
+      used_count INTEGER NOT NULL DEFAULT 0,
+      active BOOLEAN NOT NULL DEFAULT true,
+      created_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  // The code on a proposal and what it takes off; total_price is what's left to pay
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS discount_code TEXT`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS discount_amount NUMERIC DEFAULT 0`);
+  // Currency of a fixed-amount code's value (percentage codes work in any currency)
+  await pool.query(`ALTER TABLE discount_codes ADD COLUMN IF NOT EXISTS currency TEXT`);
+
+  // Sales tax rate (percent) by US state of the client's billing address
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS tax_rates (
+      state TEXT PRIMARY KEY,
+      rate NUMERIC NOT NULL,
+      label TEXT,
+      updated_by TEXT,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  // { line1, line2, city, state, postal_code } – decides the sales tax at checkout
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS billing_address JSONB`);
+  // Charged on top of total_price at checkout: sales tax and the card surcharge (positive)
+  // or ACH discount (negative) for the method the client chose. For a payment schedule
+  // they're kept per installment instead.
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS tax_amount NUMERIC DEFAULT 0`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS processing_fee NUMERIC DEFAULT 0`);
+  await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS payment_method TEXT`);
+  await pool.query(`ALTER TABLE payment_installments ADD COLUMN IF NOT EXISTS tax_amount NUMERIC DEFAULT 0`);
+  await pool.query(`ALTER TABLE payment_installments ADD COLUMN IF NOT EXISTS processing_fee NUMERIC DEFAULT 0`);
+  await pool.query(`ALTER TABLE payment_installments ADD COLUMN IF NOT EXISTS payment_method TEXT`);
+  // What each Checkout session charges. A client can open several (say card, then bank
+  // transfer), so it's only copied onto the proposal or installment by the one that's paid.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS checkout_sessions (
+      id TEXT PRIMARY KEY,
+      proposal_id TEXT NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+      installment_id INTEGER REFERENCES payment_installments(id) ON DELETE CASCADE,
+      amount NUMERIC NOT NULL,
+      tax_amount NUMERIC DEFAULT 0,
+      processing_fee NUMERIC DEFAULT 0,
+      payment_method TEXT,
+      line_items JSONB,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_checkout_sessions_proposal ON checkout_sessions(proposal_id)`);
+
+  // Signed contract PDFs as sent to the client, with a SHA-256 of the stored bytes
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS contract_archives (
+      id SERIAL PRIMARY KEY,
+      proposal_id TEXT NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+      kind TEXT NOT NULL DEFAULT 'signed',
+      pdf BYTEA NOT NULL,
+      sha256 TEXT NOT NULL,
+      byte_size INTEGER NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_contract_archives_proposal ON contract_archives(proposal_id, created_at)`);
+
   // Track whether confirmation emails were sent successfully
   await pool.query(`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS email_sent BOOLEAN DEFAULT false`);
 
@@ -316,10 +661,401 @@ function generateId() {
   return crypto.randomBytes(16).toString('base64url');
 }
 
+// ── Pricing catalog ────────────────────────────────────────────────
+// Seed for the price_books table. The live catalog is always read from the
+// database so the configurator, /configure, emails and PDFs price identically.
+const DEFAULT_PRICE_CATALOG = {
+  tracks: ['Sales', 'Service', 'Production', 'Marketing'],
+  tiers: {
+    professional: {
+      name: 'Professional', basePrice: 10000, days: '1 Day',
+      baseTrainees: 3, baseKits: 1, baseTracks: 0,
+      traineeRate: 2000, kitRate: 4000, trackRate: 5000, videoRate: 2000, onRoofRate: 5000,
+      description: 'Ideal for small teams getting started with moisture scanning.',
+    },
+    regional: {
+      name: 'Regional', basePrice: 35000, days: '2 Days',
+      baseTrainees: 10, baseKits: 2, baseTracks: 2,
+      traineeRate: 1600, kitRate: 4000, trackRate: 5000, videoRate: 0, onRoofRate: 5000,
+      description: 'Built for companies covering a multi-city or statewide territory.',
+    },
+    enterprise: {
+      name: 'Enterprise', basePrice: 75000, days: '4 Days', custom: true,
+      baseTrainees: 25, baseKits: 4, baseTracks: 4,
+      traineeRate: 0, kitRate: 4000, trackRate: 0, videoRate: 0, onRoofRate: 0,
+      description: 'Full-scale deployment for large organizations with multiple crews.',
+    },
+  },
+};
+
+// Returns the requested version, or the newest price book already in effect for a currency.
+// Versions with a future effective_at are scheduled and ignored until then.
+async function getPriceBook(version, currency = 'usd') {
+  const { rows } = version
+    ? await pool.query('SELECT * FROM price_books WHERE version = $1', [version])
+    : await pool.query(
+      'SELECT * FROM price_books WHERE currency = $1 AND effective_at <= NOW() ORDER BY effective_at DESC, version DESC LIMIT 1',
+      [currency]
+    );
+  return rows[0] || null;
+}
+
+const TIER_RATE_FIELDS = ['basePrice', 'baseTrainees', 'baseKits', 'baseTracks',
+  'traineeRate', 'kitRate', 'trackRate', 'videoRate', 'onRoofRate'];
+
+// Returns an error message for a malformed catalog, or null if it is usable
+function validateCatalog(catalog) {
+  if (!catalog || typeof catalog !== 'object') return 'Catalog is required';
+  if (!Array.isArray(catalog.tracks) || catalog.tracks.some(t => typeof t !== 'string' || !t.trim())) {
+    return 'Catalog tracks must be a list of names';
+  }
+  if (!catalog.tiers || typeof catalog.tiers !== 'object') return 'Catalog tiers are required';
+  for (const key of Object.keys(DEFAULT_PRICE_CATALOG.tiers)) {
+    const tier = catalog.tiers[key];
+    if (!tier) return `Missing tier: ${key}`;
+    if (!tier.name || !tier.days) return `Tier ${key} needs a name and duration`;
+    for (const field of TIER_RATE_FIELDS) {
+      if (typeof tier[field] !== 'number' || !Number.isFinite(tier[field]) || tier[field] < 0) {
+        return `Tier ${key}: ${field} must be a non-negative number`;
+      }
+    }
+  }
+  return null;
+}
+
+function tierLabel(catalog, tier, fallback) {
+  if (!tier) return fallback;
+  return catalog.tiers[tier]?.name || tier.charAt(0).toUpperCase() + tier.slice(1);
+}
+
+// Price a package configuration against one tier of the catalog
+function priceConfiguration(rates, basePrice, config) {
+  const extraTrainees = Math.max(0, parseInt(config.extraTrainees) || 0);
+  const extraKits = Math.max(0, parseInt(config.extraKits) || 0);
+  const tracks = Array.isArray(config.tracks) ? config.tracks : [];
+  const extraTracks = Math.max(0, tracks.length - rates.baseTracks);
+
+  let total = Number(basePrice) || 0;
+  total += extraTrainees * rates.traineeRate;
+  total += extraKits * rates.kitRate;
+  total += extraTracks * rates.trackRate;
+  if (config.videography) total += rates.videoRate;
+  if (config.onRoofDay) total += rates.onRoofRate;
+  return total;
+}
+
+// A client's package configuration for a "let client choose" proposal, cleaned up and priced
+// against its price book: { tier, extraTrainees, extraKits, tracks, videography, onRoofDay,
+// subtotal }, or { error }
+function parseConfiguration(body, proposal, catalog) {
+  const { tier } = body;
+  if (!tier || !Object.hasOwn(catalog.tiers, tier)) return { error: 'Invalid tier selection' };
+  const basePrice = Number(proposal[`${tier}_price`]) || 0;
+  if (basePrice <= 0) return { error: 'No base price available for this tier' };
+  const config = {
+    extraTrainees: Math.max(0, parseInt(body.extraTrainees) || 0),
+    extraKits: Math.max(0, parseInt(body.extraKits) || 0),
+    tracks: Array.isArray(body.tracks) ? body.tracks.filter(t => catalog.tracks.includes(t)) : [],
+    videography: !!body.videography,
+    onRoofDay: !!body.onRoofDay,
+  };
+  return { tier, ...config, subtotal: priceConfiguration(catalog.tiers[tier], basePrice, config) };
+}
+
+// Itemize a proposal's package from its configuration: the base package, then each add-on
+// at its catalog rate, then any discount code. Amounts are in dollars and always add up to
+// total_price; a quoted total the rates don't explain gets a "Package adjustment" line.
+// Returns [{ key, name, description?, quantity, unit_amount, amount }]
+function proposalLineItems(proposal, catalog) {
+  const tier = proposal.selected_tier || proposal.tier;
+  const rates = catalog.tiers[tier];
+  const discount = Number(proposal.discount_amount) || 0;
+  const discountLine = discount > 0
+    ? [{ key: 'discount', name: `Discount (${proposal.discount_code})`, quantity: 1, unit_amount: -discount, amount: -discount }]
+    : [];
+  // Before the discount
+  const total = (Number(proposal.total_price) || 0) + discount;
+  if (!rates) {
+    return [{ key: 'package', name: 'Roof MRI Training \u2013 Custom Package', quantity: 1, unit_amount: total, amount: total }, ...discountLine];
+  }
+
+  const items = [];
+  const add = (key, name, quantity, unitAmount, extra = {}) => {
+    if (quantity > 0 && unitAmount > 0) items.push({ key, name, ...extra, quantity, unit_amount: unitAmount, amount: quantity * unitAmount });
+  };
+  const basePrice = Number(proposal.let_client_choose ? proposal[`${tier}_price`] : proposal.tier_price) || rates.basePrice;
+  add('base', `Roof MRI Training \u2013 ${rates.name} Package`, 1, basePrice, {
+    description: `${rates.days}, ${rates.baseTrainees} trainees, ${rates.baseKits} Recon Kit${rates.baseKits === 1 ? '' : 's'}`,
+  });
+  add('extra_trainees', 'Additional trainee', proposal.extra_trainees || 0, rates.traineeRate);
+  add('extra_kits', 'Additional Recon Kit', proposal.extra_kits || 0, rates.kitRate);
+  add('extra_tracks', 'Additional training track', Math.max(0, (proposal.tracks || []).length - rates.baseTracks), rates.trackRate);
+  if (proposal.videography) add('videography', 'Videography', 1, rates.videoRate);
+  if (proposal.on_roof_day) add('on_roof_day', 'On-roof training day', 1, rates.onRoofRate);
+
+  const adjustment = Math.round((total - items.reduce((sum, i) => sum + i.amount, 0)) * 100) / 100;
+  if (adjustment !== 0) items.push({ key: 'adjustment', name: 'Package adjustment', quantity: 1, unit_amount: adjustment, amount: adjustment });
+  return [...items, ...discountLine];
+}
+
+// ── Currencies ───────────────────────────────────────────────────
+// A proposal is quoted, shown and charged in one currency (lowercase ISO code, as Stripe
+// takes it) and its amounts are written for one locale. Every currency has its own price
+// books; a new currency needs a price book before proposals can be sent in it.
+const CURRENCIES = {
+  usd: { name: 'US dollars', locale: 'en-US' },
+  cad: { name: 'Canadian dollars', locale: 'en-CA' },
+  gbp: { name: 'British pounds', locale: 'en-GB' },
+};
+const LOCALES = ['en-US', 'en-CA', 'fr-CA', 'en-GB'];
+
+// { currency, locale } from request input, defaulting the locale from the currency, or { error }
+function parseCurrency(currency, locale) {
+  const code = typeof currency === 'string' && currency ? currency.toLowerCase() : 'usd';
+  if (!Object.hasOwn(CURRENCIES, code)) return { error: `Currency must be one of ${Object.keys(CURRENCIES).join(', ')}` };
+  if (locale != null && locale !== '' && !LOCALES.includes(locale)) return { error: `Locale must be one of ${LOCALES.join(', ')}` };
+  return { currency: code, locale: locale || CURRENCIES[code].locale };
+}
+
+// Formatter for amounts in a proposal's currency and locale: whole amounts without cents
+// ("$10,000", "£10,000", "10 000 $ CA"), anything else (or everything, with cents) to 2 places
+function moneyFormat({ currency, locale } = {}, { cents = false } = {}) {
+  const code = (currency || 'usd').toUpperCase();
+  const loc = locale || CURRENCIES[code.toLowerCase()]?.locale || 'en-US';
+  const whole = new Intl.NumberFormat(loc, { style: 'currency', currency: code, minimumFractionDigits: 0, maximumFractionDigits: 0 });
+  const exact = new Intl.NumberFormat(loc, { style: 'currency', currency: code, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return n => {
+    const amount = Math.round((Number(n) || 0) * 100) / 100;
+    return !cents && Number.isInteger(amount) ? whole.format(amount) : exact.format(amount);
+  };
+}
+
+// Formatter for long dates ("March 4, 2026", "4 mars 2026") in a proposal's locale
+function dateFormat({ locale } = {}) {
+  const format = new Intl.DateTimeFormat(locale || 'en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  return d => format.format(new Date(d));
+}
+
+// ── Discount codes ───────────────────────────────────────────────
+// A code takes a percentage or a fixed amount off the package, never more than the
+// package itself. Admins attach codes when sending (or later); clients can enter one in
+// the configurator. A proposal keeps a code it holds even after the code expires or runs
+// out, but the tier restriction is checked against whatever tier is chosen.
+const DISCOUNT_KINDS = ['percent', 'fixed'];
+const DISCOUNT_CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,31}$/;
+
+function normalizeDiscountCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// Returns an error message for a malformed code definition, or null if it is usable
+function validateDiscountCode({ code, kind, value, tiers, expiresAt, maxUses }, catalog) {
+  if (!DISCOUNT_CODE_PATTERN.test(normalizeDiscountCode(code))) {
+    return 'Code must be 3\u201332 letters, numbers, dashes or underscores';
+  }
+  if (!DISCOUNT_KINDS.includes(kind)) return 'Kind must be percent or fixed';
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0) return 'Value must be a positive number';
+  if (kind === 'percent' && amount > 100) return 'A percentage discount can be at most 100';
+  if (tiers != null && (!Array.isArray(tiers) || tiers.length === 0 || tiers.some(t => !Object.hasOwn(catalog.tiers, t)))) {
+    return 'Tiers must be a list of package tiers';
+  }
+  if (expiresAt != null && !(new Date(expiresAt) > new Date())) return 'Expiry must be a future date';
+  if (maxUses != null && !(Number.isInteger(maxUses) && maxUses > 0)) return 'Usage limit must be a positive whole number';
+  return null;
+}
+
+// What a code takes off a subtotal, in dollars
+function discountAmount(discount, subtotal) {
+  const base = Number(subtotal) || 0;
+  if (!discount || base <= 0) return 0;
+  const off = discount.kind === 'percent' ? Math.round(base * Number(discount.value)) / 100 : Number(discount.value);
+  return Math.min(off, base);
+}
+
+// e.g. "10% off" or "$2,000 off" (in the code's currency)
+function describeDiscount(discount) {
+  return discount.kind === 'percent'
+    ? `${Number(discount.value)}% off`
+    : `${moneyFormat({ currency: discount.currency || 'usd' })(discount.value)} off`;
+}
+
+function discountAppliesToTier(discount, tier) {
+  return !discount.tiers || !tier || discount.tiers.includes(tier);
+}
+
+// Why a code can't be added to a proposal priced at `tier` (no tier yet skips that check)
+// in `currency`, or null
+function discountCodeProblem(discount, tier, currency = 'usd') {
+  if (!discount || !discount.active) return 'That discount code isn\u2019t valid';
+  if (discount.kind === 'fixed' && (discount.currency || 'usd') !== currency) {
+    return `That discount code can\u2019t be used with ${CURRENCIES[currency].name}`;
+  }
+  if (discount.expires_at && new Date(discount.expires_at) <= new Date()) return 'That discount code has expired';
+  if (discount.max_uses != null && discount.used_count >= discount.max_uses) return 'That discount code has already been fully redeemed';
+  if (!discountAppliesToTier(discount, tier)) return `That discount code doesn\u2019t apply to the ${tier} package`;
+  return null;
+}
+
+async function getDiscountCode(code) {
+  if (!code) return null;
+  const { rows } = await pool.query('SELECT * FROM discount_codes WHERE code = $1', [normalizeDiscountCode(code)]);
+  return rows[0] || null;
+}
+
+// Take one use of a code. Atomic, so the last use can't be handed out twice; returns
+// false if the code was used up or withdrawn in the meantime.
+async function claimDiscountCode(code, db = pool) {
+  const { rowCount } = await db.query(
+    `UPDATE discount_codes SET used_count = used_count + 1
+     WHERE code = $1 AND active AND (max_uses IS NULL OR used_count < max_uses) AND (expires_at IS NULL OR expires_at > NOW())`,
+    [code]
+  );
+  return rowCount > 0;
+}
+
+// Give a use back when a proposal drops or swaps its code, expires or is voided
+async function releaseDiscountCode(code, db = pool) {
+  if (!code) return;
+  await db.query('UPDATE discount_codes SET used_count = GREATEST(used_count - 1, 0) WHERE code = $1', [code]);
+}
+
+// Price fields for a package subtotal under the code a proposal holds
+function discountedPrice(discount, tier, subtotal) {
+  const off = discount && discountAppliesToTier(discount, tier) ? discountAmount(discount, subtotal) : 0;
+  return { discount_amount: off, total_price: Math.round((Number(subtotal) - off) * 100) / 100 };
+}
+
+function publicDiscount(discount) {
+  if (!discount) return null;
+  return {
+    code: discount.code, kind: discount.kind, value: Number(discount.value), currency: discount.currency,
+    tiers: discount.tiers, description: describeDiscount(discount),
+  };
+}
+
+// ── Sales tax & processing fees ──────────────────────────────────
+// Added on top of the package price at checkout, as their own Stripe lines. Sales tax
+// comes from tax_rates by the state of the proposal's billing address (US addresses
+// only); once any rate is set up a billing address is needed before paying. A card
+// surcharge or ACH discount (percent of the package amount being paid; not taxed) makes
+// the client pick the method up front, since the two totals differ.
+const US_STATES = ['AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN',
+  'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY',
+  'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'];
+const PROCESSING_FEES = {
+  cardSurchargePercent: Number(process.env.CARD_SURCHARGE_PERCENT) || 0,
+  achDiscountPercent: Number(process.env.ACH_DISCOUNT_PERCENT) || 0,
+};
+// Checkout's paymentMethod → Stripe payment method type
+const CHECKOUT_METHODS = { card: 'card', ach: 'us_bank_account' };
+// Countries we bill to; US addresses are checked as state + ZIP, the rest loosely
+const BILLING_COUNTRIES = { US: 'United States', CA: 'Canada', GB: 'United Kingdom' };
+
+// The checkout methods a currency can be paid in – ACH debits settle in US dollars only
+function checkoutMethods(currency) {
+  return currency === 'usd' ? ['card', 'ach'] : ['card'];
+}
+
+function hasProcessingFees() {
+  return PROCESSING_FEES.cardSurchargePercent > 0 || PROCESSING_FEES.achDiscountPercent > 0;
+}
+
+// Trimmed copy of a billing address, or an error message if it is incomplete
+function parseBillingAddress(address) {
+  if (!address || typeof address !== 'object') return { error: 'Billing address is required' };
+  const field = key => (typeof address[key] === 'string' ? address[key].trim().slice(0, 200) : '');
+  const parsed = {
+    line1: field('line1'), line2: field('line2'), city: field('city'),
+    state: field('state').toUpperCase(), postal_code: field('postal_code').toUpperCase(),
+    country: field('country').toUpperCase() || 'US',
+  };
+  if (!parsed.line1 || !parsed.city) return { error: 'Street address and city are required' };
+  if (!Object.hasOwn(BILLING_COUNTRIES, parsed.country)) return { error: `Country must be one of ${Object.keys(BILLING_COUNTRIES).join(', ')}` };
+  if (parsed.country !== 'US') {
+    if (!parsed.postal_code) return { error: 'Postal code is required' };
+    return { address: parsed };
+  }
+  if (!US_STATES.includes(parsed.state)) return { error: 'State must be a two-letter US state code' };
+  if (!/^\d{5}(-\d{4})?$/.test(parsed.postal_code)) return { error: 'ZIP code must be 5 digits (or ZIP+4)' };
+  return { address: parsed };
+}
+
+// Address lines for invoices; addresses saved before countries were added are US
+function billingAddressLines(address) {
+  const country = address.country || 'US';
+  return [
+    address.line1, address.line2,
+    [address.city, [address.state, address.postal_code].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+    country !== 'US' ? BILLING_COUNTRIES[country] : null,
+  ].filter(Boolean);
+}
+
+// The sales tax rate for a billing address – none outside the US
+function taxRateFor(address) {
+  return address && (address.country || 'US') === 'US' ? getTaxRate(address.state) : null;
+}
+
+async function getTaxRate(state) {
+  if (!state) return null;
+  const { rows } = await pool.query('SELECT * FROM tax_rates WHERE state = $1', [state]);
+  return rows[0] || null;
+}
+
+async function taxRatesConfigured() {
+  const { rows } = await pool.query('SELECT EXISTS (SELECT 1 FROM tax_rates) AS configured');
+  return rows[0].configured;
+}
+
+// Tax and card surcharge (positive) or ACH discount (negative) on an amount, in dollars
+function checkoutAdjustments(amount, taxRate, method, fees = PROCESSING_FEES) {
+  const base = Number(amount) || 0;
+  const tax = taxRate ? Math.round(base * Number(taxRate)) / 100 : 0;
+  let fee = 0;
+  if (method === 'card') fee = Math.round(base * fees.cardSurchargePercent) / 100;
+  if (method === 'ach') fee = -Math.round(base * fees.achDiscountPercent) / 100;
+  return { tax, fee, total: Math.round((base + tax + fee) * 100) / 100 };
+}
+
+// Tax and fee lines, in the same shape as proposalLineItems()
+// (withRates: false for totals summed over several payments)
+function adjustmentLineItems({ tax, fee }, taxRate, { withRates = true } = {}) {
+  const items = [];
+  const add = (key, name, rate, amount) => items.push({ key, name: withRates ? `${name} (${rate})` : name, quantity: 1, unit_amount: amount, amount });
+  if (tax > 0) add('sales_tax', 'Sales tax', taxRate ? `${taxRate.label || taxRate.state}, ${Number(taxRate.rate)}%` : '', tax);
+  if (fee > 0) add('card_surcharge', 'Card processing fee', `${PROCESSING_FEES.cardSurchargePercent}%`, fee);
+  if (fee < 0) add('ach_discount', 'Bank transfer discount', `${PROCESSING_FEES.achDiscountPercent}%`, fee);
+  return items;
+}
+
+// What the proposal page and configurator need to show tax and fees before checkout,
+// including what the next payment comes to with tax, and then with each method's fee
+async function checkoutOptions(proposal) {
+  const taxRate = await taxRateFor(proposal.billing_address);
+  const methods = checkoutMethods(proposal.currency);
+  let nextPayment = null;
+  if (proposal.total_price != null) {
+    const amount = nextPaymentCents(proposal, await getInstallments(proposal.id)) / 100;
+    nextPayment = {
+      amount, ...checkoutAdjustments(amount, taxRate?.rate),
+      by_method: Object.fromEntries(methods.map(m => [m, checkoutAdjustments(amount, taxRate?.rate, m)])),
+    };
+  }
+  return {
+    address_required: await taxRatesConfigured(),
+    tax: taxRate ? { state: taxRate.state, label: taxRate.label, rate: Number(taxRate.rate) } : null,
+    methods,
+    card_surcharge_percent: PROCESSING_FEES.cardSurchargePercent,
+    ach_discount_percent: PROCESSING_FEES.achDiscountPercent,
+    next_payment: nextPayment,
+  };
+}
+
 // ── Build branded HTML email ───────────────────────────────────────
-function buildEmail(data, proposalUrl) {
+function buildEmail(data, proposalUrl, catalog) {
   const { contactName, company, tier, extraTrainees, extraKits, tracks,
-    videography, onRoofDay, totalPrice, letClientChoose, vimeoUrl } = data;
+    videography, onRoofDay, totalPrice, letClientChoose, vimeoUrl, expiresAt,
+    discount, discountAmount: discountOff, subtotalPrice } = data;
 
   const firstName = contactName.split(' ')[0];
 
@@ -335,17 +1071,23 @@ function buildEmail(data, proposalUrl) {
         <td style="padding:10px 14px;font-size:13px;color:#64748b;font-weight:600;">Company</td>
         <td style="padding:10px 14px;font-size:14px;color:#1B2A4A;">${company}</td>
       </tr>`;
+    if (discount) {
+      const tierNames = discount.tiers ? ` the ${discount.tiers.map(t => tierLabel(catalog, t, t)).join(' or ')} package` : ' your package';
+      summaryRows += `
+      <tr style="background:#f8fafc;">
+        <td style="padding:10px 14px;font-size:13px;color:#64748b;font-weight:600;border-top:1px solid #e2e8f0;">Discount</td>
+        <td style="padding:10px 14px;font-size:14px;color:#00bd70;font-weight:600;border-top:1px solid #e2e8f0;">${discount.code}: ${describeDiscount(discount)}${tierNames}</td>
+      </tr>`;
+    }
   } else {
-    const tierNames = { professional: 'Professional', regional: 'Regional', enterprise: 'Enterprise' };
-    const traineeCount = tier === 'professional' ? 3 : tier === 'regional' ? 10 : 25;
-    const kitCount = tier === 'professional' ? 1 : tier === 'regional' ? 2 : 4;
-    const totalTrainees = traineeCount + (extraTrainees || 0);
-    const totalKits = kitCount + (extraKits || 0);
+    const rates = catalog.tiers[tier] || catalog.tiers.enterprise;
+    const totalTrainees = rates.baseTrainees + (extraTrainees || 0);
+    const totalKits = rates.baseKits + (extraKits || 0);
 
     summaryRows = `
       <tr style="background:#f8fafc;">
         <td style="padding:10px 14px;font-size:13px;color:#64748b;font-weight:600;border-bottom:1px solid #e2e8f0;width:40%;">Package</td>
-        <td style="padding:10px 14px;font-size:14px;color:#1B2A4A;font-weight:700;border-bottom:1px solid #e2e8f0;">${tierNames[tier] || tier}</td>
+        <td style="padding:10px 14px;font-size:14px;color:#1B2A4A;font-weight:700;border-bottom:1px solid #e2e8f0;">${tierLabel(catalog, tier, tier)}</td>
       </tr>
       <tr>
         <td style="padding:10px 14px;font-size:13px;color:#64748b;font-weight:600;border-bottom:1px solid #e2e8f0;">Company</td>
@@ -385,14 +1127,24 @@ function buildEmail(data, proposalUrl) {
   // Investment section
   let investmentSection = '';
   if (!letClientChoose && totalPrice) {
-    const formatted = Number(totalPrice).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+    const money = moneyFormat(data, { cents: true });
+    const formatted = money(totalPrice);
+    const discountRows = discountOff > 0 ? `
+        <tr>
+          <td style="padding:6px 0;font-size:14px;color:#64748b;">Package</td>
+          <td style="padding:6px 0;font-size:14px;color:#1B2A4A;text-align:right;">${money(subtotalPrice)}</td>
+        </tr>
+        <tr>
+          <td style="padding:6px 0;font-size:14px;color:#64748b;">Discount (${discount.code}, ${describeDiscount(discount)})</td>
+          <td style="padding:6px 0;font-size:14px;color:#00bd70;text-align:right;">&minus;${money(discountOff)}</td>
+        </tr>` : '';
     investmentSection = `
     <tr><td style="padding:0 28px;"><div style="border-top:1px solid #e2e8f0;"></div></td></tr>
     <tr><td style="padding:20px 28px 12px 28px;">
       <p style="margin:0;font-size:13px;font-weight:700;color:#1B2A4A;text-transform:uppercase;letter-spacing:1px;">Your Investment</p>
     </td></tr>
     <tr><td style="padding:0 28px 20px 28px;">
-      <table width="100%" cellpadding="0" cellspacing="0" border="0">
+      <table width="100%" cellpadding="0" cellspacing="0" border="0">${discountRows}
         <tr>
           <td style="padding:12px 0;font-size:18px;color:#1B2A4A;font-weight:700;">Total</td>
           <td style="padding:12px 0;font-size:22px;color:#00bd70;text-align:right;font-weight:700;">${formatted}</td>
@@ -533,6 +1285,7 @@ ${videoBlock}
 </td></tr>
 <tr><td style="padding:4px 28px 24px 28px;text-align:center;">
   <p style="margin:0;font-size:12px;color:#94a3b8;">Review your options, calculate your ROI, and get started when you're ready.</p>
+  ${expiresAt ? `<p style="margin:6px 0 0;font-size:12px;color:#94a3b8;">This proposal is valid until ${dateFormat(data)(expiresAt)}.</p>` : ''}
 </td></tr>
 
 <!-- PDF note for let-client-choose -->
@@ -565,7 +1318,7 @@ ${letClientChoose ? `
 }
 
 // ── Generate proposal PDF (tier comparison) ─────────────────────
-function buildProposalPdf(data, proposalUrl) {
+function buildProposalPdf(data, proposalUrl, catalog) {
   return new Promise((resolve, reject) => {
     const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
     const chunks = [];
@@ -596,14 +1349,9 @@ function buildProposalPdf(data, proposalUrl) {
     doc.moveDown(1.5);
 
     // ── Tier comparison table ──
-    const tiers = [
-      { key: 'professional', name: 'Professional', trainees: 3, kits: 1,
-        desc: 'Ideal for small teams getting started with moisture scanning.' },
-      { key: 'regional', name: 'Regional', trainees: 10, kits: 2,
-        desc: 'Built for companies covering a multi-city or statewide territory.' },
-      { key: 'enterprise', name: 'Enterprise', trainees: 25, kits: 4,
-        desc: 'Full-scale deployment for large organizations with multiple crews.' },
-    ];
+    const tiers = Object.entries(catalog.tiers).map(([key, t]) => ({
+      key, name: t.name, trainees: t.baseTrainees, kits: t.baseKits, desc: t.description,
+    }));
 
     doc.fontSize(12).fill(navy).text('TRAINING OPTIONS', 50, doc.y, { underline: false });
     doc.moveDown(0.3);
@@ -684,6 +1432,20 @@ function buildProposalPdf(data, proposalUrl) {
       doc.moveDown(0.5);
     });
 
+    // ── Discount ──
+    if (data.discount) {
+      const money = moneyFormat(data);
+      const tierNames = data.discount.tiers ? ` the ${data.discount.tiers.map(t => tierLabel(catalog, t, t)).join(' or ')} package` : ' your package';
+      const promoText = data.discountAmount > 0
+        ? `Discount code ${data.discount.code} applied: ${money(data.subtotalPrice)} less ${money(data.discountAmount)} (${describeDiscount(data.discount)}), ${money(data.totalPrice)} total.`
+        : `Discount code ${data.discount.code}: ${describeDiscount(data.discount)}${tierNames}, applied when you choose your package.`;
+      doc.moveDown(0.5);
+      const promoY = doc.y;
+      doc.roundedRect(50, promoY, pageW, 30, 6).fill('#ecfdf5');
+      doc.fontSize(9.5).fill(navy).text(promoText, 62, promoY + 10, { width: pageW - 24 });
+      doc.y = promoY + 30;
+    }
+
     // ── CTA ──
     doc.moveDown(1);
     const ctaY = doc.y;
@@ -703,8 +1465,10 @@ function buildProposalPdf(data, proposalUrl) {
   });
 }
 
-// ── Generate signed contract PDF ─────────────────────────────────
-const TERMS_SECTIONS = [
+// ── Terms & conditions ───────────────────────────────────────────
+// Seed for the terms_versions table. The live terms are always read from there,
+// and each proposal is pinned to the version it was sent with.
+const DEFAULT_TERMS_SECTIONS = [
   {
     title: 'Acknowledgment of Roofing Industry Knowledge',
     content: [
@@ -885,16 +1649,122 @@ const TERMS_SECTIONS = [
   },
 ];
 
-const TIER_NAMES = { professional: 'Professional', regional: 'Regional', enterprise: 'Enterprise' };
-const TIER_BASE_INFO = {
-  professional: { trainees: 3, kits: 1, days: '1 Day' },
-  regional: { trainees: 10, kits: 2, days: '2 Days' },
-  enterprise: { trainees: 25, kits: 4, days: '4 Days' },
-};
+async function getTermsVersion(version) {
+  const { rows } = version
+    ? await pool.query('SELECT * FROM terms_versions WHERE version = $1', [version])
+    : await pool.query('SELECT * FROM terms_versions WHERE published_at IS NOT NULL ORDER BY version DESC LIMIT 1');
+  return rows[0] || null;
+}
+
+// Returns an error message for malformed terms sections, or null if they are usable
+function validateTermsSections(sections) {
+  if (!Array.isArray(sections) || sections.length === 0) return 'Terms need at least one section';
+  for (const [idx, section] of sections.entries()) {
+    const n = idx + 1;
+    if (!section || typeof section.title !== 'string' || !section.title.trim()) return `Section ${n} needs a title`;
+    if (section.content !== undefined &&
+        (!Array.isArray(section.content) || section.content.some(p => typeof p !== 'string' || !p.trim()))) {
+      return `Section ${n}: paragraphs must be non-empty text`;
+    }
+    if (section.subsections !== undefined &&
+        (!Array.isArray(section.subsections) || section.subsections.some(sub => !sub || typeof sub.label !== 'string' || typeof sub.text !== 'string' || !sub.text.trim()))) {
+      return `Section ${n}: subsections need a label and text`;
+    }
+    if (!section.content?.length && !section.subsections?.length) return `Section ${n} has no text`;
+  }
+  return null;
+}
+
+// Per-proposal clause changes layered on the pinned terms version. `section` is the
+// 1-based section number in that version:
+//   { action: 'amend', section, title?, content }  replace a section's text
+//   { action: 'remove', section }                  strike a section from this agreement
+//   { action: 'add', after?, title, content }      new clause after section N (0 = first, default last)
+const TERM_OVERRIDE_ACTIONS = ['add', 'amend', 'remove'];
+const MAX_TERM_OVERRIDES = 30;
+const REMOVED_CLAUSE_TEXT = 'This section does not apply to this Agreement.';
+
+// Returns an error message for malformed overrides against `sections`, or null if they are usable
+function validateTermOverrides(overrides, sections) {
+  if (!Array.isArray(overrides)) return 'Custom clauses must be a list';
+  if (overrides.length > MAX_TERM_OVERRIDES) return `At most ${MAX_TERM_OVERRIDES} custom clauses are allowed`;
+  const touched = new Set();
+  for (const [idx, o] of overrides.entries()) {
+    const n = idx + 1;
+    if (!o || !TERM_OVERRIDE_ACTIONS.includes(o.action)) return `Custom clause ${n}: action must be add, amend or remove`;
+    const hasText = Array.isArray(o.content) && o.content.length > 0 &&
+      o.content.every(p => typeof p === 'string' && p.trim() && p.length <= 5000);
+    if (o.action === 'add') {
+      if (typeof o.title !== 'string' || !o.title.trim()) return `Custom clause ${n} needs a title`;
+      if (!hasText) return `Custom clause ${n} needs text`;
+      if (o.after != null && (!Number.isInteger(o.after) || o.after < 0 || o.after > sections.length)) {
+        return `Custom clause ${n}: no section ${o.after} to insert after`;
+      }
+      continue;
+    }
+    if (!Number.isInteger(o.section) || o.section < 1 || o.section > sections.length) {
+      return `Custom clause ${n}: no section ${o.section} in these terms`;
+    }
+    if (touched.has(o.section)) return `Section ${o.section} is changed more than once`;
+    touched.add(o.section);
+    if (o.action === 'amend' && !hasText) return `Custom clause ${n} needs the amended text`;
+  }
+  return null;
+}
+
+// Keep only the fields applyTermOverrides() reads
+function normalizeTermOverrides(overrides) {
+  return overrides.map(o => o.action === 'remove'
+    ? { action: 'remove', section: o.section }
+    : {
+      action: o.action,
+      ...(o.action === 'add' ? { after: o.after ?? null } : { section: o.section }),
+      ...(o.title && o.title.trim() ? { title: o.title.trim() } : {}),
+      content: o.content.map(p => p.trim()),
+    });
+}
+
+// The terms a proposal's client actually signs. Changed sections carry
+// custom: 'added' | 'amended' | 'removed' so they can be marked as proposal-specific.
+function applyTermOverrides(sections, overrides) {
+  if (!Array.isArray(overrides) || overrides.length === 0) return sections;
+  const base = sections.map((section, idx) => {
+    const o = overrides.find(x => x.action !== 'add' && x.section === idx + 1);
+    if (!o) return section;
+    if (o.action === 'remove') return { title: section.title, content: [REMOVED_CLAUSE_TEXT], custom: 'removed' };
+    return { title: o.title || section.title, content: o.content, custom: 'amended' };
+  });
+  const addedAfter = n => overrides
+    .filter(o => o.action === 'add' && (o.after ?? sections.length) === n)
+    .map(o => ({ title: o.title, content: o.content, custom: 'added' }));
+
+  const result = [...addedAfter(0)];
+  base.forEach((section, idx) => result.push(section, ...addedAfter(idx + 1)));
+  return result;
+}
 
-function buildContractPdf(proposal) {
+// Pinned terms version with the proposal's own clause changes applied
+async function getProposalTerms(proposal) {
+  const terms = await getTermsVersion(proposal.terms_version);
+  return { version: terms.version, sections: applyTermOverrides(terms.sections, proposal.term_overrides) };
+}
+
+// ── Generate signed contract PDF ─────────────────────────────────
+// Output is byte-for-byte reproducible for a signed proposal (CreationDate, and so the
+// PDF file ID, come from countersigned_at or signed_at), which lets a re-render be
+// checked against the archive.
+// `signers` are the proposal_signers rows for a multi-signer proposal (empty when the
+// contact signed alone).
+function buildContractPdf(proposal, catalog, termsSections, signers = []) {
   return new Promise((resolve, reject) => {
-    const doc = new PDFDocument({ size: 'LETTER', margins: { top: 50, bottom: 50, left: 55, right: 55 } });
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margins: { top: 50, bottom: 50, left: 55, right: 55 },
+      info: {
+        Title: 'Roof MRI Training & Certification Agreement',
+        CreationDate: new Date(proposal.countersigned_at || proposal.signed_at || Date.now()),
+      },
+    });
     const chunks = [];
     doc.on('data', c => chunks.push(c));
     doc.on('end', () => resolve(Buffer.concat(chunks)));
@@ -909,14 +1779,14 @@ function buildContractPdf(proposal) {
     const leftM = 55;
 
     const tierKey = proposal.selected_tier || proposal.tier || 'professional';
-    const tierName = TIER_NAMES[tierKey] || tierKey;
-    const tierInfo = TIER_BASE_INFO[tierKey] || TIER_BASE_INFO.professional;
+    const tierName = tierLabel(catalog, tierKey, tierKey);
+    const tierRates = catalog.tiers[tierKey] || catalog.tiers.professional;
+    const tierInfo = { trainees: tierRates.baseTrainees, kits: tierRates.baseKits, days: tierRates.days };
     const totalPrice = Number(proposal.total_price) || 0;
-    const signedDate = proposal.signed_at
-      ? new Date(proposal.signed_at).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
-      : new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    const longDate = dateFormat(proposal);
+    const signedDate = longDate(proposal.signed_at || Date.now());
 
-    function fmt(n) { return '$' + Number(n).toLocaleString('en-US'); }
+    const fmt = moneyFormat(proposal);
 
     function checkPage(needed) {
       if (doc.y + needed > doc.page.height - 60) {
@@ -983,6 +1853,10 @@ function buildContractPdf(proposal) {
     doc.fontSize(9).fill(gray).text('Total Price:', col1X, detailY);
     doc.fontSize(10).fill(navy).font('Helvetica-Bold').text(fmt(totalPrice), col1X + 70, detailY);
     doc.font('Helvetica');
+    if (Number(proposal.discount_amount) > 0) {
+      doc.fontSize(9).fill(gray).text('Discount:', col2X, detailY);
+      doc.fontSize(9).fill(navy).text(`${proposal.discount_code} (\u2212${fmt(proposal.discount_amount)} off ${fmt(totalPrice + Number(proposal.discount_amount))})`, col2X + 70, detailY);
+    }
 
     doc.y = boxY + 134;
     doc.moveDown(1);
@@ -991,9 +1865,13 @@ function buildContractPdf(proposal) {
     doc.fontSize(13).fill(navy).text('Terms & Conditions', leftM, doc.y);
     doc.moveDown(0.5);
 
-    TERMS_SECTIONS.forEach((section, idx) => {
+    termsSections.forEach((section, idx) => {
       checkPage(40);
       doc.fontSize(10).fill(navy).text(`${idx + 1}. ${section.title}`, leftM, doc.y, { width: pageW });
+      if (section.custom) {
+        doc.moveDown(0.1);
+        doc.fontSize(7.5).fill('#b45309').text(`PROPOSAL-SPECIFIC \u2013 ${section.custom.toUpperCase()} FOR THIS AGREEMENT`, leftM, doc.y, { width: pageW });
+      }
       doc.moveDown(0.3);
 
       if (section.content) {
@@ -1018,44 +1896,171 @@ function buildContractPdf(proposal) {
     });
 
     // ── Signature Block ──
-    checkPage(120);
+    checkPage(220);
     doc.moveDown(0.5);
     const sigBlockY = doc.y;
     doc.rect(leftM, sigBlockY, pageW, 24).fill(navy);
     doc.fontSize(11).fill('#ffffff').text('EXECUTION', leftM + 12, sigBlockY + 7);
 
-    let sigY = sigBlockY + 34;
-    doc.fontSize(9).fill(gray).text('Signed by:', leftM, sigY);
-    doc.fontSize(10).fill(navy).text(proposal.signature_name || 'N/A', leftM + 70, sigY);
-
-    sigY += 18;
-    doc.fontSize(9).fill(gray).text('Company:', leftM, sigY);
-    doc.fontSize(10).fill(navy).text(proposal.company, leftM + 70, sigY);
+    // Client signer(s), then ReDry's countersignature, two to a row
+    const colX = [leftM, leftM + pageW / 2 + 10];
+    const valueW = pageW / 2 - 90;
+    const partyH = 180;
 
-    sigY += 18;
-    doc.fontSize(9).fill(gray).text('Date:', leftM, sigY);
-    doc.fontSize(10).fill(navy).text(signedDate, leftM + 70, sigY);
+    // The drawn image, or the typed name in a script-style face, above the line
+    function drawSignature(x, top, image, typedName) {
+      let drewSignature = false;
+      if (image) {
+        try {
+          doc.image(image, x, top, { fit: [200, 55], valign: 'bottom' });
+          drewSignature = true;
+        } catch (sigErr) {
+          console.error('Could not render signature image:', sigErr.message);
+        }
+      }
+      if (!drewSignature && typedName) {
+        doc.font('Times-Italic').fontSize(20).fill(navy).text(typedName, x, top + 28, { width: 200 });
+        doc.font('Helvetica');
+      }
+      doc.moveTo(x, top + 58).lineTo(x + 200, top + 58).lineWidth(0.5).stroke(borderGray);
+      doc.fontSize(8).fill(gray).text('Signature', x, top + 62);
+    }
 
-    // Render the actual signature image if available
-    sigY += 24;
-    if (proposal.signature_data) {
-      try {
-        // signature_data is a base64 data URL from the canvas
-        const sigImgData = proposal.signature_data.replace(/^data:image\/\w+;base64,/, '');
-        const sigBuffer = Buffer.from(sigImgData, 'base64');
-        doc.image(sigBuffer, leftM, sigY, { width: 200, height: 60 });
-        sigY += 65;
-      } catch (sigErr) {
-        // If signature image fails, show a line instead
-        doc.moveTo(leftM, sigY + 30).lineTo(leftM + 200, sigY + 30).lineWidth(0.5).stroke(borderGray);
-        sigY += 40;
+    function drawRows(x, top, rows) {
+      let rowY = top;
+      for (const [label, value] of rows) {
+        doc.fontSize(9).fill(gray).text(label, x, rowY);
+        doc.fontSize(10).fill(navy).text(value, x + 80, rowY, { width: valueW });
+        rowY += 18;
       }
-    } else {
-      doc.moveTo(leftM, sigY + 30).lineTo(leftM + 200, sigY + 30).lineWidth(0.5).stroke(borderGray);
-      sigY += 40;
     }
 
-    // ── Footer ──
+    const clientParties = signers.length > 0
+      ? signers.map(s => ({
+        image: s.signature_image,
+        typedName: s.signature_name,
+        rows: [
+          ['Printed name:', s.printed_name || s.name],
+          ['Title:', s.signed_title || s.title || 'N/A'],
+          ['Email:', s.email],
+          ['Company:', proposal.company],
+          ['Date:', s.signed_at ? longDate(s.signed_at) : 'Not signed'],
+        ],
+      }))
+      : [{
+        image: proposal.signature_image,
+        typedName: proposal.signature_name,
+        rows: [
+          ['Printed name:', proposal.signer_name || proposal.signature_name || 'N/A'],
+          ['Title:', proposal.signer_title || 'N/A'],
+          ['Email:', proposal.signer_email || 'N/A'],
+          ['Company:', proposal.company],
+          ['Date:', signedDate],
+        ],
+      }];
+    const redryParty = proposal.countersigned_at
+      ? {
+        image: proposal.countersign_image,
+        typedName: proposal.countersign_name,
+        rows: [
+          ['Printed name:', proposal.countersign_name],
+          ['Title:', proposal.countersign_title || 'N/A'],
+          ['Company:', 'ReDry LLC'],
+          ['Date:', longDate(proposal.countersigned_at)],
+        ],
+      }
+      : { pending: 'Awaiting countersignature by ReDry LLC', rows: [['Company:', 'ReDry LLC']] };
+
+    let partyTop = sigBlockY + 34;
+    [...clientParties, redryParty].forEach((party, idx) => {
+      const x = colX[idx % 2];
+      if (idx > 0 && idx % 2 === 0) {
+        partyTop += partyH;
+        if (partyTop + partyH > doc.page.height - 60) {
+          doc.addPage();
+          partyTop = 50;
+        }
+      }
+      if (party.pending) {
+        doc.font('Helvetica-Oblique').fontSize(9).fill(gray).text(party.pending, x, partyTop + 40, { width: 200 });
+        doc.font('Helvetica');
+        doc.moveTo(x, partyTop + 58).lineTo(x + 200, partyTop + 58).lineWidth(0.5).stroke(borderGray);
+        doc.fontSize(8).fill(gray).text('Signature', x, partyTop + 62);
+      } else {
+        drawSignature(x, partyTop, party.image, party.typedName);
+      }
+      drawRows(x, partyTop + 80, party.rows);
+    });
+
+    // ── Certificate of Completion ──
+    // E-sign evidence captured server-side at signing (ESIGN/UETA)
+    if (proposal.signed_at) {
+      doc.addPage();
+      doc.rect(0, 0, doc.page.width, 70).fill(navy);
+      doc.fontSize(18).fill('#ffffff').text('CERTIFICATE OF COMPLETION', leftM, 22);
+      doc.fontSize(9).fill('#94a3b8').text('Electronic signature record', leftM, 46);
+
+      const iso = d => d ? new Date(d).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC') : 'Not recorded';
+      const evidence = [
+        ['Document', 'Roof MRI Training & Certification Agreement'],
+        ['Proposal ID', proposal.id],
+        ['Proposal #', proposal.proposal_num || 'N/A'],
+        ['Company', proposal.company],
+        ...(signers.length > 0 ? signers.flatMap((s, idx) => {
+          const n = `Signer ${idx + 1}`;
+          return [
+            [n, `${s.printed_name || s.name}${s.signed_title || s.title ? `, ${s.signed_title || s.title}` : ''}`],
+            [`${n} email`, s.email],
+            [`${n} signature`, s.signature_method === 'drawn' ? 'Drawn on screen' : `Typed: ${s.signature_name || 'N/A'}`],
+            [`${n} signed (server time)`, iso(s.signed_at)],
+            [`${n} device time`, iso(s.client_signed_at)],
+            [`${n} IP address`, s.signer_ip || 'Not recorded'],
+            [`${n} user agent`, s.signer_user_agent || 'Not recorded'],
+            [`${n} e-sign consent`, s.esign_consent_at ? `Agreed ${iso(s.esign_consent_at)}` : 'Not recorded'],
+          ];
+        }) : [
+          ['Signer', `${proposal.signer_name || proposal.signature_name || 'N/A'}${proposal.signer_title ? `, ${proposal.signer_title}` : ''}`],
+          ['Signer email', proposal.signer_email || 'N/A'],
+          ['Signature', proposal.signature_method === 'drawn' ? 'Drawn on screen' : `Typed: ${proposal.signature_name || 'N/A'}`],
+          ['Signed (server time)', iso(proposal.signed_at)],
+          ['Signer device time', iso(proposal.client_signed_at)],
+          ['IP address', proposal.signer_ip || 'Not recorded'],
+          ['User agent', proposal.signer_user_agent || 'Not recorded'],
+          ['E-sign consent', proposal.esign_consent_at ? `Agreed ${iso(proposal.esign_consent_at)}` : 'Not recorded'],
+        ]),
+        ['Consent statement', ESIGN_CONSENT_TEXT],
+        ...(proposal.countersigned_at ? [
+          ['Countersigner', `${proposal.countersign_name}${proposal.countersign_title ? `, ${proposal.countersign_title}` : ''} (ReDry LLC)`],
+          ['Countersigned', iso(proposal.countersigned_at)],
+          ['Countersigned by', `${proposal.countersigned_by || 'N/A'}${proposal.countersigner_ip ? ` from ${proposal.countersigner_ip}` : ''}`],
+        ] : [['Countersignature', 'Pending']]),
+        ['Terms SHA-256', proposal.terms_hash || 'Not recorded'],
+        ['Package SHA-256', proposal.package_hash || 'Not recorded'],
+      ];
+
+      let certY = 100;
+      for (const [label, value] of evidence) {
+        if (certY > doc.page.height - 90) {
+          doc.addPage();
+          certY = 50;
+        }
+        const isHash = label.endsWith('SHA-256');
+        doc.font('Helvetica').fontSize(9).fill(gray).text(label, leftM, certY, { width: 120 });
+        doc.font(isHash ? 'Courier' : 'Helvetica').fontSize(isHash ? 8.5 : 10).fill(navy)
+           .text(String(value), leftM + 130, certY, { width: pageW - 130 });
+        certY = Math.max(doc.y, certY + 14) + 8;
+        doc.moveTo(leftM, certY - 4).lineTo(leftM + pageW, certY - 4).lineWidth(0.5).stroke(borderGray);
+      }
+      doc.font('Helvetica');
+
+      doc.fontSize(8.5).fill(gray).text(
+        'The SHA-256 values are digests of the exact terms text and package configuration presented to the signer. ' +
+        'Recomputing them from the archived proposal shows whether either has changed since signing.',
+        leftM, certY + 8, { width: pageW, lineGap: 1.5 }
+      );
+    }
+
+    // ── Footer ──
     doc.fontSize(8).fill(gray).text(
       'Roof MRI | Advancing the Science of Roof Moisture Detection | roof-mri.com',
       leftM, doc.page.height - 40, { width: pageW, align: 'center' }
@@ -1065,6 +2070,157 @@ function buildContractPdf(proposal) {
   });
 }
 
+// ── Generate invoice PDF ─────────────────────────────────────────
+// Deterministic for a given invoice row: re-downloading gives the same document
+function buildInvoicePdf(proposal, invoice, catalog) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margins: { top: 50, bottom: 50, left: 55, right: 55 },
+      info: { Title: `Roof MRI Invoice ${invoiceNumber(invoice)}`, CreationDate: new Date(invoice.issued_at) },
+    });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const navy = '#1B2A4A';
+    const green = '#00bd70';
+    const gray = '#64748b';
+    const lightBg = '#f8fafc';
+    const borderGray = '#e2e8f0';
+    const pageW = doc.page.width - 110; // usable width
+    const leftM = 55;
+
+    const tierKey = proposal.selected_tier || proposal.tier || 'enterprise';
+    const tierRates = catalog.tiers[tierKey] || catalog.tiers.enterprise;
+    const longDate = dateFormat(proposal);
+    const amount = Number(invoice.amount);
+    const remit = remittanceDetails();
+
+    const fmt = moneyFormat(proposal, { cents: true });
+
+    // ── Header ──
+    doc.rect(0, 0, doc.page.width, 70).fill(navy);
+    doc.fontSize(22).fill('#ffffff').text('ROOF ', leftM, 24, { continued: true })
+       .fill(green).text('MRI', { continued: false });
+    doc.fontSize(9).fill('#94a3b8').text('A REDRY LLC CERTIFICATION PROGRAM', leftM, 50);
+    doc.fontSize(20).fill('#ffffff').text('INVOICE', leftM, 26, { width: pageW, align: 'right' });
+
+    // ── Bill to / invoice details ──
+    const infoY = 100;
+    const col2X = leftM + pageW / 2 + 20;
+    doc.fontSize(9).fill(gray).text('BILL TO', leftM, infoY);
+    doc.fontSize(11).fill(navy).text(proposal.company, leftM, infoY + 14, { width: pageW / 2 });
+    doc.fontSize(9.5).fill('#374151').text(proposal.contact_name, leftM, doc.y + 2, { width: pageW / 2 });
+    doc.text(proposal.email, leftM, doc.y + 2, { width: pageW / 2 });
+    const address = proposal.billing_address;
+    if (address) {
+      for (const line of billingAddressLines(address)) {
+        doc.text(line, leftM, doc.y + 2, { width: pageW / 2 });
+      }
+    }
+
+    let rowY = infoY;
+    for (const [label, value] of [
+      ['Invoice #', invoiceNumber(invoice)],
+      ['Issued', longDate(invoice.issued_at)],
+      ['Terms', invoice.net_days === 0 ? 'Due on receipt' : `Net ${invoice.net_days}`],
+      ['Due', longDate(`${invoice.due_date}T00:00:00`)],
+      ['Proposal #', proposal.proposal_num || proposal.id],
+    ]) {
+      doc.fontSize(9).fill(gray).text(label, col2X, rowY);
+      doc.fontSize(9.5).fill(navy).text(value, col2X + 70, rowY, { width: pageW / 2 - 90 });
+      rowY += 16;
+    }
+
+    // ── Line items ──
+    let tableY = Math.max(doc.y, rowY) + 24;
+    doc.rect(leftM, tableY, pageW, 22).fill(navy);
+    doc.fontSize(9).fill('#ffffff').text('DESCRIPTION', leftM + 12, tableY + 7);
+    doc.text('AMOUNT', leftM, tableY + 7, { width: pageW - 12, align: 'right' });
+    tableY += 22;
+
+    const details = [
+      `${tierRates.baseTrainees + (proposal.extra_trainees || 0)} trainees`,
+      `${tierRates.baseKits + (proposal.extra_kits || 0)} Recon Kits`,
+      tierRates.days,
+    ];
+    if (proposal.tracks && proposal.tracks.length > 0) details.push(`Tracks: ${proposal.tracks.join(', ')}`);
+    if (proposal.videography) details.push('Videography');
+    if (proposal.on_roof_day) details.push('On-roof training day');
+
+    doc.rect(leftM, tableY, pageW, 54).fill(lightBg).stroke(borderGray);
+    doc.fontSize(10).fill(navy).text(`Roof MRI Training & Certification – ${tierLabel(catalog, tierKey, 'Enterprise')} Package`, leftM + 12, tableY + 10, { width: pageW - 140 });
+    doc.fontSize(8.5).fill(gray).text(details.join(' · '), leftM + 12, tableY + 28, { width: pageW - 140 });
+    doc.fontSize(10).fill(navy).text(fmt(amount), leftM, tableY + 10, { width: pageW - 12, align: 'right' });
+    tableY += 54;
+
+    doc.moveTo(leftM + pageW / 2, tableY + 12).lineTo(leftM + pageW, tableY + 12).lineWidth(0.5).stroke(borderGray);
+    doc.font('Helvetica-Bold').fontSize(11).fill(navy).text('Amount Due', leftM + pageW / 2, tableY + 20);
+    doc.text(invoice.status !== 'open' ? fmt(0) : fmt(amount), leftM, tableY + 20, { width: pageW - 12, align: 'right' });
+    doc.font('Helvetica');
+
+    let y = tableY + 50;
+    if (invoice.status === 'paid') {
+      doc.rect(leftM, y, pageW, 30).fill('#ecfdf5');
+      doc.fontSize(10).fill('#047857').text(
+        `PAID ${longDate(invoice.paid_at)}${invoice.payment_reference ? ` – reference ${invoice.payment_reference}` : ''}`,
+        leftM + 12, y + 10, { width: pageW - 24 }
+      );
+      y += 46;
+    }
+    if (invoice.status === 'void') {
+      doc.rect(leftM, y, pageW, 30).fill('#f1f5f9');
+      doc.fontSize(10).fill('#64748b').text('VOID \u2013 this invoice has been cancelled and is not payable', leftM + 12, y + 10, { width: pageW - 24 });
+      y += 46;
+    }
+
+    // ── Payment instructions ──
+    doc.fontSize(13).fill(navy).text('Payment Instructions', leftM, y);
+    y = doc.y + 6;
+    doc.fontSize(9).fill('#374151').text(
+      `Please pay by ACH or wire transfer and include invoice number ${invoiceNumber(invoice)} as the payment reference.`,
+      leftM, y, { width: pageW, lineGap: 1.5 }
+    );
+    y = doc.y + 12;
+
+    const boxW = pageW / 2 - 8;
+    [
+      ['ACH TRANSFER', [['Bank', remit.bankName], ['Account name', remit.accountName], ['Account #', remit.accountNumber], ['Routing # (ACH)', remit.achRouting]]],
+      ['WIRE TRANSFER', [['Bank', remit.bankName], ['Beneficiary', remit.accountName], ['Account #', remit.accountNumber], ['Routing # (wire)', remit.wireRouting], ['SWIFT', remit.swift]]],
+    ].forEach(([heading, rows], idx) => {
+      const x = leftM + idx * (boxW + 16);
+      doc.rect(x, y, boxW, 22).fill(navy);
+      doc.fontSize(9).fill('#ffffff').text(heading, x + 10, y + 7);
+      doc.rect(x, y + 22, boxW, 96).fill(lightBg).stroke(borderGray);
+      let lineY = y + 32;
+      for (const [label, value] of rows) {
+        doc.fontSize(8.5).fill(gray).text(label, x + 10, lineY);
+        doc.fontSize(9).fill(navy).text(value || 'Contact adam@re-dry.com', x + 95, lineY, { width: boxW - 105 });
+        lineY += 16;
+      }
+    });
+    y += 134;
+
+    if (invoice.hosted_invoice_url && invoice.status === 'open') {
+      doc.fontSize(9).fill('#374151').text('Prefer to pay online by card or bank debit? ', leftM, y, { continued: true })
+         .fill(green).text('Pay this invoice online', { link: invoice.hosted_invoice_url, underline: true });
+      y = doc.y + 8;
+    }
+    doc.fontSize(9).fill(gray).text('Questions about this invoice? Contact Adam Capps at adam@re-dry.com.', leftM, y + 4, { width: pageW });
+
+    // ── Footer ── (below the bottom margin, which would otherwise push it onto a new page)
+    doc.page.margins.bottom = 0;
+    doc.fontSize(8).fill(gray).text(
+      'ReDry LLC | Roof MRI | Advancing the Science of Roof Moisture Detection | roof-mri.com',
+      leftM, doc.page.height - 40, { width: pageW, align: 'center' }
+    );
+
+    doc.end();
+  });
+}
+
 // ── Helpers ──────────────────────────────────────────────────────
 function escapeHtml(str) {
   if (typeof str !== 'string') return str;
@@ -1076,10 +2232,1165 @@ function escapeHtml(str) {
     .replace(/'/g, '&#39;');
 }
 
+// Stored (escaped) text back as it was typed, for editing in a form
+function unescapeHtml(str) {
+  if (typeof str !== 'string') return str;
+  return str
+    .replace(/&#39;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<')
+    .replace(/&amp;/g, '&');
+}
+
 function isValidEmail(email) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
 
+// Binary columns stay server-side – the client only needs to know a drawn signature exists
+function publicProposal(proposal) {
+  const { signature_image, countersign_image, ...rest } = proposal;
+  return { ...rest, has_signature_image: !!signature_image, has_countersign_image: !!countersign_image };
+}
+
+// ── Signatures ───────────────────────────────────────────────────
+// Sent with the proposal to show next to the consent checkbox, and printed on the certificate
+const ESIGN_CONSENT_TEXT = 'I agree to sign this agreement electronically and to receive related records electronically. ' +
+  'My electronic signature is legally binding, just like a handwritten signature.';
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Canonical text of the terms a client signs, as rendered in the contract
+// (proposal-specific clauses are marked, so the marking is covered by the hash too)
+function termsText(sections) {
+  return sections.map((section, idx) => [
+    `${idx + 1}. ${section.custom ? `[Proposal-specific: ${section.custom}] ` : ''}${section.title}`,
+    ...(section.content || []),
+    ...(section.subsections || []).map(sub => `${sub.label} ${sub.text}`),
+  ].join('\n')).join('\n\n');
+}
+
+// The package a client agreed to – hashed at signing so later edits are detectable
+function packageSnapshot(p) {
+  return {
+    proposal_id: p.id,
+    company: p.company,
+    tier: p.selected_tier || p.tier || null,
+    total_price: p.total_price != null ? Number(p.total_price) : null,
+    extra_trainees: p.extra_trainees || 0,
+    extra_kits: p.extra_kits || 0,
+    tracks: p.tracks || [],
+    videography: !!p.videography,
+    on_roof_day: !!p.on_roof_day,
+    price_book_version: p.price_book_version ?? null,
+    ...(p.discount_code ? { discount_code: p.discount_code, discount_amount: Number(p.discount_amount) || 0 } : {}),
+    // Only recorded outside US dollars, so earlier snapshots keep their hashes
+    ...(p.currency && p.currency !== 'usd' ? { currency: p.currency } : {}),
+  };
+}
+
+const MAX_SIGNATURE_BYTES = 300 * 1024;
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Decode a drawn signature (PNG data URL from the signature canvas). Returns the
+// image buffer, or null if it isn't a PNG of sensible size.
+function parseSignaturePng(dataUrl) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:image\/png;base64,([A-Za-z0-9+/]+={0,2})$/);
+  if (!match) return null;
+  const buf = Buffer.from(match[1], 'base64');
+  if (buf.length < 24 || buf.length > MAX_SIGNATURE_BYTES) return null;
+  if (!buf.subarray(0, 8).equals(PNG_MAGIC) || buf.toString('ascii', 12, 16) !== 'IHDR') return null;
+  const width = buf.readUInt32BE(16);
+  const height = buf.readUInt32BE(20);
+  if (!width || !height || width > 2000 || height > 1000) return null;
+  return buf;
+}
+
+// ── Contract archive ─────────────────────────────────────────────
+// Client download links carry an HMAC of the proposal ID instead of a login
+function contractToken(proposalId) {
+  const secret = process.env.CONTRACT_LINK_SECRET || process.env.JWT_SECRET;
+  if (!secret) return null;
+  return crypto.createHmac('sha256', secret).update(`contract:${proposalId}`).digest('base64url');
+}
+
+function isValidContractToken(token, proposalId) {
+  const expected = contractToken(proposalId);
+  if (!expected || typeof token !== 'string' || token.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+async function archiveContract(proposalId, pdf, kind = 'signed', db = pool) {
+  const hash = sha256(pdf);
+  const { rows } = await db.query(
+    `INSERT INTO contract_archives (proposal_id, kind, pdf, sha256, byte_size)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id, kind, sha256, byte_size, created_at`,
+    [proposalId, kind, pdf, hash, pdf.length]
+  );
+  await recordProposalEvent(proposalId, 'contract_archived', { payload: { kind, sha256: hash, byte_size: pdf.length } }, db);
+  return rows[0];
+}
+
+// The record as it stood when an archive of `kind` was rendered – the client-signed
+// copy predates ReDry's countersignature
+function contractRecord(proposal, kind) {
+  if (kind !== 'signed') return proposal;
+  return {
+    ...proposal,
+    countersign_method: null, countersign_image: null, countersign_name: null, countersign_title: null,
+    countersigned_by: null, countersigner_ip: null, countersigned_at: null,
+  };
+}
+
+// Latest archived contract for a proposal (optionally of one kind), or null
+async function getArchivedContract(proposalId, kind = null) {
+  const { rows } = await pool.query(
+    `SELECT * FROM contract_archives WHERE proposal_id = $1 AND ($2::text IS NULL OR kind = $2)
+     ORDER BY created_at DESC, id DESC LIMIT 1`,
+    [proposalId, kind]
+  );
+  return rows[0] || null;
+}
+
+// ── Signers ──────────────────────────────────────────────────────
+// A proposal can list several required signers, signing in order ('sequential') or in
+// any order ('parallel'). It becomes 'signed' only when the last of them signs.
+const SIGNING_ORDERS = ['parallel', 'sequential'];
+const MAX_SIGNERS = 10;
+
+function proposalLink(proposalId) {
+  const baseUrl = process.env.PROPOSAL_BASE_URL || 'https://proposals.roof-mri.com';
+  return `${baseUrl}/p/${proposalId}`;
+}
+
+// Per-signer links carry an HMAC of the signer row instead of a login
+function signerToken(signer) {
+  const secret = process.env.CONTRACT_LINK_SECRET || process.env.JWT_SECRET;
+  if (!secret) return null;
+  return crypto.createHmac('sha256', secret).update(`signer:${signer.proposal_id}:${signer.id}`).digest('base64url');
+}
+
+function findSignerByToken(signers, token) {
+  if (typeof token !== 'string' || !token) return null;
+  return signers.find(s => {
+    const expected = signerToken(s);
+    return !!expected && expected.length === token.length && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+  }) || null;
+}
+
+function signerLink(signer) {
+  return `${proposalLink(signer.proposal_id)}?signer=${encodeURIComponent(signerToken(signer))}`;
+}
+
+// The contact's link from the proposal email carries an HMAC too: on a proposal without
+// listed signers it's what lets them forward the signature to someone else
+function contactToken(proposalId) {
+  const secret = process.env.CONTRACT_LINK_SECRET || process.env.JWT_SECRET;
+  if (!secret) return null;
+  return crypto.createHmac('sha256', secret).update(`contact:${proposalId}`).digest('base64url');
+}
+
+function isValidContactToken(token, proposalId) {
+  const expected = contactToken(proposalId);
+  if (!expected || typeof token !== 'string' || token.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+function contactLink(proposalId) {
+  const token = contactToken(proposalId);
+  return token ? `${proposalLink(proposalId)}?contact=${encodeURIComponent(token)}` : proposalLink(proposalId);
+}
+
+async function getSigners(proposalId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM proposal_signers WHERE proposal_id = $1 AND replaced_at IS NULL ORDER BY position',
+    [proposalId]
+  );
+  return rows;
+}
+
+// The earlier signer `signer` is waiting on in a sequential proposal, or null
+function blockingSigner(proposal, signers, signer) {
+  if (proposal.signing_order !== 'sequential') return null;
+  return signers.find(s => s.position < signer.position && !s.signed_at) || null;
+}
+
+// What the proposal page shows about each signer
+function publicSigner(s) {
+  return { id: s.id, position: s.position, name: s.name, title: s.title, signed_at: s.signed_at, delegated_by: s.delegated_by_name };
+}
+
+// Returns an error message for a malformed signer list, or null
+function validateSigners(signers) {
+  if (!Array.isArray(signers)) return 'Signers must be a list';
+  if (signers.length > MAX_SIGNERS) return `At most ${MAX_SIGNERS} signers are allowed`;
+  const seen = new Set();
+  for (const [idx, s] of signers.entries()) {
+    if (!s || typeof s.name !== 'string' || !s.name.trim() || s.name.length > 200) return `Signer ${idx + 1} needs a name`;
+    if (typeof s.email !== 'string' || !isValidEmail(s.email.trim())) return `Signer ${idx + 1} needs a valid email address`;
+    if (s.title != null && (typeof s.title !== 'string' || s.title.length > 200)) return `Signer ${idx + 1} has an invalid title`;
+    const key = s.email.trim().toLowerCase();
+    if (seen.has(key)) return `${s.email.trim()} is listed as a signer more than once`;
+    seen.add(key);
+  }
+  return null;
+}
+
+// Once anyone has signed, the package can't change under the remaining signers
+async function hasPartialSignatures(proposalId) {
+  const { rows } = await pool.query(
+    'SELECT 1 FROM proposal_signers WHERE proposal_id = $1 AND signed_at IS NOT NULL LIMIT 1',
+    [proposalId]
+  );
+  return rows.length > 0;
+}
+
+async function inviteSigner(proposal, signer, { actor = 'system', ip = null } = {}) {
+  const url = signerLink(signer);
+  await sgMail.send({
+    to: signer.email,
+    from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
+    replyTo: { email: 'adam@re-dry.com', name: 'Adam Capps' },
+    subject: `Signature requested: Roof MRI Training Agreement for ${proposal.company}`,
+    html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
+      <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
+        <span style="color:#fff;font-size:18px;font-weight:700">ROOF <span style="color:#00bd70">MRI</span></span>
+      </div>
+      <div style="padding:24px;background:#fff;border:1px solid #e2e8f0">
+        <p style="font-size:15px;color:#374151;margin-bottom:16px">Hi ${signer.name},</p>
+        <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">${signer.delegated_by_name ? `${signer.delegated_by_name} has asked you` : "You've been asked"} to sign the Roof MRI Training Agreement for <strong>${proposal.company}</strong>${signer.title ? ` as ${signer.title}` : ''}. You can review the package, adjust it if needed, and sign. This link is for you only, so please don't forward it.</p>
+        ${signer.delegation_note ? `<p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px;padding:12px 16px;background:#f8fafc;border-left:3px solid #00bd70">${signer.delegation_note}</p>` : ''}
+        <p style="text-align:center;margin:24px 0"><a href="${url}" style="display:inline-block;padding:12px 28px;background:#00bd70;color:#fff;border-radius:6px;text-decoration:none;font-weight:700">Review &amp; Sign</a></p>
+        <p style="font-size:14px;color:#374151;line-height:1.6">Questions? Reply to this email or reach out to adam@re-dry.com.</p>
+      </div>
+    </div>`,
+  });
+  await pool.query('UPDATE proposal_signers SET invited_at = NOW() WHERE id = $1', [signer.id]);
+  await recordProposalEvent(proposal.id, 'signer_invited', {
+    actor, ip, payload: { signer_id: signer.id, name: signer.name, email: signer.email },
+  });
+}
+
+// Let whoever delegated a signature know how it's going
+async function notifyDelegator(proposal, signer, message) {
+  if (!signer.delegated_by_email) return;
+  await sgMail.send({
+    to: signer.delegated_by_email,
+    from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
+    replyTo: { email: 'adam@re-dry.com', name: 'Adam Capps' },
+    subject: `Update on the Roof MRI Training Agreement for ${proposal.company}`,
+    html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
+      <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
+        <span style="color:#fff;font-size:18px;font-weight:700">ROOF <span style="color:#00bd70">MRI</span></span>
+      </div>
+      <div style="padding:24px;background:#fff;border:1px solid #e2e8f0">
+        <p style="font-size:15px;color:#374151;margin-bottom:16px">Hi ${signer.delegated_by_name},</p>
+        <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">${message}</p>
+        <p style="font-size:14px;color:#374151;line-height:1.6">You can follow along on the <a href="${proposalLink(proposal.id)}" style="color:#00bd70">proposal page</a>. Questions? Reply to this email or reach out to adam@re-dry.com.</p>
+      </div>
+    </div>`,
+  });
+}
+
+// ── Payment schedules ────────────────────────────────────────────
+// A proposal can split its total into installments (e.g. a 50% deposit on signing and
+// the balance before the training date). Each one is paid through its own Checkout
+// session; the proposal stays 'partially_paid' until the last one clears.
+const MAX_INSTALLMENTS = 6;
+
+// Returns an error message for a malformed schedule, or null
+function validatePaymentSchedule(schedule) {
+  if (!Array.isArray(schedule)) return 'Payment schedule must be a list';
+  if (schedule.length === 1 || schedule.length > MAX_INSTALLMENTS) {
+    return `A payment schedule needs between 2 and ${MAX_INSTALLMENTS} installments`;
+  }
+  let total = 0;
+  for (const [idx, inst] of schedule.entries()) {
+    if (!inst || typeof inst.label !== 'string' || !inst.label.trim() || inst.label.length > 80) return `Installment ${idx + 1} needs a label`;
+    const percent = Number(inst.percent);
+    if (!(percent > 0 && percent < 100)) return `Installment ${idx + 1} needs a percentage between 0 and 100`;
+    if (inst.due !== 'on_signing' && (typeof inst.due !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(inst.due) || isNaN(new Date(inst.due).getTime()))) {
+      return `Installment ${idx + 1} needs a due date (or "on_signing")`;
+    }
+    total += percent;
+  }
+  if (Math.abs(total - 100) > 0.001) return 'Installment percentages must add up to 100';
+  return null;
+}
+
+// Split a total into per-installment amounts in cents; the last one absorbs rounding
+function installmentAmounts(totalPrice, installments) {
+  const totalCents = Math.round(Number(totalPrice) * 100);
+  let allocated = 0;
+  return installments.map((inst, idx) => {
+    const cents = idx === installments.length - 1
+      ? totalCents - allocated
+      : Math.round(totalCents * Number(inst.percent) / 100);
+    allocated += cents;
+    return cents;
+  });
+}
+
+async function getInstallments(proposalId) {
+  // due_date as text so a calendar date doesn't shift with the server's time zone
+  const { rows } = await pool.query(
+    `SELECT id, proposal_id, position, label, percent, due_on_signing, due_date::text AS due_date, status,
+       amount, tax_amount, processing_fee, payment_method, stripe_session_id, paid_at
+     FROM payment_installments WHERE proposal_id = $1 ORDER BY position`,
+    [proposalId]
+  );
+  return rows;
+}
+
+// The installment the next payment goes towards
+function nextInstallment(installments) {
+  return installments.find(i => i.status !== 'paid') || null;
+}
+
+// What the next payment is for, in cents: the next installment's share, or the whole total
+function nextPaymentCents(proposal, installments) {
+  const installment = nextInstallment(installments);
+  if (!installment) return Math.round(Number(proposal.total_price) * 100);
+  return installmentAmounts(proposal.total_price, installments)[installments.indexOf(installment)];
+}
+
+// What the proposal page shows about each installment
+function publicInstallments(proposal, installments) {
+  const amounts = installmentAmounts(proposal.total_price || 0, installments);
+  return installments.map((i, idx) => ({
+    id: i.id, position: i.position, label: i.label, percent: Number(i.percent),
+    due_on_signing: i.due_on_signing, due_date: i.due_date, status: i.status,
+    amount: amounts[idx] / 100, paid_at: i.paid_at,
+    // What the paid installment's checkout added for tax and the payment method
+    ...(i.status === 'paid' ? { tax_amount: Number(i.tax_amount) || 0, processing_fee: Number(i.processing_fee) || 0 } : {}),
+  }));
+}
+
+// ── Payment receipts ─────────────────────────────────────────────
+// Payment notice to Adam and receipt to the client once a proposal is paid in full
+async function sendPaymentConfirmation(p) {
+  const safeName = escapeHtml(p.contact_name);
+  const safeCompany = escapeHtml(p.company);
+  const tierLabel = p.tier ? p.tier.charAt(0).toUpperCase() + p.tier.slice(1) : 'Custom';
+  // The itemization Stripe was sent at checkout (or invoiced); rebuilt for older proposals.
+  // A payment schedule's tax and fees were charged per installment, so they're summed here.
+  const lineItems = p.line_items || proposalLineItems(p, (await getPriceBook(p.price_book_version)).catalog);
+  const paidInstallments = (await getInstallments(p.id)).filter(i => i.status === 'paid');
+  if (paidInstallments.length > 0) {
+    const sum = field => Math.round(paidInstallments.reduce((total, i) => total + Number(i[field] || 0) * 100, 0)) / 100;
+    lineItems.push(...adjustmentLineItems({ tax: sum('tax_amount'), fee: sum('processing_fee') }, null, { withRates: false }));
+  }
+  const collected = p.total_price ? await collectedCents(p) : 0;
+  const money = moneyFormat(p);
+  const totalFormatted = collected ? money(collected / 100) : 'N/A';
+  const itemRows = lineItems.map(item => `<tr><td style="padding:6px 0;font-size:13px;color:#64748b">${item.quantity > 1 ? `${item.quantity} \u00d7 ` : ''}${item.name}</td><td style="padding:6px 0;font-size:13px;color:#1B2A4A;text-align:right">${item.amount < 0 ? '\u2212' : ''}${money(Math.abs(item.amount))}</td></tr>`).join('');
+
+  // Notify Adam of payment
+  let emailSent = false;
+  await sgMail.send({
+    to: 'adam@re-dry.com',
+    from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
+    subject: `PAID: ${safeCompany} - ${safeName}`,
+    html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
+      <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
+        <span style="color:#fff;font-size:16px;font-weight:700">ROOF <span style="color:#00bd70">MRI</span></span>
+      </div>
+      <div style="padding:20px;background:#fff;border:1px solid #e2e8f0">
+        <p style="font-size:14px;color:#374151"><strong>Payment received</strong> from ${safeName} at ${safeCompany}</p>
+        <p style="font-size:13px;color:#64748b">${tierLabel} Package | ${totalFormatted}</p>
+      </div>
+    </div>`
+  });
+
+  // Send payment confirmation to client
+  try {
+    await sgMail.send({
+      to: p.email,
+      from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
+      subject: `Payment Confirmed - Roof MRI Training`,
+      html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
+        <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
+          <span style="color:#fff;font-size:18px;font-weight:700">ROOF <span style="color:#00bd70">MRI</span></span>
+        </div>
+        <div style="padding:24px;background:#fff;border:1px solid #e2e8f0">
+          <div style="text-align:center;margin-bottom:20px">
+            <div style="display:inline-block;background:#ecfdf5;border-radius:50%;padding:12px;margin-bottom:8px">
+              <span style="color:#00bd70;font-size:24px;font-weight:bold">\u2713</span>
+            </div>
+            <h2 style="color:#1B2A4A;margin:8px 0 0 0;font-size:20px">Payment Confirmed</h2>
+          </div>
+          <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">Hi ${safeName},</p>
+          <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">We\u2019ve received your payment. Thank you for choosing Roof MRI! Here\u2019s your receipt summary:</p>
+          <div style="background:#f8fafc;border:1px solid #e2e8f0;border-radius:6px;padding:16px;margin-bottom:16px">
+            <table style="width:100%;border-collapse:collapse">
+              <tr><td style="padding:6px 0;font-size:13px;color:#64748b">Company</td><td style="padding:6px 0;font-size:13px;color:#1B2A4A;text-align:right">${safeCompany}</td></tr>
+              ${itemRows}
+              <tr style="border-top:1px solid #e2e8f0"><td style="padding:10px 0 6px;font-size:14px;color:#1B2A4A;font-weight:700">Total Paid</td><td style="padding:10px 0 6px;font-size:14px;color:#00bd70;text-align:right;font-weight:700">${totalFormatted}</td></tr>
+            </table>
+          </div>
+          <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:8px"><strong>What\u2019s next?</strong></p>
+          <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">We\u2019ll be in touch within 1\u20132 business days to coordinate your training dates and logistics. If you have questions in the meantime, just reply to this email.</p>
+          <p style="font-size:14px;color:#1B2A4A;font-weight:600;margin:0">Adam Capps</p>
+          <p style="font-size:13px;color:#64748b;margin:2px 0 0 0">Founder, Roof MRI & ReDry</p>
+          <p style="font-size:13px;color:#64748b;margin:2px 0 0 0">adam@re-dry.com</p>
+        </div>
+        <div style="background:#1B2A4A;padding:12px 20px;text-align:center">
+          <p style="margin:0;font-size:11px;color:#94a3b8">Roof MRI | Advancing the Science of Roof Moisture Detection</p>
+        </div>
+      </div>`
+    });
+    emailSent = true;
+  } catch (clientEmailErr) {
+    console.error('Failed to send payment confirmation to client:', clientEmailErr);
+  }
+
+  // Track whether confirmation emails were sent
+  await pool.query('UPDATE proposals SET email_sent = $1 WHERE id = $2', [emailSent, p.id]);
+}
+
+// Receipt for an installment that leaves a balance (the final one gets the full
+// payment confirmation instead)
+async function sendInstallmentReceipt(p, installment, amountCents, next) {
+  const safeName = escapeHtml(p.contact_name);
+  const safeCompany = escapeHtml(p.company);
+  const amountFormatted = moneyFormat(p)(amountCents / 100);
+  const nextLine = next
+    ? `Next: ${next.label}${next.due_on_signing || !next.due_date ? '' : `, due ${dateFormat(p)(`${next.due_date}T00:00:00`)}`}`
+    : '';
+
+  await sgMail.send({
+    to: 'adam@re-dry.com',
+    from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
+    subject: `INSTALLMENT PAID: ${safeCompany} - ${installment.label}`,
+    html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
+      <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
+        <span style="color:#fff;font-size:16px;font-weight:700">ROOF <span style="color:#00bd70">MRI</span></span>
+      </div>
+      <div style="padding:20px;background:#fff;border:1px solid #e2e8f0">
+        <p style="font-size:14px;color:#374151"><strong>${installment.label} received</strong> from ${safeName} at ${safeCompany}</p>
+        <p style="font-size:13px;color:#64748b">${amountFormatted}${nextLine ? ` | ${nextLine}` : ''}</p>
+      </div>
+    </div>`
+  });
+
+  try {
+    await sgMail.send({
+      to: p.email,
+      from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
+      replyTo: { email: 'adam@re-dry.com', name: 'Adam Capps' },
+      subject: `Payment Received: ${installment.label} - Roof MRI Training`,
+      html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
+        <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
+          <span style="color:#fff;font-size:18px;font-weight:700">ROOF <span style="color:#00bd70">MRI</span></span>
+        </div>
+        <div style="padding:24px;background:#fff;border:1px solid #e2e8f0">
+          <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">Hi ${safeName},</p>
+          <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">We’ve received your ${installment.label} payment of <strong>${amountFormatted}</strong> for ${safeCompany}’s Roof MRI training. Thank you!</p>
+          ${nextLine ? `<p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">${nextLine}. You can pay it any time from your <a href="${proposalLink(p.id)}" style="color:#00bd70">proposal page</a>.</p>` : ''}
+          <p style="font-size:14px;color:#1B2A4A;font-weight:600;margin:0">Adam Capps</p>
+          <p style="font-size:13px;color:#64748b;margin:2px 0 0 0">Founder, Roof MRI & ReDry</p>
+        </div>
+      </div>`
+    });
+  } catch (clientEmailErr) {
+    console.error('Failed to send installment receipt to client:', clientEmailErr);
+  }
+}
+
+// ── Checkout session outcomes ────────────────────────────────────
+// What a Checkout session's result means for its proposal (and installment, when it paid
+// one). Shared by the Stripe webhook and the reconciliation job; `source` is the actor and
+// timeline payload to record. Each returns the updated proposal, or null if nothing changed.
+
+// Copies what the session charged (tax, processing fee, payment method and itemization) onto
+// the unpaid installment it's for, and returns the proposal columns to set with its transition
+async function sessionCharges(session, installmentId) {
+  const { rows } = await pool.query('SELECT * FROM checkout_sessions WHERE id = $1', [session.id]);
+  const checkout = rows[0];
+  if (!checkout) return {}; // Sessions created before they were recorded kept their charges on the proposal
+  if (installmentId) {
+    await pool.query(
+      `UPDATE payment_installments SET amount = $1, tax_amount = $2, processing_fee = $3, payment_method = $4
+       WHERE id = $5 AND proposal_id = $6 AND status <> 'paid'`,
+      [checkout.amount, checkout.tax_amount, checkout.processing_fee, checkout.payment_method, installmentId, checkout.proposal_id]
+    );
+    return { line_items: JSON.stringify(checkout.line_items) };
+  }
+  return {
+    line_items: JSON.stringify(checkout.line_items), tax_amount: checkout.tax_amount,
+    processing_fee: checkout.processing_fee, payment_method: checkout.payment_method,
+  };
+}
+
+// ACH initiated but not yet settled
+async function applySessionProcessing(session, source) {
+  const proposalId = session.metadata.proposal_id;
+  const installmentId = session.metadata.installment_id;
+  const charges = await sessionCharges(session, installmentId);
+  if (installmentId) {
+    await pool.query(
+      `UPDATE payment_installments SET status = 'processing', stripe_session_id = $1, stripe_payment_intent_id = $4
+       WHERE id = $2 AND proposal_id = $3 AND status <> 'paid'`,
+      [session.id, installmentId, proposalId, paymentIntentId(session)]
+    );
+  }
+  const updated = await transitionProposal(proposalId, 'payment_processing', {
+    ...source, set: { ...charges, stripe_session_id: session.id, stripe_payment_intent_id: paymentIntentId(session) },
+  });
+  if (!updated) console.warn(`Ignored ${source.payload.event_type} for proposal ${proposalId}: not awaiting payment`);
+  return updated;
+}
+
+// Money received: the installment (and the proposal once nothing is left to pay) is paid
+async function applySessionPaid(session, source) {
+  const proposalId = session.metadata.proposal_id;
+  const installmentId = session.metadata.installment_id;
+  const charges = await sessionCharges(session, installmentId);
+  const set = { ...charges, stripe_session_id: session.id, stripe_payment_intent_id: paymentIntentId(session) };
+  let installmentPayload = {};
+  if (installmentId) {
+    const { rows: settled } = await pool.query(
+      `UPDATE payment_installments SET status = 'paid', paid_at = NOW(), stripe_session_id = $1, stripe_payment_intent_id = $4
+       WHERE id = $2 AND proposal_id = $3 AND status <> 'paid' RETURNING *`,
+      [session.id, installmentId, proposalId, paymentIntentId(session)]
+    );
+    if (settled.length === 0) {
+      console.warn(`Ignored ${source.payload.event_type} for installment ${installmentId}: already paid or not found`);
+      return null;
+    }
+    const installment = settled[0];
+    installmentPayload = { installment_id: installment.id, installment: installment.label };
+
+    // Anything left to pay keeps the proposal part-paid; the last installment pays it off
+    const next = nextInstallment(await getInstallments(proposalId));
+    if (next) {
+      const partial = await transitionProposal(proposalId, 'partially_paid', {
+        ...source, payload: { ...source.payload, amount_total: session.amount_total, ...installmentPayload }, set,
+      });
+      if (!partial) console.warn(`Ignored ${source.payload.event_type} for proposal ${proposalId}: not awaiting payment`);
+      else await sendInstallmentReceipt(partial, installment, session.amount_total, next);
+      return partial;
+    }
+  }
+
+  const p = await transitionProposal(proposalId, 'paid', {
+    ...source, payload: { ...source.payload, amount_total: session.amount_total, ...installmentPayload }, set,
+  });
+  if (!p) console.warn(`Ignored ${source.payload.event_type} for proposal ${proposalId}: not awaiting payment`);
+  else await sendPaymentConfirmation(p);
+  return p;
+}
+
+// ACH failed. A failed installment after earlier ones cleared leaves the proposal part-paid
+async function applySessionFailed(session, source) {
+  const proposalId = session.metadata.proposal_id;
+  const installmentId = session.metadata.installment_id;
+  let anyPaid = false;
+  let installmentPayload = {};
+  if (installmentId) {
+    const { rows: failed } = await pool.query(
+      `UPDATE payment_installments SET status = 'failed' WHERE id = $1 AND proposal_id = $2 AND status <> 'paid' RETURNING *`,
+      [installmentId, proposalId]
+    );
+    if (failed[0]) installmentPayload = { installment_id: failed[0].id, installment: failed[0].label };
+    anyPaid = (await getInstallments(proposalId)).some(i => i.status === 'paid');
+  }
+  const updated = await transitionProposal(proposalId, anyPaid ? 'partially_paid' : 'failed', {
+    ...source, payload: { ...source.payload, ...installmentPayload },
+  });
+  if (!updated) console.warn(`Ignored ${source.payload.event_type} for proposal ${proposalId}: not awaiting payment`);
+  return updated;
+}
+
+// session.payment_intent is an ID, or the PaymentIntent itself when expanded
+function paymentIntentId(session) {
+  return typeof session.payment_intent === 'string' ? session.payment_intent : session.payment_intent?.id ?? null;
+}
+
+// ── Invoices ─────────────────────────────────────────────────────
+// Enterprise packages skip online checkout; an admin invoices them on net terms instead
+const DEFAULT_NET_DAYS = parseInt(process.env.INVOICE_NET_DAYS) || 30;
+const MAX_NET_DAYS = 120;
+
+function invoiceNumber(invoice) {
+  return `RMRI-${new Date(invoice.issued_at).getUTCFullYear()}-${String(invoice.id).padStart(4, '0')}`;
+}
+
+// Bank details printed on every invoice for ACH and wire payments
+function remittanceDetails() {
+  return {
+    bankName: process.env.REMIT_BANK_NAME || '',
+    accountName: process.env.REMIT_ACCOUNT_NAME || 'ReDry LLC',
+    accountNumber: process.env.REMIT_ACCOUNT_NUMBER || '',
+    achRouting: process.env.REMIT_ACH_ROUTING || '',
+    wireRouting: process.env.REMIT_WIRE_ROUTING || process.env.REMIT_ACH_ROUTING || '',
+    swift: process.env.REMIT_SWIFT || '',
+  };
+}
+
+async function getInvoice(proposalId) {
+  // due_date as text so a calendar date doesn't shift with the server's time zone
+  const { rows } = await pool.query(
+    `SELECT id, proposal_id, amount, net_days, issued_at, due_date::text AS due_date, status, issued_by,
+       stripe_invoice_id, hosted_invoice_url, paid_at, paid_via, payment_reference, marked_paid_by
+     FROM invoices WHERE proposal_id = $1 ORDER BY id DESC LIMIT 1`,
+    [proposalId]
+  );
+  return rows[0] || null;
+}
+
+// What the proposal page shows about the invoice
+function publicInvoice(invoice) {
+  return {
+    number: invoiceNumber(invoice), amount: Number(invoice.amount), net_days: invoice.net_days,
+    issued_at: invoice.issued_at, due_date: invoice.due_date, status: invoice.status,
+    hosted_invoice_url: invoice.status === 'open' ? invoice.hosted_invoice_url : null, paid_at: invoice.paid_at,
+  };
+}
+
+// Mirror the invoice in Stripe so the client can also pay online (card or ACH debit).
+// We email our own PDF, so Stripe doesn't send or chase it.
+// The proposal's own Stripe customer, created the first time it's invoiced
+async function stripeCustomerFor(proposal) {
+  if (proposal.stripe_customer_id) return proposal.stripe_customer_id;
+  const customer = await stripe.customers.create({
+    email: unescapeHtml(proposal.email), name: unescapeHtml(proposal.company), metadata: { proposal_id: proposal.id },
+  }, { idempotencyKey: `customer:${proposal.id}` });
+  await pool.query('UPDATE proposals SET stripe_customer_id = $2 WHERE id = $1', [proposal.id, customer.id]);
+  return customer.id;
+}
+
+async function createStripeInvoice(proposal, invoice) {
+  const customer = await stripeCustomerFor(proposal);
+  const draft = await stripe.invoices.create({
+    customer,
+    collection_method: 'send_invoice',
+    days_until_due: invoice.net_days,
+    auto_advance: false,
+    payment_settings: { payment_method_types: checkoutMethods(proposal.currency).map(m => CHECKOUT_METHODS[m]) },
+    metadata: { proposal_id: proposal.id, invoice_id: String(invoice.id) },
+    description: `Invoice ${invoiceNumber(invoice)}`,
+  });
+  await stripe.invoiceItems.create({
+    customer,
+    invoice: draft.id,
+    amount: Math.round(Number(invoice.amount) * 100), // Stripe uses cents
+    currency: proposal.currency,
+    description: `Roof MRI Training – Enterprise Package (${proposal.company})`,
+  });
+  return stripe.invoices.finalizeInvoice(draft.id, { auto_advance: false });
+}
+
+// A voided proposal's open invoice is voided too, in Stripe as well so it can't be paid there
+async function voidOpenInvoice(proposalId) {
+  const { rows } = await pool.query(
+    `UPDATE invoices SET status = 'void' WHERE proposal_id = $1 AND status = 'open' RETURNING *`,
+    [proposalId]
+  );
+  for (const invoice of rows) {
+    if (!invoice.stripe_invoice_id) continue;
+    try {
+      await stripe.invoices.voidInvoice(invoice.stripe_invoice_id);
+    } catch (err) {
+      console.error(`Failed to void Stripe invoice ${invoice.stripe_invoice_id}:`, err);
+    }
+  }
+}
+
+async function sendInvoiceEmail(proposal, invoice, pdf) {
+  const number = invoiceNumber(invoice);
+  const dueDate = dateFormat(proposal)(`${invoice.due_date}T00:00:00`);
+  const amountFormatted = moneyFormat(proposal)(invoice.amount);
+  await sgMail.send({
+    to: proposal.email,
+    cc: 'adam@re-dry.com',
+    from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
+    replyTo: { email: 'adam@re-dry.com', name: 'Adam Capps' },
+    subject: `Invoice ${number} - Roof MRI Training for ${proposal.company}`,
+    html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
+      <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
+        <span style="color:#fff;font-size:18px;font-weight:700">ROOF <span style="color:#00bd70">MRI</span></span>
+      </div>
+      <div style="padding:24px;background:#fff;border:1px solid #e2e8f0">
+        <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">Hi ${proposal.contact_name},</p>
+        <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">Thank you for choosing Roof MRI Enterprise training. Your invoice <strong>${number}</strong> for <strong>${amountFormatted}</strong> is attached, payable net ${invoice.net_days} (due ${dueDate}).</p>
+        <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">ACH and wire instructions are on the invoice. Please include the invoice number as your payment reference.</p>
+        ${invoice.hosted_invoice_url ? `<p style="text-align:center;margin:24px 0"><a href="${invoice.hosted_invoice_url}" style="display:inline-block;padding:12px 28px;background:#00bd70;color:#fff;border-radius:6px;text-decoration:none;font-weight:700">Pay Online</a></p>` : ''}
+        <p style="font-size:14px;color:#1B2A4A;font-weight:600;margin:0">Adam Capps</p>
+        <p style="font-size:13px;color:#64748b;margin:2px 0 0 0">Founder, Roof MRI & ReDry</p>
+      </div>
+    </div>`,
+    attachments: [{
+      content: pdf.toString('base64'),
+      filename: `Roof-MRI-Invoice-${number}.pdf`,
+      type: 'application/pdf',
+      disposition: 'attachment',
+    }],
+  });
+}
+
+// ── Refunds & disputes ───────────────────────────────────────────
+// Stripe reports both on the charge. Refunded and disputed amounts are kept per charge in
+// stripe_charges, and the proposal's state follows the total returned to the client.
+const REFUNDABLE_STATUSES = ['partially_paid', 'paid', 'partially_refunded'];
+const REFUND_REASONS = ['requested_by_customer', 'duplicate', 'fraudulent'];
+
+// The proposal a PaymentIntent paid for: our own records first, then the metadata
+// copied onto the PaymentIntent at checkout
+async function findProposalForPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return null;
+  const { rows } = await pool.query(
+    `SELECT p.* FROM proposals p WHERE p.id = (
+       SELECT id FROM proposals WHERE stripe_payment_intent_id = $1
+       UNION SELECT proposal_id FROM payment_installments WHERE stripe_payment_intent_id = $1
+       UNION SELECT proposal_id FROM invoices WHERE stripe_payment_intent_id = $1
+       LIMIT 1)`,
+    [paymentIntentId]
+  );
+  if (rows[0]) return rows[0];
+  const intent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  if (!intent.metadata?.proposal_id) return null;
+  const { rows: byMetadata } = await pool.query('SELECT * FROM proposals WHERE id = $1', [intent.metadata.proposal_id]);
+  return byMetadata[0] || null;
+}
+
+// What the client has paid in total, in cents
+async function collectedCents(proposal) {
+  // The package amount plus whatever tax and processing fee checkout added to it
+  const charged = (amount, row) => Math.round((Number(amount) + Number(row.tax_amount || 0) + Number(row.processing_fee || 0)) * 100);
+  const installments = await getInstallments(proposal.id);
+  if (installments.length === 0) return charged(proposal.total_price, proposal);
+  return installments.filter(i => i.status === 'paid').reduce((sum, i) => sum + charged(i.amount, i), 0);
+}
+
+// Refunds plus lost disputes, in cents
+async function returnedCents(proposalId) {
+  const { rows } = await pool.query(
+    `SELECT COALESCE(SUM(amount_refunded + CASE WHEN dispute_status = 'lost' THEN COALESCE(dispute_amount, 0) ELSE 0 END), 0)::int AS cents
+     FROM stripe_charges WHERE proposal_id = $1`,
+    [proposalId]
+  );
+  return rows[0].cents;
+}
+
+// Move the proposal to refunded or partially_refunded according to the total returned
+async function applyReturnedAmount(proposal, payload) {
+  const [returned, collected] = await Promise.all([returnedCents(proposal.id), collectedCents(proposal)]);
+  const p = await transitionProposal(proposal.id, returned >= collected ? 'refunded' : 'partially_refunded', {
+    actor: 'stripe', payload: { ...payload, total_returned: returned }, set: { amount_refunded: returned / 100 },
+  });
+  if (!p) console.warn(`Ignored ${payload.event_type} for proposal ${proposal.id}: status ${proposal.status} does not allow it`);
+  return p;
+}
+
+// Stripe payments that can still be refunded, newest first: [{ paymentIntentId, remaining, refunded }] in cents
+async function refundablePayments(proposal) {
+  const installments = await getInstallments(proposal.id);
+  let intentIds = installments.filter(i => i.status === 'paid').reverse().map(i => i.stripe_payment_intent_id);
+  if (installments.length === 0) {
+    const invoice = await getInvoice(proposal.id);
+    let intentId = proposal.stripe_payment_intent_id || invoice?.stripe_payment_intent_id || null;
+    // Proposals paid before PaymentIntents were recorded still have their session
+    if (!intentId && proposal.stripe_session_id && !invoice) {
+      intentId = (await stripe.checkout.sessions.retrieve(proposal.stripe_session_id)).payment_intent;
+    }
+    intentIds = [intentId];
+  }
+
+  const payments = [];
+  for (const paymentIntentId of intentIds.filter(Boolean)) {
+    const intent = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
+    const charge = intent.latest_charge;
+    if (!charge || charge.disputed || charge.status !== 'succeeded') continue;
+    const remaining = charge.amount - charge.amount_refunded;
+    if (remaining > 0) payments.push({ paymentIntentId, remaining, refunded: charge.amount_refunded });
+  }
+  return payments;
+}
+
+// Refund and dispute alerts for Adam (the client hears from Stripe or their bank)
+async function notifyPaymentIssue(proposal, subject, message) {
+  await sgMail.send({
+    to: 'adam@re-dry.com',
+    from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
+    subject: `${subject}: ${escapeHtml(proposal.company)} - ${escapeHtml(proposal.contact_name)}`,
+    html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
+      <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
+        <span style="color:#fff;font-size:16px;font-weight:700">ROOF <span style="color:#00bd70">MRI</span></span>
+      </div>
+      <div style="padding:20px;background:#fff;border:1px solid #e2e8f0">
+        <p style="font-size:14px;color:#374151">${message}</p>
+        <p style="font-size:13px;color:#64748b">${escapeHtml(proposal.company)} | Proposal ${proposal.proposal_num || proposal.id}</p>
+      </div>
+    </div>`
+  });
+}
+
+// charge.refunded and charge.dispute.created/closed. Charge events carry the Charge,
+// dispute events the Dispute; both name the PaymentIntent.
+async function handleChargeEvent(event) {
+  const obj = event.data.object;
+  const isDispute = event.type.startsWith('charge.dispute.');
+  const chargeId = isDispute ? obj.charge : obj.id;
+  const proposal = await findProposalForPaymentIntent(obj.payment_intent);
+  if (!proposal) {
+    console.warn(`Ignored ${event.type} for charge ${chargeId}: no matching proposal`);
+    return;
+  }
+  const basePayload = { event_id: event.id, event_type: event.type, charge_id: chargeId };
+  const format = moneyFormat(proposal);
+  const money = cents => format(cents / 100);
+
+  if (event.type === 'charge.refunded') {
+    await pool.query(
+      `INSERT INTO stripe_charges (id, proposal_id, payment_intent_id, amount, amount_refunded) VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (id) DO UPDATE SET amount = EXCLUDED.amount,
+         amount_refunded = GREATEST(stripe_charges.amount_refunded, EXCLUDED.amount_refunded), updated_at = NOW()`,
+      [chargeId, proposal.id, obj.payment_intent, obj.amount, obj.amount_refunded]
+    );
+    const p = await applyReturnedAmount(proposal, { ...basePayload, amount_refunded: obj.amount_refunded });
+    if (p) {
+      await notifyPaymentIssue(p, p.status === 'refunded' ? 'REFUNDED' : 'PARTIAL REFUND',
+        `<strong>Refund processed.</strong> ${money(obj.amount_refunded)} of a ${money(obj.amount)} charge has been refunded; ${money(Math.round(Number(p.amount_refunded) * 100))} returned in total.`);
+    }
+    return;
+  }
+
+  await pool.query(
+    `INSERT INTO stripe_charges (id, proposal_id, payment_intent_id, dispute_id, dispute_status, dispute_amount) VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (id) DO UPDATE SET dispute_id = EXCLUDED.dispute_id, dispute_status = EXCLUDED.dispute_status,
+       dispute_amount = EXCLUDED.dispute_amount, updated_at = NOW()`,
+    [chargeId, proposal.id, obj.payment_intent, obj.id, obj.status, obj.amount]
+  );
+  const disputePayload = { ...basePayload, dispute_id: obj.id, dispute_status: obj.status, amount: obj.amount, reason: obj.reason };
+  const disputeLink = `<a href="https://dashboard.stripe.com/disputes/${obj.id}" style="color:#00bd70">Stripe</a>`;
+
+  if (event.type === 'charge.dispute.created') {
+    const dueBy = obj.evidence_details?.due_by ? new Date(obj.evidence_details.due_by * 1000) : null;
+    const p = await transitionProposal(proposal.id, 'disputed', {
+      actor: 'stripe', payload: { ...disputePayload, evidence_due_by: dueBy },
+    });
+    if (!p) {
+      console.warn(`Ignored ${event.type} for proposal ${proposal.id}: status ${proposal.status} does not allow it`);
+      return;
+    }
+    await notifyPaymentIssue(p, 'DISPUTE OPENED',
+      `<strong>The client's bank has opened a dispute</strong> for ${money(obj.amount)} (reason: ${obj.reason.replace(/_/g, ' ')}).` +
+      `${dueBy ? ` Evidence is due by ${dateFormat(proposal)(dueBy)}.` : ''} Respond in ${disputeLink}.`);
+    return;
+  }
+
+  // charge.dispute.closed: a lost dispute returns the money to the client; otherwise
+  // the proposal goes back to where it was before the dispute
+  let p;
+  if (obj.status === 'lost') {
+    p = await applyReturnedAmount(proposal, disputePayload);
+  } else {
+    const { rows: last } = await pool.query(
+      `SELECT from_status FROM proposal_events
+       WHERE proposal_id = $1 AND to_status = 'disputed' ORDER BY created_at DESC LIMIT 1`,
+      [proposal.id]
+    );
+    p = await transitionProposal(proposal.id, last[0]?.from_status || 'paid', { actor: 'stripe', payload: disputePayload });
+    if (!p) console.warn(`Ignored ${event.type} for proposal ${proposal.id}: status ${proposal.status} does not allow it`);
+  }
+  if (p) {
+    await notifyPaymentIssue(p, obj.status === 'lost' ? 'DISPUTE LOST' : 'DISPUTE CLOSED',
+      `<strong>Dispute closed: ${obj.status.replace(/_/g, ' ')}.</strong> ${obj.status === 'lost' ? `${money(obj.amount)} has been returned to the client.` : 'The payment stands.'} Details in ${disputeLink}.`);
+  }
+}
+
+// ── Stripe reconciliation ────────────────────────────────────────
+// A lost webhook, or one that failed after its event was recorded in webhook_events (so
+// Stripe's retries look like duplicates), leaves a proposal waiting on money Stripe already
+// has. This compares every Checkout session still in play with Stripe and applies what the
+// webhook would have. Runs every RECONCILE_INTERVAL_MINUTES (0 disables) and on demand
+// from POST /api/admin/reconcile-payments.
+const RECONCILE_INTERVAL_MINUTES = parseInt(process.env.RECONCILE_INTERVAL_MINUTES ?? '60') || 0;
+// Checkout sessions expire after a day, but ACH transfers can take a week to settle
+const RECONCILE_LOOKBACK_DAYS = 30;
+// ('expired' for signed proposals that expired before signed ones stopped expiring)
+const AWAITING_PAYMENT_STATUSES = ['signed', 'payment_processing', 'failed', 'partially_paid', 'expired'];
+
+// What Stripe says happened to a session: 'paid', 'processing', 'failed' or null (nothing yet)
+function stripeSessionOutcome(session) {
+  if (session.payment_status === 'paid' || session.payment_intent?.status === 'succeeded') return 'paid';
+  if (session.status !== 'complete') return null;
+  if (session.payment_intent?.status === 'processing') return 'processing';
+  if (['requires_payment_method', 'canceled'].includes(session.payment_intent?.status)) return 'failed';
+  return null;
+}
+
+async function reconcileStripePayments() {
+  // Every session that may still change a proposal awaiting payment: the current one on the
+  // proposal and its unpaid installments, plus any recent earlier attempt (a client who
+  // paid, never saw the confirmation and started another checkout)
+  const { rows: candidates } = await pool.query(
+    `SELECT DISTINCT s.session_id, s.proposal_id FROM (
+       SELECT stripe_session_id AS session_id, id AS proposal_id FROM proposals WHERE stripe_session_id IS NOT NULL
+       UNION SELECT stripe_session_id, proposal_id FROM payment_installments WHERE stripe_session_id IS NOT NULL AND status <> 'paid'
+       UNION SELECT payload->>'session_id', proposal_id FROM proposal_events
+             WHERE event_type = 'checkout_created' AND created_at > NOW() - make_interval(days => $2)
+     ) s JOIN proposals p ON p.id = s.proposal_id
+     WHERE s.session_id IS NOT NULL AND p.status = ANY($1)`,
+    [AWAITING_PAYMENT_STATUSES, RECONCILE_LOOKBACK_DAYS]
+  );
+
+  const changes = [];
+  const errors = [];
+  for (const { session_id: sessionId, proposal_id: proposalId } of candidates) {
+    try {
+      const session = await stripe.checkout.sessions.retrieve(sessionId, { expand: ['payment_intent'] });
+      const outcome = stripeSessionOutcome(session);
+      if (!outcome || session.metadata?.proposal_id !== proposalId) continue;
+
+      const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [proposalId]);
+      const proposal = rows[0];
+      const installmentId = session.metadata.installment_id;
+      const installment = installmentId ? (await getInstallments(proposalId)).find(i => String(i.id) === installmentId) : null;
+      if (installmentId && !installment) continue;
+
+      // Money received counts from any session; a processing or failed attempt only matters
+      // while it's still the one the proposal (or installment) is waiting on
+      const current = installment || proposal;
+      const recorded = installment ? installment.status : proposal.status;
+      const inSync = {
+        paid: recorded === 'paid',
+        processing: recorded === 'processing' || recorded === 'payment_processing',
+        failed: recorded === 'failed',
+      }[outcome];
+      if (inSync || (outcome !== 'paid' && current.stripe_session_id !== session.id)) continue;
+
+      const source = {
+        actor: 'reconciliation',
+        payload: { event_type: 'reconciliation', session_id: session.id, payment_intent_status: session.payment_intent?.status ?? null },
+      };
+      const apply = { paid: applySessionPaid, processing: applySessionProcessing, failed: applySessionFailed }[outcome];
+      const updated = await apply(session, source);
+      if (updated || installment) {
+        changes.push({
+          proposal_id: proposalId, company: proposal.company, session_id: session.id,
+          installment: installment?.label ?? null, stripe_state: outcome,
+          from_status: proposal.status, to_status: updated ? updated.status : proposal.status,
+        });
+      }
+    } catch (err) {
+      console.error(`Reconciliation failed for session ${sessionId}:`, err);
+      errors.push({ proposal_id: proposalId, session_id: sessionId, error: err.message });
+    }
+  }
+
+  if (changes.length > 0) console.log(`Stripe reconciliation: ${changes.length} change(s) across ${candidates.length} session(s)`);
+  return { checked: candidates.length, changes, errors };
+}
+
+// One run at a time; an admin request during a scheduled run gets that run's report
+let reconcileInFlight = null;
+function runReconciliation() {
+  if (!reconcileInFlight) {
+    reconcileInFlight = reconcileStripePayments().finally(() => { reconcileInFlight = null; });
+  }
+  return reconcileInFlight;
+}
+
+// ── Proposal expiry ──────────────────────────────────────────────
+const DEFAULT_EXPIRY_DAYS = parseInt(process.env.PROPOSAL_EXPIRY_DAYS) || 30;
+
+// Only an offer still waiting on the client expires; once signed, payment can take as long as it takes
+function isExpired(proposal) {
+  return OPEN_STATUSES.includes(proposal.status) && !!proposal.expires_at && new Date(proposal.expires_at) <= new Date();
+}
+
+// Resolve an expiry from an explicit date or a number of days from now
+function resolveExpiry(expiresAt, expiresInDays) {
+  if (expiresAt) {
+    const date = new Date(expiresAt);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  const days = parseExpiryDays(expiresInDays);
+  if (days == null) return null;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+const MAX_EXPIRY_DAYS = 365;
+const EXPIRY_DAYS_ERROR = `Expiry must be a whole number of days from 1 to ${MAX_EXPIRY_DAYS}`;
+
+// Days until expiry: the default when none is given, null when what's given isn't valid
+function parseExpiryDays(value) {
+  if (value == null || value === '') return DEFAULT_EXPIRY_DAYS;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 1 && days <= MAX_EXPIRY_DAYS ? days : null;
+}
+
+// ── Proposal lifecycle ───────────────────────────────────────────
+// Every status change goes through transitionProposal(), which enforces this
+// map and writes the change to proposal_events.
+const PROPOSAL_TRANSITIONS = {
+  draft: ['sent', 'voided'],
+  // Back to 'draft' only when the proposal email fails to go out
+  sent: ['draft', 'viewed', 'configured', 'signed', 'voided', 'expired'],
+  viewed: ['configured', 'signed', 'voided', 'expired'],
+  configured: ['configured', 'signed', 'voided', 'expired'],
+  signed: ['payment_processing', 'partially_paid', 'invoiced', 'paid', 'failed', 'voided'],
+  payment_processing: ['partially_paid', 'paid', 'failed'],
+  failed: ['payment_processing', 'partially_paid', 'paid', 'voided'],
+  // Some installments of a payment schedule paid; stays here until the last one clears
+  partially_paid: ['payment_processing', 'partially_paid', 'paid', 'partially_refunded', 'refunded', 'disputed'],
+  // Enterprise invoice issued on net terms; paid via Stripe or marked paid by an admin,
+  // or voided along with its invoice
+  invoiced: ['paid', 'voided'],
+  paid: ['partially_refunded', 'refunded', 'disputed'],
+  partially_refunded: ['partially_refunded', 'refunded', 'disputed'],
+  // A chargeback: won (or closed with a warning) returns to the prior state, lost counts as refunded
+  disputed: ['partially_paid', 'paid', 'partially_refunded', 'refunded'],
+  refunded: [],
+  voided: [],
+  // Reopening an expired proposal returns it to whatever state it expired from. Signed and
+  // failed proposals used to expire too; a checkout they'd already opened still settles them.
+  expired: ['sent', 'viewed', 'configured', 'signed', 'failed', 'payment_processing', 'partially_paid', 'paid', 'voided'],
+};
+
+// Client can still configure and sign
+const OPEN_STATUSES = ['sent', 'viewed', 'configured'];
+// Client has signed (whatever has happened to payment since)
+const SIGNED_STATUSES = ['signed', 'payment_processing', 'partially_paid', 'invoiced', 'paid', 'failed',
+  'partially_refunded', 'refunded', 'disputed'];
+// payment_status mirrors the payment-related states for the dashboard and payment polling
+const PAYMENT_STATUS_FOR = { payment_processing: 'processing', partially_paid: 'partial', invoiced: 'invoiced', paid: 'paid', failed: 'failed',
+  partially_refunded: 'partially_refunded', refunded: 'refunded', disputed: 'disputed' };
+
+function adminActor(req) {
+  return req.adminUser ? req.adminUser.email : 'api_key';
+}
+
+async function recordProposalEvent(proposalId, eventType, { fromStatus = null, toStatus = null, actor = 'system', ip = null, payload = null } = {}, db = pool) {
+  await db.query(
+    `INSERT INTO proposal_events (proposal_id, event_type, from_status, to_status, actor, ip, payload)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [proposalId, eventType, fromStatus, toStatus, actor, ip, payload ? JSON.stringify(payload) : null]
+  );
+}
+
+// Atomically move a proposal to `to` if its current status allows it, applying any
+// extra column updates in `set`. Returns the updated row, or null if the
+// transition isn't allowed from the current status (or the proposal doesn't exist).
+async function transitionProposal(proposalId, to, { actor = 'system', ip = null, payload = null, set = {} } = {}) {
+  const allowedFrom = Object.keys(PROPOSAL_TRANSITIONS).filter(s => PROPOSAL_TRANSITIONS[s].includes(to));
+  const columns = { ...set };
+  if (PAYMENT_STATUS_FOR[to]) columns.payment_status = PAYMENT_STATUS_FOR[to];
+
+  const assignments = ['status = $1'];
+  const values = [to, proposalId, allowedFrom];
+  for (const [col, val] of Object.entries(columns)) {
+    values.push(val);
+    assignments.push(`${col} = $${values.length}`);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `WITH prev AS (SELECT id, status FROM proposals WHERE id = $2 FOR UPDATE)
+       UPDATE proposals p SET ${assignments.join(', ')}
+       FROM prev WHERE p.id = prev.id AND prev.status = ANY($3)
+       RETURNING p.*, prev.status AS from_status`,
+      values
+    );
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const { from_status: fromStatus, ...proposal } = rows[0];
+    await recordProposalEvent(proposalId, 'status_change', { fromStatus, toStatus: to, actor, ip, payload }, client);
+    await client.query('COMMIT');
+    return proposal;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Lazily flip an open proposal to 'expired' once its expiry passes
+async function expireIfDue(proposal) {
+  if (!isExpired(proposal) || !PROPOSAL_TRANSITIONS[proposal.status]?.includes('expired')) return proposal;
+  // An expired quote no longer holds a use of its discount code; reopening takes it back
+  const expired = await transitionProposal(proposal.id, 'expired', {
+    payload: { expires_at: proposal.expires_at, ...(proposal.discount_code ? { released_discount_code: proposal.discount_code } : {}) },
+  });
+  if (!expired) return proposal;
+  await releaseDiscountCode(proposal.discount_code);
+  return expired;
+}
+
+// The discount code whose use a proposal gave back when it last expired, if any
+async function discountReleasedOnExpiry(proposalId) {
+  const { rows } = await pool.query(
+    `SELECT payload->>'released_discount_code' AS code FROM proposal_events
+     WHERE proposal_id = $1 AND to_status = 'expired' ORDER BY created_at DESC LIMIT 1`,
+    [proposalId]
+  );
+  return rows[0]?.code || null;
+}
+
+// Sends the right error for a client action on a proposal that is no longer open
+// (signed, withdrawn or expired). Returns the response if one was sent.
+function rejectIfClosed(res, proposal) {
+  if (SIGNED_STATUSES.includes(proposal.status)) {
+    return res.status(409).json({ error: 'This proposal has already been signed' });
+  }
+  if (proposal.status === 'voided') {
+    return res.status(410).json({ error: 'This proposal has been withdrawn. Please contact adam@re-dry.com for an updated quote.', voided: true });
+  }
+  if (proposal.status === 'expired' || isExpired(proposal)) return sendExpired(res, proposal);
+  if (!OPEN_STATUSES.includes(proposal.status)) {
+    return res.status(409).json({ error: 'This proposal is not open for changes' });
+  }
+  return null;
+}
+
+function sendExpired(res, proposal) {
+  const date = dateFormat(proposal)(proposal.expires_at);
+  return res.status(410).json({
+    error: `This proposal expired on ${date}. Please request a new quote.`,
+    expired: true,
+  });
+}
+
+// ── View analytics ───────────────────────────────────────────────
+// Sections of the proposal page whose expansion is worth reporting
+const TRACKED_SECTIONS = ['terms', 'comparison', 'configurator'];
+// Ignore beacons claiming more than this – a tab left open overnight isn't engagement
+const MAX_VIEW_SECONDS = 4 * 60 * 60;
+
+function deviceType(userAgent) {
+  if (!userAgent) return 'unknown';
+  if (/bot|crawler|spider|preview|headless/i.test(userAgent)) return 'bot';
+  if (/ipad|tablet|kindle|silk|android(?!.*mobile)/i.test(userAgent)) return 'tablet';
+  if (/mobi|iphone|ipod|android/i.test(userAgent)) return 'mobile';
+  return 'desktop';
+}
+
+// Salted so stored hashes can tell repeat visitors apart without keeping raw IPs
+function hashIp(ip) {
+  if (!ip) return null;
+  const salt = process.env.IP_HASH_SALT || process.env.JWT_SECRET || '';
+  return crypto.createHash('sha256').update(`${salt}:${ip}`).digest('hex');
+}
+
+async function recordProposalView(proposalId, req) {
+  const id = generateId();
+  const userAgent = req.get('user-agent') || null;
+  await pool.query(
+    `INSERT INTO proposal_views (id, proposal_id, user_agent, device_type, ip_hash) VALUES ($1, $2, $3, $4, $5)`,
+    [id, proposalId, userAgent, deviceType(userAgent), hashIp(req.ip)]
+  );
+  return id;
+}
+
 // ── Admin login rate limiter ─────────────────────────────────────
 const loginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -1146,146 +3457,807 @@ app.post('/api/admin/login', loginLimiter, async (req, res) => {
       return res.status(403).json({ error: 'Only @re-dry.com email addresses are allowed' });
     }
 
-    if (!process.env.JWT_SECRET) {
-      return res.status(500).json({ error: 'JWT_SECRET env var is not set' });
+    if (!process.env.JWT_SECRET) {
+      return res.status(500).json({ error: 'JWT_SECRET env var is not set' });
+    }
+
+    const { rows } = await pool.query(
+      'SELECT * FROM admin_users WHERE email = $1',
+      [email.toLowerCase().trim()]
+    );
+
+    if (rows.length === 0) {
+      // Prevent timing attacks: always hash even on miss
+      await bcrypt.hash(password, 12);
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const user = rows[0];
+    const match = await bcrypt.compare(password, user.password_hash);
+    if (!match) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const token = jwt.sign(
+      { sub: user.id, email: user.email },
+      process.env.JWT_SECRET,
+      { expiresIn: '90d' }
+    );
+
+    res.json({ success: true, token });
+  } catch (err) {
+    console.error('Admin login error:', err);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// ── GET /api/admin/me ──────────────────────────────────────────────
+// Verify token validity and return current admin info
+app.get('/api/admin/me', requireAdmin, (req, res) => {
+  if (!req.adminUser) {
+    return res.json({ authenticated: true, method: 'api_key' });
+  }
+  res.json({ authenticated: true, method: 'jwt', email: req.adminUser.email });
+});
+
+// ── GET /api/admin/price-books ─────────────────────────────────────
+// All price book versions, newest first, with which one is currently in effect per currency
+app.get('/api/admin/price-books', requireAdmin, async (req, res) => {
+  try {
+    const currencies = Object.keys(CURRENCIES);
+    const [{ rows }, ...current] = await Promise.all([
+      pool.query('SELECT * FROM price_books ORDER BY version DESC'),
+      ...currencies.map(currency => getPriceBook(null, currency)),
+    ]);
+    const currentVersions = Object.fromEntries(currencies.map((currency, i) => [currency, current[i] ? current[i].version : null]));
+    const now = new Date();
+    const priceBooks = rows.map(pb => ({
+      ...pb,
+      locale: CURRENCIES[pb.currency]?.locale,
+      status: pb.version === currentVersions[pb.currency] ? 'current'
+        : new Date(pb.effective_at) > now ? 'scheduled' : 'superseded',
+    }));
+    res.json({ priceBooks, currentVersions, currencies: CURRENCIES });
+  } catch (err) {
+    console.error('Error listing price books:', err);
+    res.status(500).json({ error: 'Failed to list price books' });
+  }
+});
+
+// ── POST /api/admin/price-books ────────────────────────────────────
+// Create a new price book version, in US dollars unless a currency is given. Existing
+// versions are never edited so proposals keep the rates they were quoted under.
+app.post('/api/admin/price-books', requireAdmin, async (req, res) => {
+  try {
+    const { catalog } = req.body;
+    const { currency, error } = parseCurrency(req.body.currency);
+    if (error) return res.status(400).json({ error });
+    const effectiveAt = req.body.effectiveAt ? new Date(req.body.effectiveAt) : new Date();
+    if (isNaN(effectiveAt.getTime())) {
+      return res.status(400).json({ error: 'Invalid effective date' });
+    }
+    const invalid = validateCatalog(catalog);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { rows } = await pool.query(
+      `INSERT INTO price_books (version, catalog, effective_at, created_by, currency)
+       SELECT COALESCE(MAX(version), 0) + 1, $1, $2, $3, $4 FROM price_books
+       RETURNING *`,
+      [JSON.stringify(catalog), effectiveAt, adminActor(req), currency]
+    );
+    res.json({ success: true, priceBook: rows[0] });
+  } catch (err) {
+    console.error('Error creating price book:', err);
+    res.status(500).json({ error: 'Failed to create price book' });
+  }
+});
+
+// ── GET /api/admin/discount-codes ─────────────────────────────────
+// All discount codes, newest first
+app.get('/api/admin/discount-codes', requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM discount_codes ORDER BY created_at DESC');
+    res.json({ discountCodes: rows.map(d => ({ ...d, value: Number(d.value), description: describeDiscount(d) })) });
+  } catch (err) {
+    console.error('Error listing discount codes:', err);
+    res.status(500).json({ error: 'Failed to list discount codes' });
+  }
+});
+
+// ── POST /api/admin/discount-codes ────────────────────────────────
+// Create a code: { code, kind: 'percent' | 'fixed', value, currency?, tiers?, expiresAt?, maxUses? }
+// (a fixed amount is in one currency, US dollars by default)
+app.post('/api/admin/discount-codes', requireAdmin, async (req, res) => {
+  try {
+    const input = { ...req.body, maxUses: req.body.maxUses ?? null, tiers: req.body.tiers?.length ? req.body.tiers : null };
+    const { currency, error } = parseCurrency(input.currency);
+    if (error) return res.status(400).json({ error });
+    const invalid = validateDiscountCode(input, (await getPriceBook()).catalog);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { rows } = await pool.query(
+      `INSERT INTO discount_codes (code, kind, value, tiers, expires_at, max_uses, created_by, currency)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) ON CONFLICT (code) DO NOTHING RETURNING *`,
+      [normalizeDiscountCode(input.code), input.kind, Number(input.value), input.tiers, input.expiresAt || null, input.maxUses, adminActor(req),
+        input.kind === 'fixed' ? currency : null]
+    );
+    if (rows.length === 0) return res.status(409).json({ error: 'A discount code with that name already exists' });
+    res.json({ success: true, discountCode: rows[0] });
+  } catch (err) {
+    console.error('Error creating discount code:', err);
+    res.status(500).json({ error: 'Failed to create discount code' });
+  }
+});
+
+// ── POST /api/admin/discount-codes/:code/deactivate ───────────────
+// Stop a code being added to more proposals (proposals already holding it keep it)
+app.post('/api/admin/discount-codes/:code/deactivate', requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'UPDATE discount_codes SET active = false WHERE code = $1 RETURNING *',
+      [normalizeDiscountCode(req.params.code)]
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'Discount code not found' });
+    res.json({ success: true, discountCode: rows[0] });
+  } catch (err) {
+    console.error('Error deactivating discount code:', err);
+    res.status(500).json({ error: 'Failed to deactivate discount code' });
+  }
+});
+
+// ── GET /api/admin/tax-rates ──────────────────────────────────────
+// Sales tax rates by state, plus the processing fees set in the environment
+app.get('/api/admin/tax-rates', requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM tax_rates ORDER BY state');
+    res.json({
+      taxRates: rows.map(r => ({ ...r, rate: Number(r.rate) })),
+      cardSurchargePercent: PROCESSING_FEES.cardSurchargePercent,
+      achDiscountPercent: PROCESSING_FEES.achDiscountPercent,
+    });
+  } catch (err) {
+    console.error('Error listing tax rates:', err);
+    res.status(500).json({ error: 'Failed to list tax rates' });
+  }
+});
+
+// ── PUT /api/admin/tax-rates/:state ───────────────────────────────
+// Set a state's sales tax: { rate (percent), label? }. Applies to checkouts from now on.
+app.put('/api/admin/tax-rates/:state', requireAdmin, async (req, res) => {
+  try {
+    const state = String(req.params.state).toUpperCase();
+    if (!US_STATES.includes(state)) return res.status(400).json({ error: 'State must be a two-letter US state code' });
+    const rate = Number(req.body.rate);
+    if (!Number.isFinite(rate) || rate <= 0 || rate > 20) return res.status(400).json({ error: 'Rate must be a percentage between 0 and 20' });
+    const label = typeof req.body.label === 'string' && req.body.label.trim() ? req.body.label.trim().slice(0, 60) : null;
+
+    const { rows } = await pool.query(
+      `INSERT INTO tax_rates (state, rate, label, updated_by) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (state) DO UPDATE SET rate = EXCLUDED.rate, label = EXCLUDED.label, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+       RETURNING *`,
+      [state, rate, label, adminActor(req)]
+    );
+    res.json({ success: true, taxRate: { ...rows[0], rate: Number(rows[0].rate) } });
+  } catch (err) {
+    console.error('Error saving tax rate:', err);
+    res.status(500).json({ error: 'Failed to save tax rate' });
+  }
+});
+
+// ── DELETE /api/admin/tax-rates/:state ────────────────────────────
+// Stop charging sales tax for a state
+app.delete('/api/admin/tax-rates/:state', requireAdmin, async (req, res) => {
+  try {
+    const { rowCount } = await pool.query('DELETE FROM tax_rates WHERE state = $1', [String(req.params.state).toUpperCase()]);
+    if (rowCount === 0) return res.status(404).json({ error: 'No tax rate for that state' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing tax rate:', err);
+    res.status(500).json({ error: 'Failed to remove tax rate' });
+  }
+});
+
+// ── GET /api/admin/terms ───────────────────────────────────────────
+// All terms versions, newest first
+app.get('/api/admin/terms', requireAdmin, async (req, res) => {
+  try {
+    const [{ rows }, current] = await Promise.all([
+      pool.query('SELECT * FROM terms_versions ORDER BY version DESC'),
+      getTermsVersion(),
+    ]);
+    res.json({ terms: rows, currentVersion: current ? current.version : null });
+  } catch (err) {
+    console.error('Error listing terms:', err);
+    res.status(500).json({ error: 'Failed to list terms' });
+  }
+});
+
+// ── POST /api/admin/terms ──────────────────────────────────────────
+// Publish a new terms version. New proposals are sent with it; existing ones keep theirs.
+// Publishing clears the working draft.
+app.post('/api/admin/terms', requireAdmin, async (req, res) => {
+  try {
+    const { sections } = req.body;
+    const invalid = validateTermsSections(sections);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { rows } = await pool.query(
+      `INSERT INTO terms_versions (version, sections, created_by)
+       SELECT COALESCE(MAX(version), 0) + 1, $1, $2 FROM terms_versions
+       RETURNING *`,
+      [JSON.stringify(sections), adminActor(req)]
+    );
+    await pool.query('DELETE FROM terms_drafts');
+    res.json({ success: true, terms: rows[0] });
+  } catch (err) {
+    console.error('Error publishing terms:', err);
+    res.status(500).json({ error: 'Failed to publish terms' });
+  }
+});
+
+// ── GET /api/admin/terms/draft ─────────────────────────────────────
+app.get('/api/admin/terms/draft', requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM terms_drafts');
+    res.json({ draft: rows[0] || null });
+  } catch (err) {
+    console.error('Error loading terms draft:', err);
+    res.status(500).json({ error: 'Failed to load terms draft' });
+  }
+});
+
+// ── PUT /api/admin/terms/draft ─────────────────────────────────────
+// Save the working draft. It can be incomplete – it's only validated on publish.
+app.put('/api/admin/terms/draft', requireAdmin, async (req, res) => {
+  try {
+    const { sections, baseVersion } = req.body;
+    if (!Array.isArray(sections)) return res.status(400).json({ error: 'Draft sections must be a list' });
+
+    const { rows } = await pool.query(
+      `INSERT INTO terms_drafts (id, sections, base_version, updated_by, updated_at)
+       VALUES (1, $1, $2, $3, NOW())
+       ON CONFLICT (id) DO UPDATE SET sections = $1, base_version = $2, updated_by = $3, updated_at = NOW()
+       RETURNING *`,
+      [JSON.stringify(sections), parseInt(baseVersion) || null, adminActor(req)]
+    );
+    res.json({ success: true, draft: rows[0] });
+  } catch (err) {
+    console.error('Error saving terms draft:', err);
+    res.status(500).json({ error: 'Failed to save terms draft' });
+  }
+});
+
+// ── DELETE /api/admin/terms/draft ──────────────────────────────────
+app.delete('/api/admin/terms/draft', requireAdmin, async (req, res) => {
+  try {
+    await pool.query('DELETE FROM terms_drafts');
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error discarding terms draft:', err);
+    res.status(500).json({ error: 'Failed to discard terms draft' });
+  }
+});
+
+// ── POST /api/admin/terms/preview ──────────────────────────────────
+// Render terms sections (e.g. an unsaved draft) in the contract PDF layout for a sample client
+app.post('/api/admin/terms/preview', requireAdmin, async (req, res) => {
+  try {
+    const { sections } = req.body;
+    const invalid = validateTermsSections(sections);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const priceBook = await getPriceBook();
+    const sample = {
+      id: 'PREVIEW', proposal_num: 'PREVIEW', company: 'Sample Client LLC', contact_name: 'Sample Contact',
+      tier: 'professional', total_price: priceBook.catalog.tiers.professional.basePrice,
+      extra_trainees: 0, extra_kits: 0, tracks: [], videography: false, on_roof_day: false,
+    };
+    const pdf = await buildContractPdf(sample, priceBook.catalog, sections);
+    res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': 'inline; filename="Terms-Preview.pdf"' });
+    res.send(pdf);
+  } catch (err) {
+    console.error('Error rendering terms preview:', err);
+    res.status(500).json({ error: 'Failed to render terms preview' });
+  }
+});
+
+// ── Proposal drafts ──────────────────────────────────────────────
+// Proposals are saved as drafts and emailed by a separate send (send-proposal does both
+// in one go). A draft can be edited and its email and PDF previewed exactly as the client
+// will get them; an expiry given in days starts counting when it's sent.
+
+// Validate the send form (camelCase or snake_case fields). Returns { error } or the
+// normalized fields saveProposalDraft() takes.
+function parseProposalInput(body) {
+  const data = { ...body };
+  // Normalize field names (accept both snake_case and camelCase)
+  // Use ?? so falsy values like 0 and false are preserved correctly
+  data.contactName = data.contactName ?? data.contact_name;
+  data.company = data.company ?? data.company_name;
+  data.email = data.email ?? data.contact_email;
+  data.contactPhone = data.contactPhone ?? data.contact_phone;
+  data.letClientChoose = data.letClientChoose ?? data.let_client_choose;
+  data.extraTrainees = data.extraTrainees ?? data.extra_trainees;
+  data.extraKits = data.extraKits ?? data.extra_kits;
+  data.onRoofDay = data.onRoofDay ?? data.on_roof_day;
+  data.tierPrice = data.tierPrice ?? data.tier_price;
+  data.totalPrice = data.totalPrice ?? data.total_price;
+  data.proposalNum = data.proposalNum ?? data.proposal_num;
+  data.vimeoUrl = data.vimeoUrl ?? data.vimeo_url;
+  data.professionalPrice = data.professionalPrice ?? data.professional_price;
+  data.regionalPrice = data.regionalPrice ?? data.regional_price;
+  data.enterprisePrice = data.enterprisePrice ?? data.enterprise_price;
+  data.expiresAt = data.expiresAt ?? data.expires_at;
+  data.expiresInDays = data.expiresInDays ?? data.expires_in_days;
+  data.termOverrides = data.termOverrides ?? data.term_overrides;
+  data.signingOrder = data.signingOrder ?? data.signing_order;
+  data.paymentSchedule = data.paymentSchedule ?? data.payment_schedule;
+  data.discountCode = data.discountCode ?? data.discount_code;
+  data.billingAddress = data.billingAddress ?? data.billing_address;
+
+  if (!data.email || !data.contactName || !data.company) {
+    return { error: 'Missing required fields: email, contactName, and company are required' };
+  }
+  if (!isValidEmail(data.email)) return { error: 'Invalid email address' };
+  const signers = data.signers ?? [];
+  const invalidSigners = validateSigners(signers);
+  if (invalidSigners) return { error: invalidSigners };
+  if (signers.length > 0 && data.signingOrder != null && !SIGNING_ORDERS.includes(data.signingOrder)) {
+    return { error: 'Signing order must be parallel or sequential' };
+  }
+  const signingOrder = signers.length > 0 ? data.signingOrder || 'parallel' : null;
+  const paymentSchedule = data.paymentSchedule ?? [];
+  // An empty schedule means the total is paid in one go
+  const invalidSchedule = Array.isArray(paymentSchedule) && paymentSchedule.length === 0 ? null : validatePaymentSchedule(paymentSchedule);
+  if (invalidSchedule) return { error: invalidSchedule };
+  // A fixed date stays put; a number of days counts from sending
+  const expiresInDays = data.expiresAt ? null : parseExpiryDays(data.expiresInDays);
+  if (!data.expiresAt && expiresInDays == null) return { error: EXPIRY_DAYS_ERROR };
+  const expiresAt = resolveExpiry(data.expiresAt, data.expiresInDays);
+  if (!expiresAt || expiresAt <= new Date()) return { error: 'Expiration date must be in the future' };
+  data.expiresAt = expiresAt;
+  const parsedCurrency = parseCurrency(data.currency, data.locale);
+  if (parsedCurrency.error) return { error: parsedCurrency.error };
+  data.currency = parsedCurrency.currency;
+  data.locale = parsedCurrency.locale;
+  // Optional here; the client can add or correct it before paying
+  let billingAddress = null;
+  if (data.billingAddress) {
+    const parsed = parseBillingAddress(data.billingAddress);
+    if (parsed.error) return { error: parsed.error };
+    billingAddress = parsed.address;
+  }
+
+  // Sanitize user-supplied text to prevent HTML injection in emails
+  data.contactName = escapeHtml(data.contactName);
+  data.company = escapeHtml(data.company);
+  data.email = escapeHtml(data.email);
+  if (Array.isArray(data.tracks)) {
+    data.tracks = data.tracks.map(t => escapeHtml(t));
+  }
+  return { data, signers, signingOrder, paymentSchedule, billingAddress, expiresInDays };
+}
+
+// Save a new draft, or overwrite `existing` (a draft) along with its signers and payment
+// schedule. Pins the current price book and terms, and takes a use of the discount code
+// (giving back the one it replaces). Returns { status, error } or { proposal }.
+async function saveProposalDraft(input, { existing = null, actor, ip }) {
+  const { data, signers, signingOrder, paymentSchedule, billingAddress, expiresInDays } = input;
+  // Pinned to the current price book (in the proposal's currency) and terms
+  const [priceBook, terms] = await Promise.all([getPriceBook(null, data.currency), getTermsVersion()]);
+  if (!priceBook) return { status: 400, error: `There is no price book in ${CURRENCIES[data.currency].name} yet` };
+  if (data.termOverrides != null) {
+    const invalid = validateTermOverrides(data.termOverrides, terms.sections);
+    if (invalid) return { status: 400, error: invalid };
+  }
+  const termOverrides = data.termOverrides?.length ? normalizeTermOverrides(data.termOverrides) : null;
+
+  // A discount comes off the quoted total now, or off the package once the client picks one
+  let discount = null;
+  let claim = null;
+  if (data.discountCode) {
+    discount = await getDiscountCode(data.discountCode);
+    // A draft keeping its code already holds one of its uses
+    const keepsCode = !!discount && discount.code === existing?.discount_code;
+    const problem = discountCodeProblem(keepsCode ? { ...discount, max_uses: null } : discount, data.letClientChoose ? null : data.tier, data.currency);
+    if (problem) return { status: 400, error: problem };
+    if (!keepsCode) claim = discount.code;
+  }
+  let discountAmount = 0;
+  let totalPrice = data.totalPrice ?? null;
+  if (discount && !data.letClientChoose && totalPrice != null) {
+    const priced = discountedPrice(discount, data.tier, totalPrice);
+    discountAmount = priced.discount_amount;
+    totalPrice = priced.total_price;
+  }
+
+  const fields = {
+    proposal_num: data.proposalNum, contact_name: data.contactName, company: data.company, email: data.email,
+    tier: data.tier ?? null, tier_price: data.tierPrice ?? null,
+    extra_trainees: data.extraTrainees ?? 0, extra_kits: data.extraKits ?? 0,
+    tracks: data.tracks ?? [], videography: data.videography ?? false, on_roof_day: data.onRoofDay ?? false,
+    total_price: totalPrice, let_client_choose: data.letClientChoose ?? false,
+    vimeo_url: data.vimeoUrl ?? null,
+    professional_price: data.professionalPrice ?? null, regional_price: data.regionalPrice ?? null, enterprise_price: data.enterprisePrice ?? null,
+    price_book_version: priceBook.version, terms_version: terms.version,
+    term_overrides: termOverrides ? JSON.stringify(termOverrides) : null, signing_order: signingOrder,
+    expires_at: data.expiresAt, expires_in_days: expiresInDays,
+    discount_code: discount?.code ?? null, discount_amount: discountAmount,
+    billing_address: billingAddress ? JSON.stringify(billingAddress) : null, currency: data.currency, locale: data.locale,
+  };
+  const columns = Object.keys(fields);
+  // The code's use is taken in the same transaction as the write, so a failure gives it back
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    let proposal;
+    if (existing) {
+      const { rows: locked } = await client.query(
+        `SELECT discount_code FROM proposals WHERE id = $1 AND status = 'draft' FOR UPDATE`, [existing.id]
+      );
+      if (locked.length === 0) {
+        await client.query('ROLLBACK');
+        return { status: 409, error: 'Only drafts can be edited' };
+      }
+      if (locked[0].discount_code !== existing.discount_code) {
+        await client.query('ROLLBACK');
+        return { status: 409, error: 'This draft changed in the meantime; reload and try again' };
+      }
+    }
+    if (claim && !await claimDiscountCode(claim, client)) {
+      await client.query('ROLLBACK');
+      return { status: 409, error: 'That discount code has just been fully redeemed' };
+    }
+
+    if (existing) {
+      const { rows } = await client.query(
+        `UPDATE proposals SET ${columns.map((col, idx) => `${col} = $${idx + 2}`).join(', ')}
+         WHERE id = $1 RETURNING *`,
+        [existing.id, ...Object.values(fields)]
+      );
+      proposal = rows[0];
+      if (existing.discount_code !== proposal.discount_code) await releaseDiscountCode(existing.discount_code, client);
+      await client.query('DELETE FROM proposal_signers WHERE proposal_id = $1', [proposal.id]);
+      await client.query('DELETE FROM payment_installments WHERE proposal_id = $1', [proposal.id]);
+      await recordProposalEvent(proposal.id, 'draft_updated', { actor, ip }, client);
+    } else {
+      const { rows } = await client.query(
+        `INSERT INTO proposals (id, ${columns.join(', ')}, status)
+         VALUES ($1, ${columns.map((col, idx) => `$${idx + 2}`).join(', ')}, 'draft') RETURNING *`,
+        [generateId(), ...Object.values(fields)]
+      );
+      proposal = rows[0];
+      await recordProposalEvent(proposal.id, 'created', { toStatus: 'draft', actor, ip }, client);
+    }
+
+    for (const [idx, s] of signers.entries()) {
+      await client.query(
+        `INSERT INTO proposal_signers (proposal_id, position, name, email, title) VALUES ($1, $2, $3, $4, $5)`,
+        [proposal.id, idx + 1, escapeHtml(s.name.trim()), escapeHtml(s.email.trim()), s.title ? escapeHtml(s.title.trim()) : null]
+      );
+    }
+    for (const [idx, inst] of paymentSchedule.entries()) {
+      await client.query(
+        `INSERT INTO payment_installments (proposal_id, position, label, percent, due_on_signing, due_date)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [proposal.id, idx + 1, escapeHtml(inst.label.trim()), Number(inst.percent), inst.due === 'on_signing', inst.due === 'on_signing' ? null : inst.due]
+      );
+    }
+    await client.query('COMMIT');
+    return { proposal };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// When a draft sent now would expire
+function expiryOnSend(p) {
+  return p.expires_in_days ? resolveExpiry(null, p.expires_in_days) : new Date(p.expires_at);
+}
+
+// The proposal email and PDF attachment, as sendProposal() sends them
+async function buildProposalMessage(p) {
+  const [priceBook, discount] = await Promise.all([getPriceBook(p.price_book_version), getDiscountCode(p.discount_code)]);
+  const discountAmount = Number(p.discount_amount) || 0;
+  const totalPrice = p.total_price != null ? Number(p.total_price) : null;
+  // The fields buildEmail() and buildProposalPdf() read
+  const data = {
+    contactName: p.contact_name, company: p.company, tier: p.tier,
+    extraTrainees: p.extra_trainees, extraKits: p.extra_kits, tracks: p.tracks,
+    videography: p.videography, onRoofDay: p.on_roof_day, totalPrice,
+    letClientChoose: p.let_client_choose, vimeoUrl: p.vimeo_url,
+    expiresAt: p.status === 'draft' ? expiryOnSend(p) : p.expires_at,
+    discount, discountAmount, subtotalPrice: totalPrice != null ? totalPrice + discountAmount : null,
+    currency: p.currency, locale: p.locale,
+  };
+  const proposalUrl = contactLink(p.id);
+  return {
+    to: p.email,
+    subject: `Roof MRI Training Proposal for ${p.company}`,
+    html: buildEmail(data, proposalUrl, priceBook.catalog),
+    pdf: await buildProposalPdf(data, proposalUrl, priceBook.catalog),
+    filename: `Roof-MRI-Proposal-${p.company.replace(/[^a-zA-Z0-9]/g, '-')}.pdf`,
+  };
+}
+
+// Email a draft to the client, invite its signers and let Adam know. Returns
+// { status, error } or { proposal } (now 'sent').
+async function sendProposal(draft, { actor, ip }) {
+  const expiresAt = expiryOnSend(draft);
+  if (expiresAt <= new Date()) return { status: 400, error: 'This draft\u2019s expiration date has passed; edit it before sending' };
+  // Claim the send first, so a second click (or an edit racing it) can't email the client
+  // twice, and email what was claimed
+  const proposal = await transitionProposal(draft.id, 'sent', { actor, ip, payload: { to: draft.email }, set: { expires_at: expiresAt } });
+  if (!proposal) return { status: 409, error: 'This proposal was sent or voided in the meantime' };
+  try {
+    const message = await buildProposalMessage(proposal);
+    await sgMail.send({
+      to: message.to,
+      from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
+      replyTo: { email: 'adam@re-dry.com', name: 'Adam Capps' },
+      subject: message.subject,
+      html: message.html,
+      attachments: [{
+        content: message.pdf.toString('base64'),
+        filename: message.filename,
+        type: 'application/pdf',
+        disposition: 'attachment',
+      }],
+    });
+  } catch (sendErr) {
+    // Not sent after all: back to a draft that can be edited or sent again
+    await transitionProposal(draft.id, 'draft', { actor, ip, payload: { reason: 'Email failed to send' }, set: { expires_at: draft.expires_at } });
+    throw sendErr;
+  }
+
+  // Signers get their own links: everyone at once, or the first in line
+  const signers = await getSigners(proposal.id);
+  for (const signer of proposal.signing_order === 'sequential' ? signers.slice(0, 1) : signers) {
+    try {
+      await inviteSigner(proposal, signer, { actor, ip });
+    } catch (inviteErr) {
+      console.error(`Failed to invite signer ${signer.email}:`, inviteErr);
     }
+  }
 
-    const { rows } = await pool.query(
-      'SELECT * FROM admin_users WHERE email = $1',
-      [email.toLowerCase().trim()]
-    );
+  // Internal notification; the client already has the proposal, so a failure here only gets logged
+  try {
+    await notifyProposalSent(proposal);
+  } catch (notifyErr) {
+    console.error('Failed to send internal notification:', notifyErr);
+  }
+  return { proposal };
+}
 
-    if (rows.length === 0) {
-      // Prevent timing attacks: always hash even on miss
-      await bcrypt.hash(password, 12);
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
+// Let Adam know a proposal went out
+async function notifyProposalSent(proposal) {
+  await sgMail.send({
+    to: 'adam@re-dry.com',
+    from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
+    subject: `Proposal Sent: ${proposal.company} - ${proposal.contact_name}`,
+    html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
+      <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
+        <span style="color:#fff;font-size:16px;font-weight:700">ROOF <span style="color:#00bd70">MRI</span></span>
+      </div>
+      <div style="padding:20px;background:#fff;border:1px solid #e2e8f0">
+        <p style="font-size:14px;color:#374151"><strong>Proposal sent</strong> to ${proposal.email}</p>
+        <p style="font-size:13px;color:#64748b">${proposal.company} | ${proposal.tier ? proposal.tier.charAt(0).toUpperCase() + proposal.tier.slice(1) : 'Client Choice'} | ${proposal.total_price ? moneyFormat(proposal)(proposal.total_price) : 'TBD'}</p>
+        <p style="font-size:13px;color:#00bd70"><a href="${proposalLink(proposal.id)}" style="color:#00bd70;">View proposal</a></p>
+      </div>
+    </div>`
+  });
+}
 
-    const user = rows[0];
-    const match = await bcrypt.compare(password, user.password_hash);
-    if (!match) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+// Load a proposal for the draft endpoints; sends the 404/409 and returns null if it isn't a draft
+async function findDraft(res, id) {
+  const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [id]);
+  if (rows.length === 0) {
+    res.status(404).json({ error: 'Proposal not found' });
+    return null;
+  }
+  if (rows[0].status !== 'draft') {
+    res.status(409).json({ error: `This proposal has already been ${rows[0].status === 'voided' ? 'voided' : 'sent'}` });
+    return null;
+  }
+  return rows[0];
+}
+
+// Void a draft that send-proposal saved but couldn't send, giving back its discount code's use
+async function discardDraft(draft, { actor, ip }) {
+  // Once the email has gone out it's a sent proposal, whatever failed after
+  const { rows } = await pool.query('SELECT status FROM proposals WHERE id = $1', [draft.id]);
+  if (rows[0]?.status !== 'draft') return;
+  const voided = await transitionProposal(draft.id, 'voided', { actor, ip, payload: { reason: 'Sending failed' } });
+  if (voided) await releaseDiscountCode(voided.discount_code);
+}
+
+// ── POST /api/send-proposal ────────────────────────────────────────
+// Save a proposal and email it straight away
+app.post('/api/send-proposal', requireAdmin, async (req, res) => {
+  try {
+    const input = parseProposalInput(req.body);
+    if (input.error) return res.status(400).json({ error: input.error });
+    const actor = adminActor(req);
+    const saved = await saveProposalDraft(input, { actor, ip: req.ip });
+    if (saved.error) return res.status(saved.status).json({ error: saved.error });
+    let sent;
+    try {
+      sent = await sendProposal(saved.proposal, { actor, ip: req.ip });
+    } catch (sendErr) {
+      await discardDraft(saved.proposal, { actor, ip: req.ip });
+      throw sendErr;
+    }
+    if (sent.error) {
+      await discardDraft(saved.proposal, { actor, ip: req.ip });
+      return res.status(sent.status).json({ error: sent.error });
     }
 
-    const token = jwt.sign(
-      { sub: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '90d' }
-    );
+    const id = sent.proposal.id;
+    const proposalUrl = proposalLink(id);
+    res.json({ success: true, proposal: { unique_id: id, proposalId: id, proposalUrl, proposal_url: proposalUrl }, message: `Proposal sent to ${unescapeHtml(sent.proposal.email)}` });
+  } catch (err) {
+    console.error('Error:', err.response ? err.response.body : err);
+    res.status(500).json({ error: 'Failed to send proposal' });
+  }
+});
 
-    res.json({ success: true, token });
+// ── POST /api/proposals ──────────────────────────────────────────
+// Admin: save a proposal as a draft without emailing it (same fields as send-proposal)
+app.post('/api/proposals', requireAdmin, async (req, res) => {
+  try {
+    const input = parseProposalInput(req.body);
+    if (input.error) return res.status(400).json({ error: input.error });
+    const saved = await saveProposalDraft(input, { actor: adminActor(req), ip: req.ip });
+    if (saved.error) return res.status(saved.status).json({ error: saved.error });
+    res.json({ success: true, proposal: publicProposal(saved.proposal) });
   } catch (err) {
-    console.error('Admin login error:', err);
-    res.status(500).json({ error: 'Login failed' });
+    console.error('Error saving draft:', err);
+    res.status(500).json({ error: 'Failed to save draft' });
   }
 });
 
-// ── GET /api/admin/me ──────────────────────────────────────────────
-// Verify token validity and return current admin info
-app.get('/api/admin/me', requireAdmin, (req, res) => {
-  if (!req.adminUser) {
-    return res.json({ authenticated: true, method: 'api_key' });
+// ── GET /api/proposals/:id/draft ─────────────────────────────────
+// Admin: a draft's fields as the send form takes them, for editing
+app.get('/api/proposals/:id/draft', requireAdmin, async (req, res) => {
+  try {
+    const draft = await findDraft(res, req.params.id);
+    if (!draft) return;
+    const [signers, installments] = await Promise.all([getSigners(draft.id), getInstallments(draft.id)]);
+    const discountAmount = Number(draft.discount_amount) || 0;
+    res.json({
+      contactName: unescapeHtml(draft.contact_name), company: unescapeHtml(draft.company), email: unescapeHtml(draft.email),
+      proposalNum: draft.proposal_num, tier: draft.tier,
+      // The quoted price before the discount code comes off
+      totalPrice: draft.total_price != null ? Number(draft.total_price) + discountAmount : null,
+      extraTrainees: draft.extra_trainees, extraKits: draft.extra_kits, tracks: (draft.tracks || []).map(unescapeHtml),
+      videography: draft.videography, onRoofDay: draft.on_roof_day, vimeoUrl: draft.vimeo_url,
+      letClientChoose: draft.let_client_choose,
+      professionalPrice: draft.professional_price, regionalPrice: draft.regional_price, enterprisePrice: draft.enterprise_price,
+      expiresInDays: draft.expires_in_days, expiresAt: draft.expires_in_days ? null : draft.expires_at,
+      discountCode: draft.discount_code, billingAddress: draft.billing_address,
+      currency: draft.currency, locale: draft.locale,
+      termOverrides: draft.term_overrides || [],
+      signingOrder: draft.signing_order,
+      signers: signers.map(s => ({ name: unescapeHtml(s.name), email: unescapeHtml(s.email), title: unescapeHtml(s.title) || '' })),
+      paymentSchedule: installments.map(i => ({ label: unescapeHtml(i.label), percent: Number(i.percent), due: i.due_on_signing ? 'on_signing' : i.due_date })),
+    });
+  } catch (err) {
+    console.error('Error loading draft:', err);
+    res.status(500).json({ error: 'Failed to load draft' });
   }
-  res.json({ authenticated: true, method: 'jwt', email: req.adminUser.email });
 });
 
-// ── POST /api/send-proposal ────────────────────────────────────────
-app.post('/api/send-proposal', requireAdmin, async (req, res) => {
+// ── PUT /api/proposals/:id ───────────────────────────────────────
+// Admin: replace a draft's fields (same body as creating it); sent proposals can't be edited
+app.put('/api/proposals/:id', requireAdmin, async (req, res) => {
   try {
-    const data = req.body;
-    // Normalize field names (accept both snake_case and camelCase)
-    // Use ?? so falsy values like 0 and false are preserved correctly
-    data.contactName = data.contactName ?? data.contact_name;
-    data.company = data.company ?? data.company_name;
-    data.email = data.email ?? data.contact_email;
-    data.contactPhone = data.contactPhone ?? data.contact_phone;
-    data.letClientChoose = data.letClientChoose ?? data.let_client_choose;
-    data.extraTrainees = data.extraTrainees ?? data.extra_trainees;
-    data.extraKits = data.extraKits ?? data.extra_kits;
-    data.onRoofDay = data.onRoofDay ?? data.on_roof_day;
-    data.tierPrice = data.tierPrice ?? data.tier_price;
-    data.totalPrice = data.totalPrice ?? data.total_price;
-    data.proposalNum = data.proposalNum ?? data.proposal_num;
-    data.vimeoUrl = data.vimeoUrl ?? data.vimeo_url;
-    data.professionalPrice = data.professionalPrice ?? data.professional_price;
-    data.regionalPrice = data.regionalPrice ?? data.regional_price;
-    data.enterprisePrice = data.enterprisePrice ?? data.enterprise_price;
-
-    if (!data.email || !data.contactName || !data.company) {
-      return res.status(400).json({ error: 'Missing required fields: email, contactName, and company are required' });
-    }
-    if (!isValidEmail(data.email)) {
-      return res.status(400).json({ error: 'Invalid email address' });
-    }
+    const draft = await findDraft(res, req.params.id);
+    if (!draft) return;
+    const input = parseProposalInput(req.body);
+    if (input.error) return res.status(400).json({ error: input.error });
+    const saved = await saveProposalDraft(input, { existing: draft, actor: adminActor(req), ip: req.ip });
+    if (saved.error) return res.status(saved.status).json({ error: saved.error });
+    res.json({ success: true, proposal: publicProposal(saved.proposal) });
+  } catch (err) {
+    console.error('Error updating draft:', err);
+    res.status(500).json({ error: 'Failed to update draft' });
+  }
+});
 
-    // Sanitize user-supplied text to prevent HTML injection in emails
-    data.contactName = escapeHtml(data.contactName);
-    data.company = escapeHtml(data.company);
-    data.email = escapeHtml(data.email);
-    if (Array.isArray(data.tracks)) {
-      data.tracks = data.tracks.map(t => escapeHtml(t));
-    }
+// ── GET /api/proposals/:id/email-preview ─────────────────────────
+// Admin: a draft's email exactly as the client will get it. Only drafts: a sent proposal
+// may have been configured or re-priced since, so re-rendering it wouldn't show what went out.
+app.get('/api/proposals/:id/email-preview', requireAdmin, async (req, res) => {
+  try {
+    const draft = await findDraft(res, req.params.id);
+    if (!draft) return;
+    const message = await buildProposalMessage(draft);
+    res.json({ to: message.to, subject: message.subject, html: message.html, attachment: message.filename });
+  } catch (err) {
+    console.error('Error rendering email preview:', err);
+    res.status(500).json({ error: 'Failed to render email preview' });
+  }
+});
 
-    // Generate unique proposal ID and store in DB
-    const id = generateId();
-    const baseUrl = process.env.PROPOSAL_BASE_URL || 'https://proposals.roof-mri.com';
-    const proposalUrl = `${baseUrl}/p/${id}`;
-
-    await pool.query(`
-      INSERT INTO proposals (id, proposal_num, contact_name, company, email, tier, tier_price,
-        extra_trainees, extra_kits, tracks, videography, on_roof_day, total_price,
-        let_client_choose, vimeo_url, professional_price, regional_price, enterprise_price)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18)
-    `, [
-      id, data.proposalNum, data.contactName, data.company, data.email,
-      data.tier ?? null, data.tierPrice ?? null,
-      data.extraTrainees ?? 0, data.extraKits ?? 0,
-      data.tracks ?? [], data.videography ?? false, data.onRoofDay ?? false,
-      data.totalPrice ?? null, data.letClientChoose ?? false,
-      data.vimeoUrl ?? null,
-      data.professionalPrice ?? null, data.regionalPrice ?? null, data.enterprisePrice ?? null
-    ]);
+// ── GET /api/proposals/:id/proposal.pdf ──────────────────────────
+// Admin: the PDF a draft's email will attach (drafts only, like the email preview)
+app.get('/api/proposals/:id/proposal.pdf', requireAdmin, async (req, res) => {
+  try {
+    const draft = await findDraft(res, req.params.id);
+    if (!draft) return;
+    const message = await buildProposalMessage(draft);
+    res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': `inline; filename="${message.filename}"` });
+    res.send(message.pdf);
+  } catch (err) {
+    console.error('Error rendering proposal PDF:', err);
+    res.status(500).json({ error: 'Failed to render proposal PDF' });
+  }
+});
 
-    // Build email and PDF
-    const html = buildEmail(data, proposalUrl);
-    const pdfBuffer = await buildProposalPdf(data, proposalUrl);
+// ── POST /api/proposals/:id/send ─────────────────────────────────
+// Admin: email a draft to the client
+app.post('/api/proposals/:id/send', requireAdmin, async (req, res) => {
+  try {
+    const draft = await findDraft(res, req.params.id);
+    if (!draft) return;
+    const sent = await sendProposal(draft, { actor: adminActor(req), ip: req.ip });
+    if (sent.error) return res.status(sent.status).json({ error: sent.error });
+    res.json({
+      success: true,
+      proposal: { ...publicProposal(sent.proposal), proposalUrl: proposalLink(sent.proposal.id) },
+      message: `Proposal sent to ${unescapeHtml(sent.proposal.email)}`,
+    });
+  } catch (err) {
+    console.error('Error sending proposal:', err.response ? err.response.body : err);
+    res.status(500).json({ error: 'Failed to send proposal' });
+  }
+});
 
-    const emailMsg = {
-      to: data.email,
-      from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
-      replyTo: { email: 'adam@re-dry.com', name: 'Adam Capps' },
-      subject: `Roof MRI Training Proposal for ${data.company}`,
-      html,
-      attachments: [{
-        content: pdfBuffer.toString('base64'),
-        filename: `Roof-MRI-Proposal-${data.company.replace(/[^a-zA-Z0-9]/g, '-')}.pdf`,
-        type: 'application/pdf',
-        disposition: 'attachment',
-      }],
-    };
-    await sgMail.send(emailMsg);
+// ── GET /api/pricing ───────────────────────────────────────────────
+// Public pricing catalog for the proposal page. ?version=N returns a specific price book,
+// ?currency=cad the current one in another currency (US dollars by default).
+app.get('/api/pricing', proposalViewLimiter, async (req, res) => {
+  try {
+    const version = req.query.version ? parseInt(req.query.version) : null;
+    const parsedCurrency = parseCurrency(req.query.currency);
+    if (parsedCurrency.error) return res.status(400).json({ error: parsedCurrency.error });
+    const priceBook = await getPriceBook(version, parsedCurrency.currency);
+    // Scheduled price books stay private until they take effect
+    if (!priceBook || new Date(priceBook.effective_at) > new Date()) return res.status(404).json({ error: 'Price book not found' });
+    res.json({ version: priceBook.version, currency: priceBook.currency, catalog: priceBook.catalog });
+  } catch (err) {
+    console.error('Error loading pricing:', err);
+    res.status(500).json({ error: 'Failed to load pricing' });
+  }
+});
 
-    // Internal notification
-    await sgMail.send({
-      to: 'adam@re-dry.com',
-      from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
-      subject: `Proposal Sent: ${data.company} - ${data.contactName}`,
-      html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
-        <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
-          <span style="color:#fff;font-size:16px;font-weight:700">ROOF <span style="color:#00bd70">MRI</span></span>
-        </div>
-        <div style="padding:20px;background:#fff;border:1px solid #e2e8f0">
-          <p style="font-size:14px;color:#374151"><strong>Proposal sent</strong> to ${data.email}</p>
-          <p style="font-size:13px;color:#64748b">${data.company} | ${data.tier ? data.tier.charAt(0).toUpperCase() + data.tier.slice(1) : 'Client Choice'} | ${data.totalPrice ? '$' + Number(data.totalPrice).toLocaleString() : 'TBD'}</p>
-          <p style="font-size:13px;color:#00bd70"><a href="${proposalUrl}" style="color:#00bd70;">View proposal</a></p>
-        </div>
-      </div>`
-    });
+// ── GET /api/terms ─────────────────────────────────────────────────
+// Public terms & conditions for the proposal page. ?version=N returns a specific version.
+app.get('/api/terms', proposalViewLimiter, async (req, res) => {
+  try {
+    const version = req.query.version ? parseInt(req.query.version) : null;
+    const terms = await getTermsVersion(version);
+    if (!terms || !terms.published_at) return res.status(404).json({ error: 'Terms version not found' });
+    res.json({ version: terms.version, sections: terms.sections });
+  } catch (err) {
+    console.error('Error loading terms:', err);
+    res.status(500).json({ error: 'Failed to load terms' });
+  }
+});
 
-    res.json({ success: true, proposal: { unique_id: id, proposalId: id, proposalUrl, proposal_url: proposalUrl }, message: `Proposal sent to ${data.email}` });
+// ── GET /api/proposals/:id/terms ───────────────────────────────────
+// The terms this proposal's client signs: its pinned version plus any custom clauses
+app.get('/api/proposals/:id/terms', proposalViewLimiter, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT id, terms_version, term_overrides FROM proposals WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+    res.json(await getProposalTerms(rows[0]));
   } catch (err) {
-    console.error('Error:', err.response ? err.response.body : err);
-    res.status(500).json({ error: 'Failed to send proposal' });
+    console.error('Error loading proposal terms:', err);
+    res.status(500).json({ error: 'Failed to load terms' });
   }
 });
 
@@ -1295,65 +4267,218 @@ app.get('/api/proposals/:id', proposalViewLimiter, async (req, res) => {
   try {
     const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
     if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
-
-    // Track opens (skip when ?track=false, e.g. payment-polling refetches)
-    if (req.query.track !== 'false') {
+    let proposal = await expireIfDue(rows[0]);
+    let viewId = null;
+    const internal = isInternalView(req);
+    // Drafts are only visible to admins until they're sent
+    if (proposal.status === 'draft' && !internal) return res.status(404).json({ error: 'Proposal not found' });
+
+    // Track opens (skip when ?track=false, e.g. payment-polling refetches, and for internal views)
+    if (req.query.track !== 'false' && !internal) {
       await pool.query(
         'UPDATE proposals SET opened_at = COALESCE(opened_at, NOW()), open_count = open_count + 1 WHERE id = $1',
         [req.params.id]
       );
+      viewId = await recordProposalView(proposal.id, req);
+      if (proposal.status === 'sent') {
+        proposal = await transitionProposal(proposal.id, 'viewed', { actor: 'client', ip: req.ip }) || proposal;
+      }
     }
 
-    res.json(rows[0]);
+    // ?signer=<token> identifies which of several required signers opened their link
+    const signers = await getSigners(proposal.id);
+    const currentSigner = findSignerByToken(signers, req.query.signer);
+    const installments = await getInstallments(proposal.id);
+    const invoice = await getInvoice(proposal.id);
+
+    res.json({
+      ...publicProposal(proposal),
+      is_expired: isExpired(proposal),
+      view_id: viewId,
+      internal_view: internal,
+      contract_token: proposal.signed_at ? contractToken(proposal.id) : null,
+      signers: signers.map(publicSigner),
+      current_signer: currentSigner ? {
+        ...publicSigner(currentSigner),
+        email: currentSigner.email,
+        waiting_on: blockingSigner(proposal, signers, currentSigner)?.name || null,
+      } : null,
+      installments: publicInstallments(proposal, installments),
+      invoice: invoice ? publicInvoice(invoice) : null,
+      discount: publicDiscount(await getDiscountCode(proposal.discount_code)),
+      checkout_options: await checkoutOptions(proposal),
+      esign_consent_text: ESIGN_CONSENT_TEXT,
+    });
   } catch (err) {
     console.error('Error fetching proposal:', err);
     res.status(500).json({ error: 'Failed to load proposal' });
   }
 });
 
+// ── POST /api/proposals/:id/views/:viewId ────────────────────────
+// Beacon from the proposal page: cumulative visible seconds and sections expanded.
+// Sent with navigator.sendBeacon, so the JSON body arrives as text/plain.
+app.post('/api/proposals/:id/views/:viewId', beaconLimiter, express.text({ type: 'text/plain' }), async (req, res) => {
+  try {
+    let body = req.body;
+    if (typeof body === 'string') {
+      try { body = JSON.parse(body); } catch { body = null; }
+    }
+    if (!body || typeof body !== 'object') return res.status(400).json({ error: 'Invalid beacon payload' });
+
+    const seconds = Math.min(Math.max(parseInt(body.seconds) || 0, 0), MAX_VIEW_SECONDS);
+    const sections = Array.isArray(body.sections) ? body.sections.filter(s => TRACKED_SECTIONS.includes(s)) : [];
+
+    const { rowCount } = await pool.query(
+      `UPDATE proposal_views SET
+         duration_seconds = GREATEST(duration_seconds, $3),
+         sections_expanded = ARRAY(SELECT DISTINCT unnest(sections_expanded || $4::text[])),
+         last_beacon_at = NOW()
+       WHERE id = $2 AND proposal_id = $1`,
+      [req.params.id, req.params.viewId, seconds, sections]
+    );
+    if (rowCount === 0) return res.status(404).json({ error: 'View not found' });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error recording view beacon:', err);
+    res.status(500).json({ error: 'Failed to record view' });
+  }
+});
+
 // ── POST /api/proposals/:id/sign ───────────────────────────────────
 // Client signs the proposal
 app.post('/api/proposals/:id/sign', signLimiter, async (req, res) => {
   try {
-    const { signatureName, signatureData } = req.body;
-    if (!signatureName || !signatureData) {
-      return res.status(400).json({ error: 'Missing signature data' });
+    const { signatureName, signatureImage, printedName, title, email, consent, clientTimestamp, signerToken: token } = req.body;
+    if (consent !== true) {
+      return res.status(400).json({ error: 'You must agree to sign electronically' });
+    }
+    const method = req.body.method === 'drawn' ? 'drawn' : 'typed';
+    const fields = [signatureName, printedName, title, email];
+    if (fields.some(f => typeof f !== 'string' || !f.trim())) {
+      return res.status(400).json({ error: 'Signature, printed name, title and email are required' });
+    }
+    if (fields.some(f => f.length > 200)) {
+      return res.status(400).json({ error: 'Signature fields are too long' });
+    }
+    if (!isValidEmail(email.trim())) {
+      return res.status(400).json({ error: 'Invalid signer email address' });
     }
 
-    // Limit signature data size (base64 images can be large)
-    if (signatureData.length > 500000) {
-      return res.status(400).json({ error: 'Signature data too large' });
+    let imageBuffer = null;
+    if (method === 'drawn') {
+      imageBuffer = parseSignaturePng(signatureImage);
+      if (!imageBuffer) return res.status(400).json({ error: 'Drawn signature must be a PNG image under 300 KB' });
     }
 
-    const safeSignatureName = escapeHtml(signatureName);
+    const safeSignatureName = escapeHtml(signatureName.trim());
 
-    // Atomic update: prevents race condition where two concurrent sign requests
-    // both pass a status check before either writes
-    const { rows: updated } = await pool.query(
-      `UPDATE proposals SET status = 'signed', signature_name = $1, signature_data = $2, signed_at = NOW()
-       WHERE id = $3 AND status != 'signed'
-       RETURNING *`,
-      [safeSignatureName, signatureData, req.params.id]
-    );
+    const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+    const current = await expireIfDue(rows[0]);
+    if (rejectIfClosed(res, current)) return;
+
+    const clientSignedAt = clientTimestamp ? new Date(clientTimestamp) : null;
+    const now = new Date();
+    const evidence = {
+      signer_ip: req.ip, signer_user_agent: (req.get('user-agent') || '').slice(0, 500) || null,
+      client_signed_at: clientSignedAt && !isNaN(clientSignedAt.getTime()) ? clientSignedAt : null,
+      esign_consent_at: now,
+    };
 
-    if (updated.length === 0) {
-      const { rows: check } = await pool.query('SELECT id, status FROM proposals WHERE id = $1', [req.params.id]);
-      if (check.length === 0) return res.status(404).json({ error: 'Proposal not found' });
-      return res.status(409).json({ error: 'This proposal has already been signed' });
+    let p;
+    let signers = await getSigners(current.id);
+    if (signers.length === 0) {
+      // The transition is atomic: of two concurrent sign requests only one can
+      // move the proposal out of an open state
+      p = await transitionProposal(req.params.id, 'signed', {
+        actor: 'client', ip: req.ip,
+        payload: { signature_name: safeSignatureName, method },
+        set: {
+          signature_name: safeSignatureName, signature_method: method, signature_image: imageBuffer,
+          signer_name: escapeHtml(printedName.trim()), signer_title: escapeHtml(title.trim()),
+          signer_email: escapeHtml(email.trim()), signed_at: now, ...evidence,
+        },
+      });
+      if (!p) return res.status(409).json({ error: 'This proposal has already been signed' });
+    } else {
+      // Multiple signers: each signs through their own link
+      const signer = findSignerByToken(signers, token);
+      if (!signer) return res.status(403).json({ error: 'Please sign using the personal link from your invitation email' });
+      if (signer.signed_at) return res.status(409).json({ error: 'You have already signed this agreement' });
+      const waitingOn = blockingSigner(current, signers, signer);
+      if (waitingOn) return res.status(409).json({ error: `${waitingOn.name} needs to sign before you can` });
+
+      const { rows: signed } = await pool.query(
+        `UPDATE proposal_signers SET signature_method = $2, signature_image = $3, signature_name = $4,
+           printed_name = $5, signed_title = $6, signed_at = $7, signer_ip = $8, signer_user_agent = $9,
+           client_signed_at = $10, esign_consent_at = $11
+         WHERE id = $1 AND signed_at IS NULL RETURNING id`,
+        [signer.id, method, imageBuffer, safeSignatureName, escapeHtml(printedName.trim()), escapeHtml(title.trim()),
+          now, evidence.signer_ip, evidence.signer_user_agent, evidence.client_signed_at, evidence.esign_consent_at]
+      );
+      if (signed.length === 0) return res.status(409).json({ error: 'You have already signed this agreement' });
+      await recordProposalEvent(current.id, 'signer_signed', {
+        actor: 'client', ip: req.ip,
+        payload: { signer_id: signer.id, name: signer.name, email: signer.email, signature_name: safeSignatureName, method },
+      });
+      try {
+        await notifyDelegator(current, signer, `${signer.name} has signed the agreement you forwarded to them.`);
+      } catch (notifyErr) {
+        console.error('Failed to notify delegator:', notifyErr);
+      }
+
+      signers = await getSigners(current.id);
+      const remaining = signers.filter(s => !s.signed_at);
+      if (remaining.length > 0) {
+        if (current.signing_order === 'sequential' && !remaining[0].invited_at) {
+          try {
+            await inviteSigner(current, remaining[0]);
+          } catch (inviteErr) {
+            console.error(`Failed to invite signer ${remaining[0].email}:`, inviteErr);
+          }
+        }
+        return res.json({ success: true, complete: false, message: `Signature recorded. Waiting on ${remaining.map(s => s.name).join(', ')}.` });
+      }
+
+      // The last signature completes the proposal (a concurrent last signer may have got there first)
+      p = await transitionProposal(current.id, 'signed', {
+        actor: 'client', ip: req.ip,
+        payload: { signature_name: signers.map(s => s.signature_name).join(', '), signers: signers.length },
+        set: { signature_name: signers.map(s => s.printed_name || s.name).join(', '), signed_at: now },
+      });
+      if (!p) return res.json({ success: true, complete: true, message: 'Proposal signed' });
     }
 
+    // Hash what was signed from the row as it stood at signing (it can't change once signed)
+    const terms = await getProposalTerms(p);
+    const { rows: hashed } = await pool.query(
+      'UPDATE proposals SET terms_hash = $1, package_hash = $2 WHERE id = $3 RETURNING *',
+      [sha256(termsText(terms.sections)), sha256(JSON.stringify(packageSnapshot(p))), p.id]
+    );
+    p = hashed[0];
+
     // Generate signed contract PDF
-    const p = updated[0];
     const safeName = escapeHtml(p.contact_name);
     const safeCompany = escapeHtml(p.company);
     let contractPdfBuffer;
     try {
-      contractPdfBuffer = await buildContractPdf(p);
+      const priceBook = await getPriceBook(p.price_book_version);
+      contractPdfBuffer = await buildContractPdf(p, priceBook.catalog, terms.sections, signers);
     } catch (pdfErr) {
       console.error('Contract PDF generation failed:', pdfErr);
       // Continue without PDF – signing still succeeded
     }
 
+    // Archive exactly what we email, so later changes to the terms or code can't alter it
+    if (contractPdfBuffer) {
+      try {
+        await archiveContract(p.id, contractPdfBuffer);
+      } catch (archiveErr) {
+        console.error('Failed to archive signed contract:', archiveErr);
+      }
+    }
+
     const pdfAttachment = contractPdfBuffer ? [{
       content: contractPdfBuffer.toString('base64'),
       filename: `Roof-MRI-Contract-${safeCompany.replace(/[^a-zA-Z0-9]/g, '-')}.pdf`,
@@ -1361,10 +4486,10 @@ app.post('/api/proposals/:id/sign', signLimiter, async (req, res) => {
       disposition: 'attachment',
     }] : [];
 
-    // Send contract PDF to client
+    // Send contract PDF to client (and every co-signer)
     try {
       await sgMail.send({
-        to: p.email,
+        to: [...new Set([p.email, ...signers.flatMap(s => [s.email, s.delegated_by_email]).filter(Boolean)])],
         from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
         subject: `Your Signed Agreement - Roof MRI Training`,
         html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
@@ -1377,7 +4502,7 @@ app.post('/api/proposals/:id/sign', signLimiter, async (req, res) => {
             <div style="background:#f8fafc;border:1px solid #e2e8f0;border-radius:6px;padding:16px;margin-bottom:16px">
               <p style="font-size:13px;color:#64748b;margin:0 0 4px 0">Package: <strong style="color:#1B2A4A">${p.tier ? p.tier.charAt(0).toUpperCase() + p.tier.slice(1) : 'Custom'}</strong></p>
               <p style="font-size:13px;color:#64748b;margin:0 0 4px 0">Company: <strong style="color:#1B2A4A">${safeCompany}</strong></p>
-              <p style="font-size:13px;color:#64748b;margin:0">Total: <strong style="color:#1B2A4A">${p.total_price ? '$' + Number(p.total_price).toLocaleString() : 'TBD'}</strong></p>
+              <p style="font-size:13px;color:#64748b;margin:0">Total: <strong style="color:#1B2A4A">${p.total_price ? moneyFormat(p)(p.total_price) : 'TBD'}</strong></p>
             </div>
             <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:12px">Next step: complete your payment to lock in your training dates. You can pay directly from your proposal page.</p>
             <p style="font-size:14px;color:#374151;line-height:1.6">Questions? Reply to this email or reach out to adam@re-dry.com.</p>
@@ -1403,200 +4528,704 @@ app.post('/api/proposals/:id/sign', signLimiter, async (req, res) => {
         </div>
         <div style="padding:20px;background:#fff;border:1px solid #e2e8f0">
           <p style="font-size:14px;color:#374151"><strong>${safeName}</strong> at <strong>${safeCompany}</strong> just signed their proposal.</p>
-          <p style="font-size:13px;color:#64748b">${p.tier ? p.tier.charAt(0).toUpperCase() + p.tier.slice(1) : 'Client Choice'} | ${p.total_price ? '$' + Number(p.total_price).toLocaleString() : 'TBD'}</p>
-          <p style="font-size:13px;color:#64748b">Signed by: ${safeSignatureName}</p>
+          <p style="font-size:13px;color:#64748b">${p.tier ? p.tier.charAt(0).toUpperCase() + p.tier.slice(1) : 'Client Choice'} | ${p.total_price ? moneyFormat(p)(p.total_price) : 'TBD'}</p>
+          <p style="font-size:13px;color:#64748b">Signed by: ${signers.length > 0
+            ? signers.map(s => `${s.printed_name || s.name}, ${s.signed_title || s.title || 'N/A'} (${s.email})`).join('; ')
+            : `${p.signer_name}, ${p.signer_title} (${p.signer_email})`}</p>
         </div>
       </div>`,
       attachments: pdfAttachment,
     });
 
-    res.json({ success: true, message: 'Proposal signed' });
+    res.json({ success: true, complete: true, message: 'Proposal signed' });
+  } catch (err) {
+    console.error('Error signing proposal:', err);
+    res.status(500).json({ error: 'Failed to sign proposal' });
+  }
+});
+
+// ── POST /api/proposals/:id/countersign ──────────────────────────
+// Admin: ReDry countersigns a client-signed proposal, making it fully executed.
+// The executed PDF (both signatures) is archived and emailed to both parties.
+app.post('/api/proposals/:id/countersign', requireAdmin, async (req, res) => {
+  try {
+    const { signatureName, signatureImage, printedName, title } = req.body;
+    const method = req.body.method === 'drawn' ? 'drawn' : 'typed';
+    const fields = [signatureName, printedName, title];
+    if (fields.some(f => typeof f !== 'string' || !f.trim())) {
+      return res.status(400).json({ error: 'Signature, printed name and title are required' });
+    }
+    if (fields.some(f => f.length > 200)) {
+      return res.status(400).json({ error: 'Signature fields are too long' });
+    }
+
+    let imageBuffer = null;
+    if (method === 'drawn') {
+      imageBuffer = parseSignaturePng(signatureImage);
+      if (!imageBuffer) return res.status(400).json({ error: 'Drawn signature must be a PNG image under 300 KB' });
+    }
+
+    // The countersignature only commits once the executed contract is rendered and archived,
+    // so a failed render can be retried. The row lock also stops two admins both countersigning.
+    const client = await pool.connect();
+    let p, signers, contractPdfBuffer;
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(
+        `UPDATE proposals SET
+           countersign_method = $2, countersign_image = $3, countersign_name = $4, countersign_title = $5,
+           countersigned_by = $6, countersigner_ip = $7, countersigned_at = NOW()
+         WHERE id = $1 AND signed_at IS NOT NULL AND countersigned_at IS NULL AND status <> 'voided'
+         RETURNING *`,
+        [req.params.id, method, imageBuffer, escapeHtml(signatureName.trim()), escapeHtml(title.trim()),
+          adminActor(req), req.ip]
+      );
+      if (rows.length === 0) {
+        await client.query('ROLLBACK');
+        const { rows: existing } = await pool.query('SELECT status, signed_at, countersigned_at FROM proposals WHERE id = $1', [req.params.id]);
+        if (existing.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+        if (existing[0].countersigned_at) return res.status(409).json({ error: 'This proposal has already been countersigned' });
+        if (existing[0].status === 'voided') return res.status(409).json({ error: 'This proposal has been voided' });
+        return res.status(409).json({ error: 'The client has not signed this proposal yet' });
+      }
+      p = rows[0];
+      await recordProposalEvent(p.id, 'countersigned', {
+        actor: adminActor(req), ip: req.ip,
+        payload: { signature_name: p.countersign_name, title: p.countersign_title, method },
+      }, client);
+
+      const [priceBook, terms] = await Promise.all([getPriceBook(p.price_book_version), getProposalTerms(p)]);
+      signers = await getSigners(p.id);
+      contractPdfBuffer = await buildContractPdf(p, priceBook.catalog, terms.sections, signers);
+      await archiveContract(p.id, contractPdfBuffer, 'executed', client);
+      await client.query('COMMIT');
+    } catch (txErr) {
+      await client.query('ROLLBACK');
+      throw txErr;
+    } finally {
+      client.release();
+    }
+
+    try {
+      await sendExecutedContract(p, contractPdfBuffer, signers);
+    } catch (emailErr) {
+      console.error('Failed to send executed contract:', emailErr);
+    }
+
+    res.json({ success: true, proposal: publicProposal(p) });
+  } catch (err) {
+    console.error('Error countersigning proposal:', err);
+    res.status(500).json({ error: 'Failed to countersign proposal' });
+  }
+});
+
+// Email the fully executed contract to the client (and every signer) and to ReDry
+async function sendExecutedContract(p, pdf, signers = []) {
+  const safeName = escapeHtml(p.contact_name);
+  const safeCompany = escapeHtml(p.company);
+  const executedDate = dateFormat(p)(p.countersigned_at);
+  const attachments = [{
+    content: pdf.toString('base64'),
+    filename: `Roof-MRI-Contract-${safeCompany.replace(/[^a-zA-Z0-9]/g, '-')}-Executed.pdf`,
+    type: 'application/pdf',
+    disposition: 'attachment',
+  }];
+
+  await sgMail.send({
+    to: [...new Set([p.email, p.signer_email, ...signers.flatMap(s => [s.email, s.delegated_by_email])].filter(Boolean))],
+    from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
+    subject: `Your Fully Executed Agreement - Roof MRI Training`,
+    html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
+      <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
+        <span style="color:#fff;font-size:18px;font-weight:700">ROOF <span style="color:#00bd70">MRI</span></span>
+      </div>
+      <div style="padding:24px;background:#fff;border:1px solid #e2e8f0">
+        <p style="font-size:15px;color:#374151;margin-bottom:16px">Hi ${safeName},</p>
+        <p style="font-size:14px;color:#374151;line-height:1.6;margin-bottom:16px">ReDry has countersigned your Roof MRI Training Agreement, so it is now fully executed. The final copy, with both signatures, is attached for your records.</p>
+        <div style="background:#f8fafc;border:1px solid #e2e8f0;border-radius:6px;padding:16px;margin-bottom:16px">
+          <p style="font-size:13px;color:#64748b;margin:0 0 4px 0">Signed by: <strong style="color:#1B2A4A">${p.signer_name || p.signature_name}</strong>, ${dateFormat(p)(p.signed_at)}</p>
+          <p style="font-size:13px;color:#64748b;margin:0">Countersigned by: <strong style="color:#1B2A4A">${p.countersign_name}</strong> (ReDry LLC), ${executedDate}</p>
+        </div>
+        <p style="font-size:14px;color:#374151;line-height:1.6">Questions? Reply to this email or reach out to adam@re-dry.com.</p>
+      </div>
+      <div style="background:#1B2A4A;padding:12px 20px;text-align:center">
+        <p style="margin:0;font-size:11px;color:#94a3b8">Roof MRI | Advancing the Science of Roof Moisture Detection</p>
+      </div>
+    </div>`,
+    attachments,
+  });
+
+  await sgMail.send({
+    to: 'adam@re-dry.com',
+    from: { email: 'adam@re-dry.com', name: 'Roof MRI' },
+    subject: `FULLY EXECUTED: ${safeCompany} - ${safeName}`,
+    html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1B2A4A">
+      <div style="background:#1B2A4A;padding:16px 20px;text-align:center">
+        <span style="color:#fff;font-size:16px;font-weight:700">CONTRACT FULLY EXECUTED</span>
+      </div>
+      <div style="padding:20px;background:#fff;border:1px solid #e2e8f0">
+        <p style="font-size:14px;color:#374151">The agreement with <strong>${safeCompany}</strong> was countersigned by ${p.countersign_name} on ${executedDate}. The executed copy is attached and has been sent to the client.</p>
+      </div>
+    </div>`,
+    attachments,
+  });
+}
+
+// ── POST /api/proposals/:id/delegate ─────────────────────────────
+// Client forwards the signature to someone with signing authority. On a single-signer
+// proposal the delegate becomes its signer; on a multi-signer proposal they take over
+// the delegating signer's place (identified by signerToken). The delegate gets their
+// own link and can configure and sign; the person who delegated is kept informed.
+app.post('/api/proposals/:id/delegate', signLimiter, async (req, res) => {
+  try {
+    const { name, email, title, message, signerToken: token, contactToken: contact } = req.body;
+    if (typeof name !== 'string' || !name.trim() || name.length > 200) {
+      return res.status(400).json({ error: 'Please enter the name of the person who should sign' });
+    }
+    if (typeof email !== 'string' || !isValidEmail(email.trim())) {
+      return res.status(400).json({ error: 'Please enter a valid email address' });
+    }
+    if ((title != null && (typeof title !== 'string' || title.length > 200)) ||
+        (message != null && (typeof message !== 'string' || message.length > 2000))) {
+      return res.status(400).json({ error: 'Title or message is too long' });
+    }
+
+    const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+    const p = await expireIfDue(rows[0]);
+    if (rejectIfClosed(res, p)) return;
+
+    const signers = await getSigners(p.id);
+    let from;
+    if (signers.length === 0) {
+      if (!isValidContactToken(contact, p.id)) {
+        return res.status(403).json({ error: 'Please use the link from your proposal email to forward your signature' });
+      }
+      from = { name: p.contact_name, email: p.email, position: 1 };
+    } else {
+      const signer = findSignerByToken(signers, token);
+      if (!signer) return res.status(403).json({ error: 'Please use your personal signing link to forward your signature' });
+      if (signer.signed_at) return res.status(409).json({ error: 'You have already signed this agreement' });
+      from = { id: signer.id, name: signer.name, email: signer.email, position: signer.position };
+    }
+    const delegateEmail = escapeHtml(email.trim());
+    if (delegateEmail.toLowerCase() === from.email.toLowerCase() ||
+        signers.some(s => s.id !== from.id && s.email.toLowerCase() === delegateEmail.toLowerCase())) {
+      return res.status(400).json({ error: 'That person is already a signer on this agreement' });
+    }
+
+    const client = await pool.connect();
+    let delegate;
+    try {
+      await client.query('BEGIN');
+      if (from.id) {
+        const { rowCount } = await client.query(
+          'UPDATE proposal_signers SET replaced_at = NOW() WHERE id = $1 AND signed_at IS NULL AND replaced_at IS NULL',
+          [from.id]
+        );
+        if (rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'You have already signed or forwarded this agreement' });
+        }
+      } else {
+        // Lock the proposal so two forwards can't both turn the contact into a delegate
+        await client.query('SELECT id FROM proposals WHERE id = $1 FOR UPDATE', [p.id]);
+        const { rows: existing } = await client.query(
+          'SELECT 1 FROM proposal_signers WHERE proposal_id = $1 AND replaced_at IS NULL LIMIT 1',
+          [p.id]
+        );
+        if (existing.length > 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'This agreement has already been forwarded' });
+        }
+        await client.query(`UPDATE proposals SET signing_order = 'parallel' WHERE id = $1`, [p.id]);
+      }
+      const { rows: inserted } = await client.query(
+        `INSERT INTO proposal_signers (proposal_id, position, name, email, title, delegated_by_name, delegated_by_email)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [p.id, from.position, escapeHtml(name.trim()), delegateEmail, title && title.trim() ? escapeHtml(title.trim()) : null, from.name, from.email]
+      );
+      delegate = inserted[0];
+      await recordProposalEvent(p.id, 'delegated', {
+        actor: 'client', ip: req.ip,
+        payload: { from_name: from.name, from_email: from.email, to_name: delegate.name, to_email: delegate.email },
+      }, client);
+      await client.query('COMMIT');
+    } catch (txErr) {
+      await client.query('ROLLBACK');
+      throw txErr;
+    } finally {
+      client.release();
+    }
+
+    // In a sequential proposal the delegate waits their turn like the signer they replaced
+    const waitingOn = blockingSigner(p, await getSigners(p.id), delegate);
+    try {
+      if (!waitingOn) {
+        await inviteSigner(p, { ...delegate, delegation_note: message && message.trim() ? escapeHtml(message.trim()) : null }, { actor: 'client', ip: req.ip });
+      }
+      await notifyDelegator(p, delegate, waitingOn
+        ? `You've forwarded the agreement to ${delegate.name} (${delegate.email}). They'll get their signing link once ${waitingOn.name} has signed, and we'll let you know when they sign.`
+        : `You've forwarded the agreement to ${delegate.name} (${delegate.email}). We've emailed them a signing link and will let you know when they sign.`);
+    } catch (emailErr) {
+      console.error('Failed to send delegation emails:', emailErr);
+    }
+
+    res.json({ success: true, delegate: publicSigner(delegate), message: `Sent to ${delegate.name} to sign` });
+  } catch (err) {
+    console.error('Error delegating signature:', err);
+    res.status(500).json({ error: 'Failed to forward the proposal' });
+  }
+});
+
+// ── POST /api/proposals/:id/select-tier ──────────────────────────
+// Client selects a tier on a "let client choose" proposal
+app.post('/api/proposals/:id/select-tier', proposalViewLimiter, async (req, res) => {
+  try {
+    const { tier } = req.body;
+    const validTiers = ['professional', 'regional', 'enterprise'];
+    if (!tier || !validTiers.includes(tier)) {
+      return res.status(400).json({ error: 'Invalid tier selection' });
+    }
+
+    const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+
+    const proposal = await expireIfDue(rows[0]);
+    if (!proposal.let_client_choose) {
+      return res.status(400).json({ error: 'This proposal does not allow tier selection' });
+    }
+    if (rejectIfClosed(res, proposal)) return;
+    if (await hasPartialSignatures(proposal.id)) {
+      return res.status(409).json({ error: 'The package can\'t be changed once signing has started' });
+    }
+
+    // Look up the price for the selected tier
+    const priceColumn = `${tier}_price`;
+    const tierPrice = proposal[priceColumn];
+    if (!tierPrice || Number(tierPrice) <= 0) {
+      return res.status(400).json({ error: 'No price available for this tier' });
+    }
+
+    const priced = discountedPrice(await getDiscountCode(proposal.discount_code), tier, tierPrice);
+    const updated = await transitionProposal(req.params.id, 'configured', {
+      actor: 'client', ip: req.ip,
+      payload: { tier, ...priced },
+      set: { selected_tier: tier, tier, ...priced },
+    });
+    if (!updated) return res.status(409).json({ error: 'This proposal is no longer open for changes' });
+
+    res.json(publicProposal(updated));
+  } catch (err) {
+    console.error('Error selecting tier:', err);
+    res.status(500).json({ error: 'Failed to select tier' });
+  }
+});
+
+// ── GET /api/proposals/:id/discount-code ─────────────────────────
+// Check a code the client typed in the configurator (?code=&tier=) before they confirm
+app.get('/api/proposals/:id/discount-code', proposalViewLimiter, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT discount_code, currency FROM proposals WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+    const discount = await getDiscountCode(req.query.code);
+    const tier = req.query.tier || null;
+    // The proposal's own code stays valid after it expires or runs out; only the tier matters
+    const problem = discount && discount.code === rows[0].discount_code
+      ? (discountAppliesToTier(discount, tier) ? null : `That discount code doesn\u2019t apply to the ${tier} package`)
+      : discountCodeProblem(discount, tier, rows[0].currency);
+    if (problem) return res.status(400).json({ error: problem });
+    res.json(publicDiscount(discount));
+  } catch (err) {
+    console.error('Error checking discount code:', err);
+    res.status(500).json({ error: 'Failed to check discount code' });
+  }
+});
+
+// ── POST /api/proposals/:id/discount ─────────────────────────────
+// Admin: attach a discount code to an open proposal, or remove it with an empty code
+app.post('/api/proposals/:id/discount', requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+    const proposal = rows[0];
+    if (rejectIfClosed(res, proposal)) return;
+    if (await hasPartialSignatures(proposal.id)) {
+      return res.status(409).json({ error: 'The price can\u2019t be changed once signing has started' });
+    }
+
+    const code = normalizeDiscountCode(req.body.code);
+    if (code === (proposal.discount_code || '')) return res.json(publicProposal(proposal));
+    const tier = proposal.selected_tier || proposal.tier;
+    let discount = null;
+    if (code) {
+      discount = await getDiscountCode(code);
+      const problem = discountCodeProblem(discount, tier, proposal.currency);
+      if (problem) return res.status(400).json({ error: problem });
+    }
+
+    // Re-price from the undiscounted subtotal; a client-choice proposal with no package yet has none
+    const priced = proposal.total_price == null
+      ? { discount_amount: 0, total_price: null }
+      : discountedPrice(discount, tier, Number(proposal.total_price) + Number(proposal.discount_amount || 0));
+    // Swapping codes takes and gives back their uses in the same transaction as the re-price
+    const client = await pool.connect();
+    let updated;
+    try {
+      await client.query('BEGIN');
+      if (discount && !await claimDiscountCode(discount.code, client)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'That discount code has just been fully redeemed' });
+      }
+      ({ rows: updated } = await client.query(
+        `UPDATE proposals SET discount_code = $1, discount_amount = $2, total_price = $3
+         WHERE id = $4 AND status = ANY($5) AND discount_code IS NOT DISTINCT FROM $6 RETURNING *`,
+        [discount?.code ?? null, priced.discount_amount, priced.total_price, proposal.id, OPEN_STATUSES, proposal.discount_code]
+      ));
+      if (updated.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'This proposal changed in the meantime; reload and try again' });
+      }
+      await releaseDiscountCode(proposal.discount_code, client);
+      await recordProposalEvent(proposal.id, 'discount_changed', {
+        actor: adminActor(req), ip: req.ip,
+        payload: { code: discount?.code ?? null, previous_code: proposal.discount_code, ...priced },
+      }, client);
+      await client.query('COMMIT');
+    } catch (txErr) {
+      await client.query('ROLLBACK');
+      throw txErr;
+    } finally {
+      client.release();
+    }
+
+    res.json(publicProposal(updated[0]));
   } catch (err) {
-    console.error('Error signing proposal:', err);
-    res.status(500).json({ error: 'Failed to sign proposal' });
+    console.error('Error applying discount code:', err);
+    res.status(500).json({ error: 'Failed to apply discount code' });
   }
 });
 
-// ── POST /api/proposals/:id/select-tier ──────────────────────────
-// Client selects a tier on a "let client choose" proposal
-app.post('/api/proposals/:id/select-tier', proposalViewLimiter, async (req, res) => {
+// ── POST /api/proposals/:id/quote ────────────────────────────────
+// Prices a configuration (same body as /configure) so the configurator can show the
+// total before the client confirms; nothing is saved
+app.post('/api/proposals/:id/quote', proposalViewLimiter, async (req, res) => {
   try {
-    const { tier } = req.body;
-    const validTiers = ['professional', 'regional', 'enterprise'];
-    if (!tier || !validTiers.includes(tier)) {
-      return res.status(400).json({ error: 'Invalid tier selection' });
-    }
-
     const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
     if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
-
     const proposal = rows[0];
     if (!proposal.let_client_choose) {
-      return res.status(400).json({ error: 'This proposal does not allow tier selection' });
-    }
-    if (proposal.status === 'signed') {
-      return res.status(409).json({ error: 'This proposal has already been signed' });
+      return res.status(400).json({ error: 'This proposal does not allow package configuration' });
     }
 
-    // Look up the price for the selected tier
-    const priceColumn = `${tier}_price`;
-    const tierPrice = proposal[priceColumn];
-    if (!tierPrice || Number(tierPrice) <= 0) {
-      return res.status(400).json({ error: 'No price available for this tier' });
+    const priceBook = await getPriceBook(proposal.price_book_version);
+    const config = parseConfiguration(req.body, proposal, priceBook.catalog);
+    if (config.error) return res.status(400).json({ error: config.error });
+
+    // Discounted the way /configure would: by a code typed in, or else the one the proposal holds
+    let discount = await getDiscountCode(proposal.discount_code);
+    const enteredCode = normalizeDiscountCode(req.body.discountCode);
+    if (enteredCode && enteredCode !== proposal.discount_code) {
+      discount = await getDiscountCode(enteredCode);
+      const problem = discountCodeProblem(discount, config.tier, proposal.currency);
+      if (problem) return res.status(400).json({ error: problem });
     }
-
-    const { rows: updated } = await pool.query(
-      `UPDATE proposals SET selected_tier = $1, tier = $1, total_price = $2
-       WHERE id = $3 RETURNING *`,
-      [tier, tierPrice, req.params.id]
-    );
-
-    res.json(updated[0]);
+    const priced = discountedPrice(discount, config.tier, config.subtotal);
+    // Sales tax for the billing address on file; the card or ACH fee depends on how they pay later
+    const taxRate = await taxRateFor(proposal.billing_address);
+    res.json({ subtotal: config.subtotal, ...priced, tax: checkoutAdjustments(priced.total_price, taxRate?.rate).tax });
   } catch (err) {
-    console.error('Error selecting tier:', err);
-    res.status(500).json({ error: 'Failed to select tier' });
+    console.error('Error quoting configuration:', err);
+    res.status(500).json({ error: 'Failed to price configuration' });
   }
 });
 
-// ── Tier add-on rates for package pricing ──────────────────────────
-const TIER_ADDON_RATES = {
-  professional: { baseTrainees: 3, baseKits: 1, baseTracks: 0, traineeRate: 2000, kitRate: 4000, trackRate: 5000, videoRate: 2000, onRoofRate: 5000 },
-  regional: { baseTrainees: 10, baseKits: 2, baseTracks: 2, traineeRate: 1600, kitRate: 4000, trackRate: 5000, videoRate: 0, onRoofRate: 5000 },
-  enterprise: { baseTrainees: 25, baseKits: 4, baseTracks: 4, traineeRate: 0, kitRate: 4000, trackRate: 0, videoRate: 0, onRoofRate: 0 },
-};
-
 // ── POST /api/proposals/:id/configure ────────────────────────────
 // Full package configuration for "let client choose" proposals
 app.post('/api/proposals/:id/configure', proposalViewLimiter, async (req, res) => {
   try {
-    const { tier, extraTrainees, extraKits, tracks, videography, onRoofDay } = req.body;
-    const validTiers = ['professional', 'regional', 'enterprise'];
-    if (!tier || !validTiers.includes(tier)) {
-      return res.status(400).json({ error: 'Invalid tier selection' });
-    }
+    const { discountCode } = req.body;
 
     const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
     if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
-    const proposal = rows[0];
+    const proposal = await expireIfDue(rows[0]);
 
     if (!proposal.let_client_choose) {
       return res.status(400).json({ error: 'This proposal does not allow package configuration' });
     }
-    if (proposal.status === 'signed') {
-      return res.status(409).json({ error: 'This proposal has already been signed' });
-    }
-
-    const basePrice = Number(proposal[`${tier}_price`]) || 0;
-    if (basePrice <= 0) {
-      return res.status(400).json({ error: 'No base price available for this tier' });
-    }
-
-    const rates = TIER_ADDON_RATES[tier];
-    const extraTraineeCount = Math.max(0, parseInt(extraTrainees) || 0);
-    const extraKitCount = Math.max(0, parseInt(extraKits) || 0);
-    const validTrackNames = ['Sales', 'Service', 'Production', 'Marketing'];
-    const trackList = Array.isArray(tracks) ? tracks.filter(t => validTrackNames.includes(t)) : [];
-    const extraTrackCount = Math.max(0, trackList.length - rates.baseTracks);
-    const hasVideo = !!videography;
-    const hasOnRoof = !!onRoofDay;
-
-    let totalPrice = basePrice;
-    totalPrice += extraTraineeCount * rates.traineeRate;
-    totalPrice += extraKitCount * rates.kitRate;
-    if (extraTrackCount > 0) totalPrice += extraTrackCount * rates.trackRate;
-    if (hasVideo) totalPrice += rates.videoRate;
-    if (hasOnRoof) totalPrice += rates.onRoofRate;
-
-    const { rows: updated } = await pool.query(
-      `UPDATE proposals SET
-        selected_tier = $1, tier = $1, total_price = $2,
-        extra_trainees = $3, extra_kits = $4, tracks = $5,
-        videography = $6, on_roof_day = $7
-       WHERE id = $8 RETURNING *`,
-      [tier, totalPrice, extraTraineeCount, extraKitCount, trackList, hasVideo, hasOnRoof, req.params.id]
-    );
+    if (rejectIfClosed(res, proposal)) return;
+    if (await hasPartialSignatures(proposal.id)) {
+      return res.status(409).json({ error: 'The package can\'t be changed once signing has started' });
+    }
+
+    // Price against the book the proposal was quoted under, not today's rates
+    const priceBook = await getPriceBook(proposal.price_book_version);
+    const config = parseConfiguration(req.body, proposal, priceBook.catalog);
+    if (config.error) return res.status(400).json({ error: config.error });
+    const { tier, subtotal: totalPrice } = config;
+
+    // A code entered in the configurator replaces the one the proposal holds
+    let discount = await getDiscountCode(proposal.discount_code);
+    const enteredCode = normalizeDiscountCode(discountCode);
+    let claimed = null;
+    if (enteredCode && enteredCode !== proposal.discount_code) {
+      const entered = await getDiscountCode(enteredCode);
+      const problem = discountCodeProblem(entered, tier, proposal.currency);
+      if (problem) return res.status(400).json({ error: problem });
+      if (!await claimDiscountCode(entered.code)) return res.status(409).json({ error: 'That discount code has just been fully redeemed' });
+      discount = entered;
+      claimed = entered.code;
+    }
+
+    const configuration = {
+      selected_tier: tier, tier, ...discountedPrice(discount, tier, totalPrice), discount_code: discount?.code ?? null,
+      extra_trainees: config.extraTrainees, extra_kits: config.extraKits, tracks: config.tracks,
+      videography: config.videography, on_roof_day: config.onRoofDay,
+    };
+    let updated;
+    try {
+      updated = await transitionProposal(req.params.id, 'configured', {
+        actor: 'client', ip: req.ip, payload: configuration, set: configuration,
+      });
+    } catch (txErr) {
+      if (claimed) await releaseDiscountCode(claimed);
+      throw txErr;
+    }
+    if (!updated) {
+      if (claimed) await releaseDiscountCode(claimed);
+      return res.status(409).json({ error: 'This proposal is no longer open for changes' });
+    }
+    if (claimed) await releaseDiscountCode(proposal.discount_code);
 
-    res.json(updated[0]);
+    res.json(publicProposal(updated));
   } catch (err) {
     console.error('Error configuring proposal:', err);
     res.status(500).json({ error: 'Failed to configure proposal' });
   }
 });
 
+// ── POST /api/proposals/:id/billing-address ──────────────────────
+// Client sets the billing address sales tax is based on, any time until the proposal is
+// paid (and not while a checkout or bank transfer is in flight)
+app.post('/api/proposals/:id/billing-address', proposalViewLimiter, async (req, res) => {
+  try {
+    const parsed = parseBillingAddress(req.body.billingAddress);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const { rows } = await pool.query(
+      `UPDATE proposals SET billing_address = $2
+       WHERE id = $1 AND status IN ('sent', 'viewed', 'configured', 'signed', 'failed', 'partially_paid')
+         AND payment_status IN ('unpaid', 'failed', 'partial')
+         AND (expires_at IS NULL OR expires_at > NOW() OR status NOT IN ('sent', 'viewed', 'configured'))
+       RETURNING *`,
+      [req.params.id, JSON.stringify(parsed.address)]
+    );
+    if (rows.length === 0) {
+      const { rows: check } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
+      if (check.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+      const current = await expireIfDue(check[0]);
+      if (current.status === 'expired') return sendExpired(res, current);
+      return res.status(409).json({ error: 'The billing address can\u2019t be changed at this stage' });
+    }
+
+    const proposal = rows[0];
+    await recordProposalEvent(proposal.id, 'billing_address_updated', {
+      actor: 'client', ip: req.ip, payload: { state: parsed.address.state, country: parsed.address.country },
+    });
+    res.json({ billing_address: proposal.billing_address, checkout_options: await checkoutOptions(proposal) });
+  } catch (err) {
+    console.error('Error saving billing address:', err);
+    res.status(500).json({ error: 'Failed to save billing address' });
+  }
+});
+
+// Releasing the checkout lock restores the payment_status that matches the lifecycle state
+const RELEASED_PAYMENT_STATUS = `CASE status WHEN 'failed' THEN 'failed' WHEN 'partially_paid' THEN 'partial' ELSE 'unpaid' END`;
+
 // ── POST /api/proposals/:id/checkout ──────────────────────────────
-// Create a Stripe Checkout session so the client can pay after signing
+// Create a Stripe Checkout session so the client can pay after signing. With a
+// payment schedule, each call charges the next unpaid installment.
 app.post('/api/proposals/:id/checkout', checkoutLimiter, async (req, res) => {
   try {
-    // Atomic check: only proceed if payment_status is 'unpaid' and status is 'signed'
+    // Atomic check: only proceed from a signed (failed-payment or part-paid) proposal with
+    // no checkout already in flight. payment_status = 'checkout_pending' is a short-lived
+    // lock, not a lifecycle state. Signed proposals don't expire.
     const { rows } = await pool.query(
       `UPDATE proposals SET payment_status = 'checkout_pending'
-       WHERE id = $1 AND status = 'signed' AND payment_status = 'unpaid'
+       WHERE id = $1 AND status IN ('signed', 'failed', 'partially_paid') AND payment_status IN ('unpaid', 'failed', 'partial')
        RETURNING *`,
       [req.params.id]
     );
 
     if (rows.length === 0) {
       // Figure out why the atomic update failed so we can return the right error
-      const { rows: check } = await pool.query('SELECT status, payment_status, total_price FROM proposals WHERE id = $1', [req.params.id]);
+      const { rows: check } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
       if (check.length === 0) return res.status(404).json({ error: 'Proposal not found' });
-      if (check[0].status !== 'signed') return res.status(400).json({ error: 'Proposal must be signed before payment' });
-      if (check[0].payment_status === 'paid') return res.status(409).json({ error: 'This proposal has already been paid' });
-      if (check[0].payment_status === 'processing') return res.status(409).json({ error: 'A bank transfer is currently being processed. Please wait for it to clear.' });
+      const current = await expireIfDue(check[0]);
+      if (current.status === 'paid') return res.status(409).json({ error: 'This proposal has already been paid' });
+      if (current.status === 'payment_processing') return res.status(409).json({ error: 'A bank transfer is currently being processed. Please wait for it to clear.' });
+      if (current.status === 'expired') return sendExpired(res, current);
+      if (!SIGNED_STATUSES.includes(current.status)) return res.status(400).json({ error: 'Proposal must be signed before payment' });
+      if (current.status === 'refunded') return res.status(409).json({ error: 'This proposal has been refunded' });
+      if (current.status === 'invoiced') return res.status(409).json({ error: 'This proposal has been invoiced. Please pay using the instructions on your invoice.' });
       return res.status(409).json({ error: 'A checkout session is already in progress' });
     }
 
     const proposal = rows[0];
     if (!proposal.total_price || Number(proposal.total_price) <= 0) {
       // Revert the status since we can't proceed
-      await pool.query(`UPDATE proposals SET payment_status = 'unpaid' WHERE id = $1`, [req.params.id]);
+      await pool.query(`UPDATE proposals SET payment_status = ${RELEASED_PAYMENT_STATUS} WHERE id = $1`, [req.params.id]);
       return res.status(400).json({ error: 'No price set for this proposal' });
     }
 
     // Enterprise tier requires a phone consultation – no online checkout
     const proposalTier = proposal.selected_tier || proposal.tier;
     if (proposalTier === 'enterprise') {
-      await pool.query(`UPDATE proposals SET payment_status = 'unpaid' WHERE id = $1`, [req.params.id]);
+      await pool.query(`UPDATE proposals SET payment_status = ${RELEASED_PAYMENT_STATUS} WHERE id = $1`, [req.params.id]);
       return res.status(400).json({ error: 'Enterprise packages require a consultation call. Please contact adam@re-dry.com or call to finalize payment.' });
     }
 
-    const baseUrl = process.env.PROPOSAL_BASE_URL || 'https://proposals.roof-mri.com';
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card', 'us_bank_account'],
-      payment_method_options: {
-        us_bank_account: {
-          financial_connections: { permissions: ['payment_method'] },
+    // Sales tax needs to know where the client is billed; fees need the payment method
+    // (implied when the proposal's currency can only be paid one way)
+    const methods = checkoutMethods(proposal.currency);
+    const method = methods.length === 1 && req.body.paymentMethod == null ? methods[0] : req.body.paymentMethod;
+    if (method != null && !Object.hasOwn(CHECKOUT_METHODS, method)) {
+      await pool.query(`UPDATE proposals SET payment_status = ${RELEASED_PAYMENT_STATUS} WHERE id = $1`, [req.params.id]);
+      return res.status(400).json({ error: 'Payment method must be card or ach' });
+    }
+    if (method != null && !methods.includes(method)) {
+      await pool.query(`UPDATE proposals SET payment_status = ${RELEASED_PAYMENT_STATUS} WHERE id = $1`, [req.params.id]);
+      return res.status(400).json({ error: 'Bank transfers are only available for payments in US dollars' });
+    }
+    if (!method && hasProcessingFees()) {
+      await pool.query(`UPDATE proposals SET payment_status = ${RELEASED_PAYMENT_STATUS} WHERE id = $1`, [req.params.id]);
+      return res.status(400).json({ error: 'Please choose card or bank transfer' });
+    }
+    if (!proposal.billing_address && await taxRatesConfigured()) {
+      await pool.query(`UPDATE proposals SET payment_status = ${RELEASED_PAYMENT_STATUS} WHERE id = $1`, [req.params.id]);
+      return res.status(400).json({ error: 'Please add your billing address before paying', billing_address_required: true });
+    }
+
+    const installments = await getInstallments(proposal.id);
+    const installment = nextInstallment(installments);
+    const amountCents = nextPaymentCents(proposal, installments);
+    const taxRate = await taxRateFor(proposal.billing_address);
+    const adjustments = checkoutAdjustments(amountCents / 100, taxRate?.rate, method);
+    const adjustmentItems = adjustmentLineItems(adjustments, taxRate);
+    const packageName = `Roof MRI Training \u2013 ${proposal.tier ? proposal.tier.charAt(0).toUpperCase() + proposal.tier.slice(1) : 'Custom'} Package`;
+    const priceBook = await getPriceBook(proposal.price_book_version);
+    const lineItems = proposalLineItems(proposal, priceBook.catalog);
+    // A full payment is itemized on the Checkout page and Stripe receipt, with any discount
+    // code as a Stripe coupon. Stripe has no negative lines or per-line shares, so an
+    // installment or a package priced below its add-ons is one line listing what's included.
+    const charges = lineItems.filter(i => i.key !== 'discount');
+    const discountCents = Math.round(Number(proposal.discount_amount || 0) * 100);
+    const itemizedCents = charges.reduce((sum, i) => sum + Math.round(i.unit_amount * 100) * i.quantity, 0);
+    const itemized = !installment && charges.every(i => i.amount > 0) && itemizedCents - discountCents === amountCents;
+    const stripeLineItems = itemized
+      ? charges.map(item => ({
+        price_data: {
+          currency: proposal.currency,
+          product_data: { name: item.name, ...(item.description ? { description: item.description } : {}) },
+          unit_amount: Math.round(item.unit_amount * 100), // Stripe uses cents
         },
-      },
-      line_items: [{
+        quantity: item.quantity,
+      }))
+      : [{
         price_data: {
-          currency: 'usd',
+          currency: proposal.currency,
           product_data: {
-            name: `Roof MRI Training \u2013 ${proposal.tier ? proposal.tier.charAt(0).toUpperCase() + proposal.tier.slice(1) : 'Custom'} Package`,
-            description: `Training proposal for ${proposal.company}`,
+            name: installment ? `${packageName} (${installment.label}, ${installment.position} of ${installments.length})` : packageName,
+            description: `Training proposal for ${proposal.company}: ${lineItems.map(i => (i.quantity > 1 ? `${i.quantity} \u00d7 ${i.name}` : i.name)).join(', ')}`,
           },
-          unit_amount: Math.round(Number(proposal.total_price) * 100), // Stripe uses cents
+          unit_amount: amountCents, // Stripe uses cents
         },
         quantity: 1,
-      }],
+      }];
+
+    // Tax and a card surcharge are lines of their own. Checkout takes a single coupon, so it
+    // carries the discount code (itemized payments only) and any ACH discount together.
+    for (const item of adjustmentItems.filter(i => i.amount > 0)) {
+      stripeLineItems.push({
+        price_data: { currency: proposal.currency, product_data: { name: item.name }, unit_amount: Math.round(item.amount * 100) },
+        quantity: 1,
+      });
+    }
+    const couponParts = [];
+    if (itemized && discountCents > 0) couponParts.push({ name: proposal.discount_code, cents: discountCents });
+    const achDiscount = adjustmentItems.find(i => i.key === 'ach_discount');
+    if (achDiscount) couponParts.push({ name: achDiscount.name, cents: Math.round(-achDiscount.amount * 100) });
+
+    const baseUrl = process.env.PROPOSAL_BASE_URL || 'https://proposals.roof-mri.com';
+    let discounts;
+    if (couponParts.length > 0) {
+      // One-off coupon for exactly what comes off this payment. Keyed by checkout attempt:
+      // a coupon already redeemed (say by an ACH payment that later failed) can't be reused.
+      const couponCents = couponParts.reduce((sum, part) => sum + part.cents, 0);
+      const couponName = couponParts.map(part => part.name).join(' + ');
+      const { rows: [{ count: attempt }] } = await pool.query(
+        `SELECT COUNT(*) FROM proposal_events WHERE proposal_id = $1 AND event_type = 'checkout_created'`,
+        [proposal.id]
+      );
+      const coupon = await stripe.coupons.create({
+        amount_off: couponCents, currency: proposal.currency, duration: 'once', max_redemptions: 1,
+        name: couponName.slice(0, 40),
+        metadata: { proposal_id: proposal.id, ...(proposal.discount_code ? { discount_code: proposal.discount_code } : {}) },
+      }, { idempotencyKey: `coupon:${proposal.id}:${installment ? installment.id : 'full'}:${attempt}:${couponName}:${couponCents}` });
+      discounts = [{ coupon: coupon.id }];
+    }
+    const returnQs = installment ? `&installment=${installment.id}` : '';
+    const sessionMetadata = installment ? { proposal_id: proposal.id, installment_id: String(installment.id) } : { proposal_id: proposal.id };
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: (method ? [method] : methods).map(m => CHECKOUT_METHODS[m]),
+      ...(method === 'card' ? {} : {
+        payment_method_options: {
+          us_bank_account: {
+            financial_connections: { permissions: ['payment_method'] },
+          },
+        },
+      }),
+      line_items: stripeLineItems,
+      ...(discounts ? { discounts } : {}),
       mode: 'payment',
       customer_email: proposal.email,
-      metadata: { proposal_id: proposal.id },
-      success_url: `${baseUrl}/p/${proposal.id}?payment=success`,
-      cancel_url: `${baseUrl}/p/${proposal.id}?payment=cancelled`,
+      metadata: sessionMetadata,
+      // Copied to the PaymentIntent so refunds and disputes can be traced back to the proposal
+      payment_intent_data: { metadata: sessionMetadata },
+      success_url: `${baseUrl}/p/${proposal.id}?payment=success${returnQs}`,
+      cancel_url: `${baseUrl}/p/${proposal.id}?payment=cancelled${returnQs}`,
     });
 
-    // Store session ID and revert to unpaid (Stripe webhook will set to 'paid')
+    // Record the session's itemization and what it adds for tax and the payment method (the
+    // Stripe webhook copies them over once it's paid), store the session ID and release the lock
+    await pool.query(
+      `INSERT INTO checkout_sessions (id, proposal_id, installment_id, amount, tax_amount, processing_fee, payment_method, line_items)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [session.id, proposal.id, installment ? installment.id : null, amountCents / 100, adjustments.tax, adjustments.fee,
+        method || null, JSON.stringify(installment ? lineItems : [...lineItems, ...adjustmentItems])]
+    );
     await pool.query(
-      `UPDATE proposals SET payment_status = 'unpaid', stripe_session_id = $1 WHERE id = $2`,
+      `UPDATE proposals SET payment_status = ${RELEASED_PAYMENT_STATUS}, stripe_session_id = $1 WHERE id = $2`,
       [session.id, proposal.id]
     );
+    if (installment) {
+      await pool.query('UPDATE payment_installments SET stripe_session_id = $1 WHERE id = $2', [session.id, installment.id]);
+    }
+    await recordProposalEvent(proposal.id, 'checkout_created', {
+      actor: 'client', ip: req.ip,
+      payload: {
+        session_id: session.id, amount_total: session.amount_total,
+        ...(method ? { payment_method: method } : {}),
+        ...(installment ? { installment_id: installment.id, installment: installment.label } : {}),
+      },
+    });
 
     res.json({ checkoutUrl: session.url });
   } catch (err) {
     console.error('Stripe checkout error:', err);
     // Revert to unpaid so the client can retry
     try {
-      await pool.query(`UPDATE proposals SET payment_status = 'unpaid' WHERE id = $1 AND payment_status = 'checkout_pending'`, [req.params.id]);
+      await pool.query(`UPDATE proposals SET payment_status = ${RELEASED_PAYMENT_STATUS} WHERE id = $1 AND payment_status = 'checkout_pending'`, [req.params.id]);
     } catch (revertErr) {
       console.error('Failed to revert checkout_pending status:', revertErr);
     }
@@ -1604,12 +5233,478 @@ app.post('/api/proposals/:id/checkout', checkoutLimiter, async (req, res) => {
   }
 });
 
+// ── POST /api/proposals/:id/invoice ──────────────────────────────
+// Admin: invoice a signed Enterprise proposal on net terms. The PDF (with ACH/wire
+// instructions) is emailed to the client; unless stripeInvoice is false the invoice is
+// mirrored in Stripe so it can also be paid online.
+app.post('/api/proposals/:id/invoice', requireAdmin, async (req, res) => {
+  try {
+    const netDays = req.body.netDays == null ? DEFAULT_NET_DAYS : Number(req.body.netDays);
+    if (!Number.isInteger(netDays) || netDays < 0 || netDays > MAX_NET_DAYS) {
+      return res.status(400).json({ error: `Net terms must be between 0 and ${MAX_NET_DAYS} days` });
+    }
+    const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+    const current = rows[0];
+    if ((current.selected_tier || current.tier) !== 'enterprise') {
+      return res.status(400).json({ error: 'Only Enterprise packages are invoiced; other packages pay through online checkout' });
+    }
+    if (!current.total_price || Number(current.total_price) <= 0) return res.status(400).json({ error: 'No price set for this proposal' });
+    if (current.status === 'invoiced') return res.status(409).json({ error: 'An invoice has already been issued for this proposal' });
+    if (current.status === 'paid') return res.status(409).json({ error: 'This proposal has already been paid' });
+    if (current.status !== 'signed') return res.status(409).json({ error: 'Proposal must be signed before it can be invoiced' });
+
+    const dueDate = new Date(Date.now() + netDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const { rows: inserted } = await pool.query(
+      `INSERT INTO invoices (proposal_id, amount, net_days, due_date, issued_by) VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, issued_at`,
+      [current.id, current.total_price, netDays, dueDate, adminActor(req)]
+    );
+    let invoice = { ...inserted[0], proposal_id: current.id, amount: current.total_price, net_days: netDays, due_date: dueDate, status: 'open' };
+
+    // The transition is the lock: a concurrent request for the same proposal fails here
+    const priceBook = await getPriceBook(current.price_book_version);
+    const proposal = await transitionProposal(current.id, 'invoiced', {
+      actor: adminActor(req), ip: req.ip,
+      payload: { invoice_id: invoice.id, invoice_number: invoiceNumber(invoice), amount: Number(invoice.amount), net_days: netDays, due_date: dueDate },
+      set: { line_items: JSON.stringify(proposalLineItems(current, priceBook.catalog)) },
+    });
+    if (!proposal) {
+      await pool.query('DELETE FROM invoices WHERE id = $1', [invoice.id]);
+      return res.status(409).json({ error: 'Proposal is no longer awaiting an invoice' });
+    }
+
+    let stripeError = null;
+    if (req.body.stripeInvoice !== false) {
+      try {
+        const stripeInvoice = await createStripeInvoice(proposal, invoice);
+        await pool.query(
+          'UPDATE invoices SET stripe_invoice_id = $1, hosted_invoice_url = $2 WHERE id = $3',
+          [stripeInvoice.id, stripeInvoice.hosted_invoice_url, invoice.id]
+        );
+        invoice = { ...invoice, stripe_invoice_id: stripeInvoice.id, hosted_invoice_url: stripeInvoice.hosted_invoice_url };
+      } catch (err) {
+        // The bank-transfer invoice still stands; the admin can mark it paid by hand
+        console.error('Failed to create Stripe invoice:', err);
+        stripeError = 'Stripe invoice could not be created; the client can still pay by ACH or wire';
+      }
+    }
+
+    const pdf = await buildInvoicePdf(proposal, invoice, priceBook.catalog);
+    let emailSent = true;
+    try {
+      await sendInvoiceEmail(proposal, invoice, pdf);
+    } catch (err) {
+      console.error('Failed to email invoice:', err);
+      emailSent = false;
+    }
+
+    res.json({ success: true, invoice: publicInvoice(invoice), emailSent, stripeError });
+  } catch (err) {
+    console.error('Error issuing invoice:', err);
+    res.status(500).json({ error: 'Failed to issue invoice' });
+  }
+});
+
+// ── GET /api/proposals/:id/invoice ───────────────────────────────
+// Admin: invoice status, including how and by whom it was settled
+app.get('/api/proposals/:id/invoice', requireAdmin, async (req, res) => {
+  try {
+    const invoice = await getInvoice(req.params.id);
+    if (!invoice) return res.status(404).json({ error: 'No invoice has been issued for this proposal' });
+    res.json({
+      invoice: {
+        ...publicInvoice(invoice),
+        issued_by: invoice.issued_by,
+        stripe_invoice_id: invoice.stripe_invoice_id,
+        paid_via: invoice.paid_via,
+        payment_reference: invoice.payment_reference,
+        marked_paid_by: invoice.marked_paid_by,
+      },
+    });
+  } catch (err) {
+    console.error('Error loading invoice:', err);
+    res.status(500).json({ error: 'Failed to load invoice' });
+  }
+});
+
+// ── GET /api/proposals/:id/invoice.pdf ───────────────────────────
+// Invoice PDF. Clients use the same ?token= as the contract download; admins their login.
+app.get('/api/proposals/:id/invoice.pdf', proposalViewLimiter, async (req, res) => {
+  try {
+    if (!authenticateAdmin(req.headers.authorization) && !isValidContractToken(req.query.token, req.params.id)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const invoice = await getInvoice(req.params.id);
+    if (!invoice) return res.status(404).json({ error: 'No invoice has been issued for this proposal' });
+    const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
+    const priceBook = await getPriceBook(rows[0].price_book_version);
+    const pdf = await buildInvoicePdf(rows[0], invoice, priceBook.catalog);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="Roof-MRI-Invoice-${invoiceNumber(invoice)}.pdf"`,
+      'Cache-Control': 'private, no-store',
+    });
+    res.send(pdf);
+  } catch (err) {
+    console.error('Error downloading invoice:', err);
+    res.status(500).json({ error: 'Failed to load invoice' });
+  }
+});
+
+// ── POST /api/proposals/:id/invoice/mark-paid ────────────────────
+// Admin: record an ACH/wire payment against the open invoice by its bank reference
+app.post('/api/proposals/:id/invoice/mark-paid', requireAdmin, async (req, res) => {
+  try {
+    const reference = typeof req.body.reference === 'string' ? req.body.reference.trim() : '';
+    if (!reference || reference.length > 100) {
+      return res.status(400).json({ error: 'A payment reference (e.g. the ACH trace or wire confirmation number) is required' });
+    }
+    const { rows } = await pool.query(
+      `UPDATE invoices SET status = 'paid', paid_at = NOW(), paid_via = 'manual', payment_reference = $1, marked_paid_by = $2
+       WHERE id = (SELECT id FROM invoices WHERE proposal_id = $3 ORDER BY id DESC LIMIT 1) AND status = 'open'
+       RETURNING *`,
+      // Stored as entered: it's only printed in the PDF and rendered by React, never put into HTML
+      [reference, adminActor(req), req.params.id]
+    );
+    if (rows.length === 0) {
+      const invoice = await getInvoice(req.params.id);
+      if (!invoice) return res.status(404).json({ error: 'No invoice has been issued for this proposal' });
+      return res.status(409).json({ error: invoice.status === 'void' ? 'This invoice has been voided' : 'This invoice has already been paid' });
+    }
+    const invoice = await getInvoice(req.params.id);
+
+    const p = await transitionProposal(req.params.id, 'paid', {
+      actor: adminActor(req), ip: req.ip,
+      payload: { invoice_id: invoice.id, invoice_number: invoiceNumber(invoice), amount: Number(invoice.amount), via: 'manual', reference: invoice.payment_reference },
+    });
+
+    // Settle the Stripe copy too so Stripe doesn't keep it open
+    if (invoice.stripe_invoice_id) {
+      try {
+        await stripe.invoices.pay(invoice.stripe_invoice_id, { paid_out_of_band: true });
+      } catch (err) {
+        console.error(`Failed to mark Stripe invoice ${invoice.stripe_invoice_id} paid:`, err);
+      }
+    }
+    if (p) await sendPaymentConfirmation(p);
+
+    res.json({ success: true, invoice: publicInvoice(invoice) });
+  } catch (err) {
+    console.error('Error marking invoice paid:', err);
+    res.status(500).json({ error: 'Failed to mark invoice paid' });
+  }
+});
+
+// ── POST /api/proposals/:id/refund ───────────────────────────────
+// Admin: refund some (amount, in dollars) or all of what the client paid through Stripe.
+// The proposal's status follows when Stripe confirms with charge.refunded.
+app.post('/api/proposals/:id/refund', requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+    const proposal = rows[0];
+    if (!REFUNDABLE_STATUSES.includes(proposal.status)) {
+      return res.status(409).json({ error: `A ${proposal.status.replace(/_/g, ' ')} proposal cannot be refunded` });
+    }
+    const requested = req.body.amount == null || req.body.amount === '' ? null : Math.round(Number(req.body.amount) * 100);
+    if (requested !== null && !(requested > 0)) return res.status(400).json({ error: 'Refund amount must be a positive number' });
+    const reason = req.body.reason ?? 'requested_by_customer';
+    if (!REFUND_REASONS.includes(reason)) return res.status(400).json({ error: `Reason must be one of ${REFUND_REASONS.join(', ')}` });
+
+    const payments = await refundablePayments(proposal);
+    const available = payments.reduce((sum, pay) => sum + pay.remaining, 0);
+    if (available === 0) {
+      return res.status(400).json({ error: 'Nothing left to refund through Stripe (bank-transfer payments are refunded outside Stripe)' });
+    }
+    if (requested !== null && requested > available) {
+      return res.status(400).json({ error: `At most ${moneyFormat(proposal)(available / 100)} can be refunded` });
+    }
+
+    // Spread the refund over the payments, newest first
+    let outstanding = requested ?? available;
+    const refunds = [];
+    for (const pay of payments) {
+      if (outstanding <= 0) break;
+      const cents = Math.min(outstanding, pay.remaining);
+      const refund = await stripe.refunds.create(
+        { payment_intent: pay.paymentIntentId, amount: cents, reason, metadata: { proposal_id: proposal.id, refunded_by: adminActor(req) } },
+        { idempotencyKey: `refund:${pay.paymentIntentId}:${pay.refunded}:${cents}` }
+      );
+      refunds.push({ id: refund.id, amount: cents, status: refund.status });
+      outstanding -= cents;
+    }
+    await recordProposalEvent(proposal.id, 'refund_requested', {
+      actor: adminActor(req), ip: req.ip,
+      payload: { amount: (requested ?? available) / 100, reason, refunds },
+    });
+
+    res.json({ success: true, refunds });
+  } catch (err) {
+    console.error('Error refunding proposal:', err);
+    res.status(500).json({ error: 'Failed to start refund' });
+  }
+});
+
+// ── POST /api/proposals/:id/extend ───────────────────────────────
+// Admin: push back the expiry date, reopening an expired proposal
+app.post('/api/proposals/:id/extend', requireAdmin, async (req, res) => {
+  try {
+    if (!req.body.expiresAt && parseExpiryDays(req.body.days) == null) return res.status(400).json({ error: EXPIRY_DAYS_ERROR });
+    const expiresAt = resolveExpiry(req.body.expiresAt, req.body.days);
+    if (!expiresAt || expiresAt <= new Date()) {
+      return res.status(400).json({ error: 'Expiration date must be in the future' });
+    }
+    const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+
+    let proposal;
+    if (rows[0].status === 'expired') {
+      // Reopen into the state it expired from
+      const { rows: last } = await pool.query(
+        `SELECT from_status FROM proposal_events
+         WHERE proposal_id = $1 AND to_status = 'expired' ORDER BY created_at DESC LIMIT 1`,
+        [req.params.id]
+      );
+      proposal = await transitionProposal(req.params.id, last[0]?.from_status || 'sent', {
+        actor: adminActor(req), ip: req.ip, payload: { expires_at: expiresAt }, set: { expires_at: expiresAt },
+      });
+      if (!proposal) return res.status(409).json({ error: 'Proposal could not be reopened' });
+      // The quote was made under its discount code, so it takes back the use it gave up even
+      // if the code has since run out
+      const released = await discountReleasedOnExpiry(proposal.id);
+      if (released) await pool.query('UPDATE discount_codes SET used_count = used_count + 1 WHERE code = $1', [released]);
+    } else {
+      const { rows: updated } = await pool.query(
+        'UPDATE proposals SET expires_at = $1 WHERE id = $2 RETURNING *',
+        [expiresAt, req.params.id]
+      );
+      proposal = updated[0];
+      await recordProposalEvent(req.params.id, 'expiry_extended', {
+        actor: adminActor(req), ip: req.ip, payload: { expires_at: expiresAt },
+      });
+    }
+    res.json({ success: true, proposal: publicProposal(proposal) });
+  } catch (err) {
+    console.error('Error extending proposal:', err);
+    res.status(500).json({ error: 'Failed to extend proposal' });
+  }
+});
+
+// ── POST /api/proposals/:id/void ─────────────────────────────────
+// Admin: withdraw a proposal that hasn't been paid
+app.post('/api/proposals/:id/void', requireAdmin, async (req, res) => {
+  try {
+    const proposal = await transitionProposal(req.params.id, 'voided', {
+      actor: adminActor(req), ip: req.ip, payload: req.body.reason ? { reason: String(req.body.reason) } : null,
+    });
+    if (!proposal) {
+      const { rows } = await pool.query('SELECT status FROM proposals WHERE id = $1', [req.params.id]);
+      if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+      return res.status(409).json({ error: `A ${rows[0].status} proposal cannot be voided` });
+    }
+    // An expired proposal may have given its discount code's use back already
+    const { rows: last } = await pool.query(
+      `SELECT from_status FROM proposal_events
+       WHERE proposal_id = $1 AND to_status = 'voided' ORDER BY created_at DESC LIMIT 1`,
+      [proposal.id]
+    );
+    if (last[0]?.from_status !== 'expired' || !await discountReleasedOnExpiry(proposal.id)) {
+      await releaseDiscountCode(proposal.discount_code);
+    }
+    await voidOpenInvoice(proposal.id);
+    res.json({ success: true, proposal: publicProposal(proposal) });
+  } catch (err) {
+    console.error('Error voiding proposal:', err);
+    res.status(500).json({ error: 'Failed to void proposal' });
+  }
+});
+
+// ── GET /api/proposals/:id/contract.pdf ──────────────────────────
+// Archived signed contract. Clients use ?token= (from the proposal page); admins their login.
+app.get('/api/proposals/:id/contract.pdf', proposalViewLimiter, async (req, res) => {
+  try {
+    if (!authenticateAdmin(req.headers.authorization) && !isValidContractToken(req.query.token, req.params.id)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const archive = await getArchivedContract(req.params.id, req.query.kind || null);
+    if (!archive) return res.status(404).json({ error: 'No signed contract on file for this proposal' });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="Roof-MRI-Contract-${req.params.id}.pdf"`,
+      'X-Content-SHA256': archive.sha256,
+      'Cache-Control': 'private, no-store',
+    });
+    res.send(archive.pdf);
+  } catch (err) {
+    console.error('Error downloading contract:', err);
+    res.status(500).json({ error: 'Failed to load contract' });
+  }
+});
+
+// ── GET /api/proposals/:id/contract/verify ───────────────────────
+// Admin: check the archived PDF against its stored hash, and re-render the contract
+// from the current record to see whether it still produces the same bytes
+app.get('/api/proposals/:id/contract/verify', requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+    const archive = await getArchivedContract(req.params.id, req.query.kind || null);
+    if (!archive) return res.status(404).json({ error: 'No signed contract on file for this proposal' });
+
+    const [priceBook, terms, signers] = await Promise.all([
+      getPriceBook(rows[0].price_book_version), getProposalTerms(rows[0]), getSigners(rows[0].id),
+    ]);
+    const rerenderHash = sha256(await buildContractPdf(contractRecord(rows[0], archive.kind), priceBook.catalog, terms.sections, signers));
+    const archiveIntact = sha256(archive.pdf) === archive.sha256;
+
+    res.json({
+      kind: archive.kind,
+      archivedAt: archive.created_at,
+      storedHash: archive.sha256,
+      archiveIntact,
+      rerenderHash,
+      rerenderMatches: rerenderHash === archive.sha256,
+    });
+  } catch (err) {
+    console.error('Error verifying contract:', err);
+    res.status(500).json({ error: 'Failed to verify contract' });
+  }
+});
+
+// ── GET /api/proposals/:id/signers ───────────────────────────────
+// Admin: per-signer status and personal signing links
+app.get('/api/proposals/:id/signers', requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT id, signing_order FROM proposals WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+    const signers = await getSigners(req.params.id);
+    res.json({
+      signing_order: rows[0].signing_order,
+      signers: signers.map(s => ({
+        id: s.id, position: s.position, name: s.name, email: s.email, title: s.title,
+        status: s.signed_at ? 'signed' : blockingSigner(rows[0], signers, s) ? 'waiting' : s.invited_at ? 'invited' : 'pending',
+        invited_at: s.invited_at, signed_at: s.signed_at, link: signerLink(s),
+        delegated_by: s.delegated_by_name ? `${s.delegated_by_name} (${s.delegated_by_email})` : null,
+      })),
+    });
+  } catch (err) {
+    console.error('Error loading signers:', err);
+    res.status(500).json({ error: 'Failed to load signers' });
+  }
+});
+
+// ── POST /api/proposals/:id/signers/:signerId/remind ─────────────
+// Admin: re-send a signer's invitation email
+app.post('/api/proposals/:id/signers/:signerId/remind', requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM proposals WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+    if (rejectIfClosed(res, await expireIfDue(rows[0]))) return;
+    const signers = await getSigners(req.params.id);
+    const signer = signers.find(s => String(s.id) === req.params.signerId);
+    if (!signer) return res.status(404).json({ error: 'Signer not found' });
+    if (signer.signed_at) return res.status(409).json({ error: 'This signer has already signed' });
+    const waitingOn = blockingSigner(rows[0], signers, signer);
+    if (waitingOn) return res.status(409).json({ error: `${waitingOn.name} needs to sign first` });
+
+    await inviteSigner(rows[0], signer, { actor: adminActor(req), ip: req.ip });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error reminding signer:', err);
+    res.status(500).json({ error: 'Failed to send reminder' });
+  }
+});
+
+// ── POST /api/proposals/:id/preview-link ─────────────────────────
+// Admin: signed link to view the proposal as the client would, without tracking
+app.post('/api/proposals/:id/preview-link', requireAdmin, async (req, res) => {
+  try {
+    if (!process.env.JWT_SECRET) {
+      return res.status(500).json({ error: 'JWT_SECRET env var is not set. Add it to your environment and restart.' });
+    }
+    const { rows } = await pool.query('SELECT id FROM proposals WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+
+    const token = createPreviewToken(req.params.id);
+    const baseUrl = process.env.PROPOSAL_BASE_URL || 'https://proposals.roof-mri.com';
+    const { exp } = jwt.decode(token);
+    res.json({ url: `${baseUrl}/p/${req.params.id}?preview=${token}`, expiresAt: new Date(exp * 1000) });
+  } catch (err) {
+    console.error('Error creating preview link:', err);
+    res.status(500).json({ error: 'Failed to create preview link' });
+  }
+});
+
+// ── GET /api/proposals/:id/events ────────────────────────────────
+// Admin: chronological activity timeline for one proposal, with each tracked
+// open merged in from proposal_views, plus an engagement summary
+app.get('/api/proposals/:id/events', requireAdmin, async (req, res) => {
+  try {
+    const { rows: found } = await pool.query('SELECT id FROM proposals WHERE id = $1', [req.params.id]);
+    if (found.length === 0) return res.status(404).json({ error: 'Proposal not found' });
+
+    const [{ rows }, { rows: views }] = await Promise.all([
+      pool.query(
+        `SELECT id, event_type, from_status, to_status, actor, ip, payload, created_at
+         FROM proposal_events WHERE proposal_id = $1 ORDER BY created_at, id`,
+        [req.params.id]
+      ),
+      pool.query(
+        `SELECT id, viewed_at, device_type, ip_hash, duration_seconds, sections_expanded
+         FROM proposal_views WHERE proposal_id = $1 ORDER BY viewed_at`,
+        [req.params.id]
+      ),
+    ]);
+
+    const viewEvents = views.map(v => ({
+      id: `view-${v.id}`, event_type: 'opened', from_status: null, to_status: null, actor: 'client', ip: null,
+      payload: { device_type: v.device_type, duration_seconds: v.duration_seconds, sections: v.sections_expanded },
+      created_at: v.viewed_at,
+    }));
+    const events = [...rows, ...viewEvents].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    const devices = {};
+    for (const v of views) devices[v.device_type] = (devices[v.device_type] || 0) + 1;
+    const engagement = {
+      views: views.length,
+      unique_visitors: new Set(views.map(v => v.ip_hash).filter(Boolean)).size,
+      total_seconds: views.reduce((sum, v) => sum + v.duration_seconds, 0),
+      devices,
+      sections: TRACKED_SECTIONS.filter(s => views.some(v => v.sections_expanded.includes(s))),
+      last_viewed_at: views.length ? views[views.length - 1].viewed_at : null,
+    };
+
+    res.json({ events, engagement });
+  } catch (err) {
+    console.error('Error loading proposal events:', err);
+    res.status(500).json({ error: 'Failed to load proposal events' });
+  }
+});
+
+// ── POST /api/admin/reconcile-payments ───────────────────────────
+// Admin: compare in-flight Checkout sessions with Stripe now and fix any drift
+app.post('/api/admin/reconcile-payments', requireAdmin, async (req, res) => {
+  try {
+    res.json(await runReconciliation());
+  } catch (err) {
+    console.error('Error reconciling Stripe payments:', err);
+    res.status(500).json({ error: 'Failed to reconcile payments' });
+  }
+});
+
 // ── GET /api/proposals/:id/payment-status ────────────────────────
 app.get('/api/proposals/:id/payment-status', proposalViewLimiter, async (req, res) => {
   try {
     const { rows } = await pool.query('SELECT payment_status FROM proposals WHERE id = $1', [req.params.id]);
     if (rows.length === 0) return res.status(404).json({ error: 'Proposal not found' });
-    res.json({ payment_status: rows[0].payment_status });
+    const installments = await getInstallments(req.params.id);
+    res.json({
+      payment_status: rows[0].payment_status,
+      installments: installments.map(i => ({ id: i.id, status: i.status })),
+    });
   } catch (err) {
     console.error('Error checking payment status:', err);
     res.status(500).json({ error: 'Failed to check payment status' });
@@ -1625,7 +5720,13 @@ app.get('/api/proposals', requireAdmin, async (req, res) => {
 
     const [{ rows }, { rows: countRows }] = await Promise.all([
       pool.query(
-        'SELECT id, proposal_num, contact_name, company, email, tier, total_price, status, payment_status, created_at, opened_at, open_count, signed_at FROM proposals ORDER BY created_at DESC LIMIT $1 OFFSET $2',
+        `SELECT id, proposal_num, contact_name, company, email, tier, selected_tier, total_price, currency, locale, discount_code, discount_amount, amount_refunded, status, payment_status, created_at, opened_at, open_count, signed_at, countersigned_at, expires_at, signing_order,
+           (SELECT COUNT(*)::int FROM proposal_signers s WHERE s.proposal_id = proposals.id AND s.replaced_at IS NULL) AS signer_count,
+           (SELECT COUNT(*)::int FROM proposal_signers s WHERE s.proposal_id = proposals.id AND s.replaced_at IS NULL AND s.signed_at IS NOT NULL) AS signed_count,
+           (SELECT COUNT(*)::int FROM payment_installments i WHERE i.proposal_id = proposals.id) AS installment_count,
+           (SELECT COUNT(*)::int FROM payment_installments i WHERE i.proposal_id = proposals.id AND i.status = 'paid') AS installments_paid,
+           (SELECT v.status FROM invoices v WHERE v.proposal_id = proposals.id ORDER BY v.id DESC LIMIT 1) AS invoice_status
+         FROM proposals ORDER BY created_at DESC LIMIT $1 OFFSET $2`,
         [limit, offset]
       ),
       pool.query('SELECT COUNT(*)::int AS total FROM proposals'),
@@ -1662,9 +5763,15 @@ function validateEnv() {
 
 const PORT = process.env.PORT || 3001;
 let server;
+let reconcileTimer;
 validateEnv();
 initDB().then(() => {
   server = app.listen(PORT, () => console.log(`Roof MRI backend on port ${PORT}`));
+  if (RECONCILE_INTERVAL_MINUTES > 0) {
+    reconcileTimer = setInterval(() => {
+      runReconciliation().catch(err => console.error('Scheduled Stripe reconciliation failed:', err));
+    }, RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+  }
 }).catch(err => {
   console.error('DB init failed:', err);
   process.exit(1);
@@ -1673,6 +5780,7 @@ initDB().then(() => {
 // ── Graceful shutdown ─────────────────────────────────────────────
 function shutdown(signal) {
   console.log(`${signal} received, shutting down gracefully...`);
+  clearInterval(reconcileTimer);
   if (server) {
     server.close(() => {
       pool.end(() => {